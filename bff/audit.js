@@ -0,0 +1,160 @@
+/**
+ * Append-only audit trail for orders and cash moves passing through the BFF.
+ *
+ * Every POST /api/order and /api/cash — accepted, rejected by the backend, or denied
+ * by the BFF's own role check — becomes one JSON line in the audit file:
+ *
+ *   { id, timestamp, user, role, ip, backend, type, strategy, action, mode, payload,
+ *     status, ok, response, latencyMs, idempotencyKey, replayed }
+ *
+ * `replayed` marks a retry answered from the idempotency store (nothing was sent again).
+ * `status: 'aborted'` marks a request whose client went away before the response was
+ * sent; it may still have reached the backend.
+ *
+ * Lines are only ever appended; nothing in the BFF rewrites or truncates the file.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { captureBody } = require('./proxy');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+// Audited routes -> entry type
+const AUDITED_ROUTES = {
+  '/order': 'order',
+  '/cash': 'cash',
+};
+
+// Backend responses larger than this are truncated in the log (orders/cash replies are tiny).
+const MAX_RESPONSE_CHARS = 4000;
+
+/**
+ * DRY RUN / LIVE as actually requested: the explicit `dry_run` in the payload wins,
+ * else whatever mode the backend says it used.
+ */
+const modeOf = (payload, response) => {
+  if (payload && payload.dry_run === true) return 'DRY RUN';
+  if (payload && payload.dry_run === false) return 'LIVE';
+  if (response && typeof response === 'object' && response.mode_label) return response.mode_label;
+  return 'UNKNOWN';
+};
+
+const parseBody = (buffer) => {
+  const text = buffer.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text.length > MAX_RESPONSE_CHARS ? `${text.slice(0, MAX_RESPONSE_CHARS)}…` : text;
+  }
+};
+
+/**
+ * Build the audit log.
+ * @param {Object} options
+ * @param {string} options.file - JSONL path; its directory is created if missing
+ * @returns {{ middleware: Function, query: Function, record: Function }}
+ */
+const createAuditLog = ({ file }) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  stream.on('error', (error) => console.error('[Audit] Write failed:', error.message));
+
+  /** Append one entry (an id and timestamp are added if missing). */
+  const record = (entry) => {
+    const line = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...entry,
+    };
+    stream.write(`${JSON.stringify(line)}\n`);
+    return line;
+  };
+
+  /**
+   * Express middleware for the audited routes. Mount it BEFORE auth so denied
+   * attempts are recorded too; it tees the response body as it is sent.
+   */
+  const middleware = (req, res, next) => {
+    const type = AUDITED_ROUTES[req.path.replace(/^\/api/, '')];
+    if (req.method !== 'POST' || !type) return next();
+
+    const startedAt = Date.now();
+    const sentBody = captureBody(res);
+    let recorded = false;
+
+    const recordOutcome = (status) => {
+      if (recorded) return;
+      recorded = true;
+      const payload = req.body || {};
+      const response = parseBody(sentBody());
+      const entry = record({
+        user: req.user ? req.user.username : null,
+        role: req.user ? req.user.role : null,
+        ip: req.ip,
+        backend: req.backend ? req.backend.name : null,
+        type,
+        strategy: payload.strategy || null,
+        action: payload.action || null,
+        mode: modeOf(payload, response),
+        payload,
+        status,
+        ok: typeof status === 'number' && status < 400,
+        response,
+        latencyMs: Date.now() - startedAt,
+        idempotencyKey: req.get('Idempotency-Key') || null,
+        replayed: res.getHeader('Idempotent-Replayed') === 'true',
+      });
+      console.log(`[Audit] ${entry.type} ${entry.action} ${entry.strategy} [${entry.mode}@${entry.backend}] by ${entry.user || 'anonymous'} -> ${entry.status} (${entry.latencyMs}ms)`);
+    };
+
+    res.on('finish', () => recordOutcome(res.statusCode));
+    // Client gone mid-request (tab closed, timeout): the request may have reached the backend anyway
+    res.on('close', () => {
+      if (!res.writableFinished) recordOutcome('aborted');
+    });
+    next();
+  };
+
+  /**
+   * Read entries back, newest first.
+   * @param {Object} filters - all optional: strategy, action, mode, type, user, backend, since (ISO), until (ISO), limit
+   * @returns {Promise<{ total: number, entries: Array }>} total = matches before `limit`
+   */
+  const query = async ({ strategy, action, mode, type, user, backend, since, until, limit = 200 } = {}) => {
+    let text = '';
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const matches = text
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null; // a torn last line from a crash; skip it
+        }
+      })
+      .filter((e) => e
+        && (!strategy || e.strategy === strategy)
+        && (!action || e.action === action)
+        && (!mode || e.mode === mode)
+        && (!type || e.type === type)
+        && (!user || e.user === user)
+        && (!backend || e.backend === backend)
+        && (!since || e.timestamp >= since)
+        && (!until || e.timestamp <= until))
+      .reverse();
+    return { total: matches.length, entries: matches.slice(0, Math.max(1, Number(limit) || 200)) };
+  };
+
+  return { middleware, query, record };
+};
+
+module.exports = {
+  DEFAULT_AUDIT_FILE,
+  createAuditLog,
+};
@@ -0,0 +1,176 @@
+/**
+ * Login, session cookies and role checks for the BFF.
+ *
+ * Sessions are kept in memory (a BFF restart logs everyone out) and identified by an
+ * HttpOnly cookie. Roles come from the user file (see users.js):
+ *   - viewer: read-only dashboard, may trigger a realtime recompute
+ *   - trader: may also place orders and move cash (LIVE included)
+ *   - admin:  may also operate the BFF itself (cache flush, …)
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { hasRole, hashPassword, loadUsers, verifyPassword } = require('./users');
+
+const COOKIE_NAME = 'qmt_sid';
+
+// Non-GET /api routes a viewer may still call: they recompute data, they don't trade.
+const VIEWER_WRITES = new Set(['/realtime-update']);
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// How often expired sessions are dropped from memory.
+const SESSION_SWEEP_MS = 10 * 60 * 1000;
+
+// Cookies are shared by every app on the same host, so a value that does not decode is
+// skipped rather than failing the request.
+const parseCookies = (header = '') =>
+  header.split(';').reduce((cookies, part) => {
+    const eq = part.indexOf('=');
+    if (eq <= 0) return cookies;
+    try {
+      cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (error) {
+      // malformed percent-encoding
+    }
+    return cookies;
+  }, {});
+
+/**
+ * What the client may do — the UI hides actions from this, the BFF enforces it.
+ * @param {string} role
+ */
+const permissionsFor = (role) => ({
+  trade: hasRole(role, 'trader'),
+  admin: hasRole(role, 'admin'),
+});
+
+/**
+ * Build the auth layer.
+ * @param {Object} options
+ * @param {boolean} options.enabled - false turns every check into a no-op (local dev)
+ * @param {string} options.usersFile - path to the user JSON file
+ * @param {number} options.sessionTtlMs - idle timeout; each request extends it
+ * @param {boolean} options.secureCookie - set the Secure flag (HTTPS deployments)
+ * @returns {{ router: import('express').Router, authenticate: Function, requireRole: Function, requireApiPermission: Function }}
+ */
+const createAuth = ({ enabled, usersFile, sessionTtlMs, secureCookie }) => {
+  const sessions = new Map(); // sid -> { username, role, expiresAt }
+  // Checked against when the username is unknown, so a failed login takes as long either way
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  if (enabled) {
+    setInterval(() => {
+      const now = Date.now();
+      sessions.forEach((session, sid) => {
+        if (session.expiresAt < now) sessions.delete(sid);
+      });
+    }, SESSION_SWEEP_MS).unref();
+  }
+
+  const setCookie = (res, sid, maxAgeMs) => {
+    const parts = [
+      `${COOKIE_NAME}=${sid}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    ];
+    if (secureCookie) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+  };
+
+  const sessionFor = (req) => {
+    const sid = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const session = sid && sessions.get(sid);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(sid);
+      return null;
+    }
+    session.expiresAt = Date.now() + sessionTtlMs;
+    return { sid, ...session };
+  };
+
+  /** Attach `req.user` ({ username, role }) when the request carries a valid session. */
+  const authenticate = (req, res, next) => {
+    if (!enabled) {
+      req.user = null;
+      return next();
+    }
+    const session = sessionFor(req);
+    req.user = session ? { username: session.username, role: session.role } : null;
+    next();
+  };
+
+  /**
+   * Middleware factory: reject unless the session has at least `role`.
+   * 401 when not logged in, 403 when logged in with too little privilege.
+   * @param {string} role
+   */
+  const requireRole = (role) => (req, res, next) => {
+    if (!enabled) return next();
+    if (!req.user) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Please log in.' });
+    }
+    if (!hasRole(req.user.role, role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Role "${req.user.role}" cannot ${req.method} ${req.originalUrl.split('?')[0]} (requires ${role}).`,
+      });
+    }
+    next();
+  };
+
+  const requireViewer = requireRole('viewer');
+  const requireTrader = requireRole('trader');
+
+  /** Middleware for /api/*: any user may read, only traders may mutate. */
+  const requireApiPermission = (req, res, next) => {
+    const apiPath = req.path.replace(/^\/api/, '');
+    const isRead = READ_METHODS.has(req.method) || VIEWER_WRITES.has(apiPath);
+    return (isRead ? requireViewer : requireTrader)(req, res, next);
+  };
+
+  const router = express.Router();
+
+  router.post('/login', (req, res) => {
+    if (!enabled) return res.status(400).json({ error: 'Authentication is disabled on this server.' });
+    const { username = '', password = '' } = req.body || {};
+    const user = loadUsers(usersFile).find((u) => u.username === username);
+    const passwordOk = verifyPassword(String(password), user ? user.passwordHash : dummyHash);
+    if (!user || !passwordOk) {
+      console.warn(`[Auth] Failed login for "${username}" from ${req.ip}`);
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid username or password.' });
+    }
+    const sid = crypto.randomBytes(32).toString('hex');
+    sessions.set(sid, { username: user.username, role: user.role, expiresAt: Date.now() + sessionTtlMs });
+    setCookie(res, sid, sessionTtlMs);
+    console.log(`[Auth] ${user.username} (${user.role}) logged in from ${req.ip}`);
+    res.json({ authEnabled: true, user: { username: user.username, role: user.role }, permissions: permissionsFor(user.role) });
+  });
+
+  router.post('/logout', (req, res) => {
+    const session = enabled && sessionFor(req);
+    if (session) sessions.delete(session.sid);
+    setCookie(res, '', 0);
+    res.json({ ok: true });
+  });
+
+  // Current session; the client calls this on load to decide between login screen and dashboard.
+  router.get('/me', (req, res) => {
+    if (!enabled) {
+      return res.json({ authEnabled: false, user: null, permissions: { trade: true, admin: true } });
+    }
+    if (!req.user) {
+      return res.status(401).json({ authEnabled: true, error: 'Unauthorized', message: 'Please log in.' });
+    }
+    res.json({ authEnabled: true, user: req.user, permissions: permissionsFor(req.user.role) });
+  });
+
+  return { router, authenticate, requireRole, requireApiPermission };
+};
+
+module.exports = {
+  createAuth,
+  permissionsFor,
+};
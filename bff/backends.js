@@ -0,0 +1,147 @@
+/**
+ * Named FastAPI backends the BFF can route to.
+ *
+ * START.md describes several deployments (local Windows box, SSH tunnel, remote ECS).
+ * Instead of one API_BASE_URL the BFF can hold a list of them:
+ *
+ *   API_BACKENDS=win-live=http://localhost:8001/api,ecs-sim=http://10.0.0.5:8001/api
+ *   DEFAULT_BACKEND=win-live
+ *
+ * Each request picks one with the `X-Backend` header (or `?backend=` where headers
+ * can't be set, e.g. EventSource); without either it goes to the default. Every
+ * proxied response says where it came from in its own `X-Backend` header.
+ * Each backend's /health is polled in the background so the UI can show which are up,
+ * and every backend has its own circuit breaker (see breaker.js) fed by both the
+ * health probes and real traffic.
+ */
+const axios = require('axios');
+const { createCircuitBreaker } = require('./breaker');
+
+const BACKEND_HEADER = 'x-backend';
+
+const HEALTH_INTERVAL_MS = 30 * 1000;
+const HEALTH_TIMEOUT_MS = 5 * 1000;
+// GET /health probes on demand; results younger than this are reused.
+const PROBE_MIN_GAP_MS = 5 * 1000;
+
+/**
+ * Parse the API_BACKENDS spec (`name=url,name=url`).
+ * @param {string} spec
+ * @param {string} fallbackUrl - used as the single backend "default" when spec is empty
+ * @returns {Array<{name: string, url: string}>}
+ */
+const parseBackends = (spec, fallbackUrl) => {
+  const backends = String(spec || '')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const eq = part.indexOf('=');
+      if (eq <= 0) throw new Error(`Invalid API_BACKENDS entry "${part}" (expected name=url)`);
+      return { name: part.slice(0, eq).trim(), url: part.slice(eq + 1).trim().replace(/\/+$/, '') };
+    });
+  return backends.length > 0 ? backends : [{ name: 'default', url: fallbackUrl }];
+};
+
+/**
+ * Build the backend registry.
+ * @param {Object} options
+ * @param {Array<{name: string, url: string}>} options.backends
+ * @param {string} [options.defaultName] - falls back to the first backend
+ * @returns {{ names: string[], defaultName: string, get: Function, resolve: Function, status: Function, probe: Function, startHealthChecks: Function }}
+ */
+const createBackendRegistry = ({ backends, defaultName }) => {
+  const byName = new Map(backends.map((b) => [b.name, {
+    ...b,
+    breaker: createCircuitBreaker({ name: b.name }),
+    checking: null, // in-flight health probe
+    health: {
+      status: 'unknown',
+      latencyMs: null,
+      checkedAt: null,
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+    },
+  }]));
+  if (defaultName && !byName.has(defaultName)) {
+    throw new Error(`DEFAULT_BACKEND "${defaultName}" is not one of: ${[...byName.keys()].join(', ')}`);
+  }
+  const fallback = defaultName || backends[0].name;
+
+  const get = (name) => byName.get(name) || null;
+
+  // Probe the backend's own /health directly (not through the breaker, so an open
+  // circuit can still notice the backend coming back).
+  const runCheck = async (backend) => {
+    const startedAt = Date.now();
+    const checkedAt = new Date().toISOString();
+    try {
+      await axios.get(`${backend.url}/health`, { timeout: HEALTH_TIMEOUT_MS });
+      backend.health = { ...backend.health, status: 'up', latencyMs: Date.now() - startedAt, checkedAt, lastSuccessAt: checkedAt };
+      backend.breaker.recordSuccess();
+    } catch (error) {
+      const message = error.response ? `HTTP ${error.response.status} from /health` : error.message;
+      if (backend.health.status !== 'down') {
+        console.warn(`[Backends] ${backend.name} is down: ${message}`);
+      }
+      backend.health = { ...backend.health, status: 'down', latencyMs: null, checkedAt, lastErrorAt: checkedAt, lastError: message };
+      if (!error.response) backend.breaker.recordFailure();
+    }
+  };
+
+  const checkHealth = (backend) => {
+    if (!backend.checking) {
+      backend.checking = runCheck(backend).finally(() => { backend.checking = null; });
+    }
+    return backend.checking;
+  };
+
+  /** Check every backend whose last result is older than PROBE_MIN_GAP_MS, or whose traffic is failing. */
+  const probe = () => Promise.all([...byName.values()]
+    .filter((b) => !b.health.checkedAt
+      || Date.now() - Date.parse(b.health.checkedAt) >= PROBE_MIN_GAP_MS
+      || b.breaker.inspect().failures > 0)
+    .map(checkHealth));
+
+  /** Poll every backend's /health now and then on an interval (timer doesn't keep the process alive). */
+  const startHealthChecks = (intervalMs = HEALTH_INTERVAL_MS) => {
+    probe();
+    setInterval(probe, intervalMs).unref();
+  };
+
+  /**
+   * Express middleware: set `req.backend` from the X-Backend header / ?backend= query,
+   * and tag the response with the backend that served it. 400 for an unknown name.
+   */
+  const resolve = (req, res, next) => {
+    const requested = req.get(BACKEND_HEADER) || req.query.backend;
+    const backend = get(requested || fallback);
+    if (!backend) {
+      return res.status(400).json({
+        error: 'Unknown backend',
+        message: `Backend "${requested}" is not configured. Available: ${[...byName.keys()].join(', ')}`,
+      });
+    }
+    req.backend = backend;
+    res.setHeader('X-Backend', backend.name);
+    next();
+  };
+
+  /** Snapshot for GET /backends and /health/backends. */
+  const status = () => [...byName.values()].map(({ name, url, health, breaker }) => ({
+    name,
+    url,
+    default: name === fallback,
+    ...health,
+    circuit: breaker.inspect(),
+  }));
+
+  return { names: [...byName.keys()], defaultName: fallback, get, resolve, status, probe, startHealthChecks };
+};
+
+module.exports = {
+  BACKEND_HEADER,
+  parseBackends,
+  createBackendRegistry,
+};
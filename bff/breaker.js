@@ -0,0 +1,116 @@
+/**
+ * Circuit breaker with retry/backoff for calls to one backend.
+ *
+ * Only network-level failures count (refused, reset, timed out — no HTTP response at
+ * all); a 4xx/5xx means the backend is alive and is relayed as usual.
+ *
+ *   closed     calls go through; idempotent ones are retried with exponential backoff
+ *   open       after FAILURE_THRESHOLD consecutive failures: calls fail at once with
+ *              code CIRCUIT_OPEN until the cooldown ends (cooldown doubles, capped)
+ *   half-open  one trial call goes through; success closes, failure re-opens
+ */
+const FAILURE_THRESHOLD = 3;
+const BASE_COOLDOWN_MS = 5 * 1000;
+const MAX_COOLDOWN_MS = 60 * 1000;
+const RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 250;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// axios attaches `response` whenever the backend answered, whatever the status.
+const isNetworkFailure = (error) => !error.response && error.code !== 'ERR_CANCELED';
+
+/**
+ * Build a breaker.
+ * @param {Object} options
+ * @param {string} options.name - backend name, for logs and the CIRCUIT_OPEN message
+ * @returns {{ call: Function, recordSuccess: Function, recordFailure: Function, inspect: Function }}
+ */
+const createCircuitBreaker = ({ name }) => {
+  let state = 'closed';
+  let failures = 0;
+  let cooldownMs = BASE_COOLDOWN_MS;
+  let retryAt = 0;
+  let trialInFlight = false;
+
+  const recordSuccess = () => {
+    if (state !== 'closed') console.log(`[Breaker] ${name}: backend reachable again, circuit closed`);
+    state = 'closed';
+    failures = 0;
+    cooldownMs = BASE_COOLDOWN_MS;
+  };
+
+  const recordFailure = () => {
+    failures += 1;
+    if (state === 'half-open') {
+      cooldownMs = Math.min(cooldownMs * 2, MAX_COOLDOWN_MS);
+    }
+    if (state === 'half-open' || failures >= FAILURE_THRESHOLD) {
+      if (state !== 'open') console.warn(`[Breaker] ${name}: circuit open for ${cooldownMs / 1000}s after ${failures} failures`);
+      state = 'open';
+      retryAt = Date.now() + cooldownMs;
+    }
+  };
+
+  const openError = () => {
+    const retryAfterMs = Math.max(0, retryAt - Date.now());
+    const error = new Error(`Backend "${name}" is unreachable; not retrying for ${Math.ceil(retryAfterMs / 1000)}s`);
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfterMs = retryAfterMs;
+    return error;
+  };
+
+  /**
+   * Run `fn` (an axios call) through the breaker.
+   * @param {Function} fn - returns a promise
+   * @param {Object} [options]
+   * @param {boolean} [options.retry=false] - retry network failures; only for idempotent requests
+   */
+  const call = async (fn, { retry = false } = {}) => {
+    if (state === 'open') {
+      if (Date.now() < retryAt) throw openError();
+      state = 'half-open';
+    }
+    const isTrial = state === 'half-open';
+    if (isTrial) {
+      if (trialInFlight) throw openError();
+      trialInFlight = true;
+    }
+
+    const attempts = retry && state === 'closed' ? RETRIES + 1 : 1;
+    try {
+      for (let attempt = 1; ; attempt += 1) {
+        try {
+          const result = await fn();
+          recordSuccess();
+          return result;
+        } catch (error) {
+          if (!isNetworkFailure(error)) {
+            recordSuccess(); // the backend answered, just not with 2xx
+            throw error;
+          }
+          if (attempt >= attempts) {
+            recordFailure();
+            throw error;
+          }
+          await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+        }
+      }
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  };
+
+  /** Snapshot for /health/backends. */
+  const inspect = () => ({
+    state,
+    failures,
+    retryInSeconds: state === 'open' ? Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)) : null,
+  });
+
+  return { call, recordSuccess, recordFailure, inspect };
+};
+
+module.exports = {
+  createCircuitBreaker,
+};
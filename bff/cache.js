@@ -0,0 +1,225 @@
+/**
+ * In-memory response cache for GET /api/* in the BFF.
+ *
+ * Each dashboard load fans out into six backend calls; most of them cover closed
+ * trading days and never change. Routes get their own TTL — long for ranges that
+ * end before today, short for anything touching today — plus a stale-while-revalidate
+ * window during which the stale copy is served and refreshed in the background.
+ *
+ * Writes (POST /order, /cash, /realtime-update) evict every entry of the affected
+ * strategy, so the next load after a mutation always hits the backend.
+ */
+const { backendPath, requestHeaders, fetchUpstream, bufferResponse, sendBuffered, sendUpstreamError } = require('./proxy');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const MAX_ENTRIES = 500;
+
+// Local calendar date (YYYY-MM-DD); the backend's trade_date is in the engine's local time.
+const today = () => new Date().toLocaleDateString('sv-SE');
+
+// A date-ranged query is immutable once its end_date is a closed trading day.
+const isHistorical = (query) => Boolean(query.end_date) && query.end_date < today();
+
+/**
+ * Cache rules, first match wins. `ttl`/`swr` in ms; a function receives req.query.
+ * Routes without a rule (trading-mode, health, …) are never cached.
+ */
+const CACHE_RULES = [
+  {
+    name: 'benchmark-range',
+    pattern: /^\/benchmark\/[^/]+\/range$/,
+    ttl: (q) => (isHistorical(q) ? 24 * HOUR : 5 * MINUTE),
+    swr: () => 30 * MINUTE,
+  },
+  {
+    name: 'strategy-history',
+    pattern: /^\/strategy\/[^/]+\/(holdings|daily-pnl|cash)$/,
+    ttl: (q) => (isHistorical(q) ? 24 * HOUR : 30 * SECOND),
+    swr: () => 5 * MINUTE,
+  },
+  {
+    name: 'strategy-live',
+    pattern: /^\/strategy\/[^/]+\/(summary|performance|transactions|portfolio)$/,
+    ttl: (q) => (isHistorical(q) ? HOUR : 30 * SECOND),
+    swr: () => 5 * MINUTE,
+  },
+  {
+    name: 'catalog',
+    pattern: /^\/(strategies|benchmarks)$/,
+    ttl: () => 5 * MINUTE,
+    swr: () => HOUR,
+  },
+];
+
+const STRATEGY_RE = /^\/strategy\/([^/]+)\//;
+
+const strategyOf = (pathname) => {
+  const match = pathname.match(STRATEGY_RE);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+const isJson = (headers) => String(headers['content-type'] || '').includes('application/json');
+
+/**
+ * Build a response cache bound to one backend.
+ * @param {Object} options
+ * @param {string} options.baseUrl - Backend API base URL
+ * @param {Object} [options.breaker] - the backend's circuit breaker
+ * @returns {{ middleware: Function, invalidateOnWrite: Function, invalidateStrategy: Function, flush: Function, inspect: Function }}
+ */
+const createResponseCache = ({ baseUrl, breaker }) => {
+  const entries = new Map(); // key -> { response, storedAt, ttl, swr, rule, strategy, revalidating }
+  const stats = { hits: 0, stale: 0, misses: 0, revalidations: 0, invalidations: 0 };
+  // Bumped on every invalidation so a fetch that started before a write can't store pre-write data.
+  let generation = 0;
+
+  const store = (key, response, rule, query, pathname, fetchedAt) => {
+    if (fetchedAt !== generation) return;
+    // Only successful JSON is worth keeping; errors and downloads always go to the backend.
+    if (response.status !== 200 || !isJson(response.headers)) return;
+    entries.delete(key); // re-insert at the end: Map order doubles as LRU order
+    entries.set(key, {
+      response,
+      storedAt: Date.now(),
+      ttl: rule.ttl(query),
+      swr: rule.swr(query),
+      rule: rule.name,
+      strategy: strategyOf(pathname),
+      revalidating: false,
+    });
+    while (entries.size > MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const revalidate = (key, entry, request, rule, query, pathname) => {
+    if (entry.revalidating) return;
+    entry.revalidating = true;
+    stats.revalidations += 1;
+    const fetchedAt = generation;
+    fetchUpstream(request, baseUrl, breaker)
+      .then(bufferResponse)
+      .then((response) => store(key, response, rule, query, pathname, fetchedAt))
+      .catch((error) => console.error('[Cache] Revalidation failed', key, error.message))
+      .finally(() => { entry.revalidating = false; });
+  };
+
+  /** Express middleware for GET /api/*; falls through for uncached routes. */
+  const middleware = async (req, res, next) => {
+    const pathname = req.path.replace(/^\/api/, '');
+    const rule = CACHE_RULES.find((r) => r.pattern.test(pathname));
+    if (req.method !== 'GET' || !rule) return next();
+
+    const key = backendPath(req);
+    // One cached body is served to every client, so ask for it unencoded: a gzip/br body kept
+    // for one browser must not reach a client that never accepted that encoding.
+    const request = { method: 'GET', path: key, headers: { ...requestHeaders(req), 'accept-encoding': 'identity' } };
+    const entry = entries.get(key);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (entry && age < entry.ttl) {
+      stats.hits += 1;
+      res.setHeader('X-Cache', 'HIT');
+      return sendBuffered(entry.response, res);
+    }
+    if (entry && age < entry.ttl + entry.swr) {
+      stats.stale += 1;
+      res.setHeader('X-Cache', 'STALE');
+      revalidate(key, entry, request, rule, req.query, pathname);
+      return sendBuffered(entry.response, res);
+    }
+
+    stats.misses += 1;
+    const fetchedAt = generation;
+    try {
+      const response = await bufferResponse(await fetchUpstream(request, baseUrl, breaker));
+      store(key, response, rule, req.query, pathname, fetchedAt);
+      res.setHeader('X-Cache', 'MISS');
+      sendBuffered(response, res);
+    } catch (error) {
+      console.error('[Cache] Backend request failed', key, error.message);
+      sendUpstreamError(error, res);
+    }
+  };
+
+  /**
+   * Drop every cached entry for one strategy (all modes, all ranges), plus the
+   * strategy catalog since a first order/cash op can create a strategy.
+   * @param {string} strategy
+   * @returns {number} entries removed
+   */
+  const invalidateStrategy = (strategy) => {
+    generation += 1;
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      if (entry.strategy === strategy || entry.rule === 'catalog') {
+        entries.delete(key);
+        removed += 1;
+      }
+    });
+    stats.invalidations += removed;
+    return removed;
+  };
+
+  /**
+   * Express middleware for POST /api/{order,cash,realtime-update}: once the backend
+   * has accepted the write, evict the strategy named in the body.
+   */
+  const invalidateOnWrite = (req, res, next) => {
+    res.on('finish', () => {
+      const strategy = req.body && req.body.strategy;
+      if (res.statusCode < 400 && strategy) {
+        const removed = invalidateStrategy(strategy);
+        console.log(`[Cache] ${req.method} ${req.path} invalidated ${removed} entr${removed === 1 ? 'y' : 'ies'} for ${strategy}`);
+      }
+    });
+    next();
+  };
+
+  /**
+   * Clear the cache, or only one strategy's entries.
+   * @param {string} [strategy]
+   * @returns {number} entries removed
+   */
+  const flush = (strategy) => {
+    if (strategy) return invalidateStrategy(strategy);
+    generation += 1;
+    const removed = entries.size;
+    entries.clear();
+    stats.invalidations += removed;
+    return removed;
+  };
+
+  /** Snapshot for GET /cache. */
+  const inspect = () => {
+    const now = Date.now();
+    return {
+      size: entries.size,
+      maxEntries: MAX_ENTRIES,
+      stats: { ...stats },
+      entries: [...entries.entries()].map(([key, entry]) => {
+        const age = now - entry.storedAt;
+        return {
+          key,
+          rule: entry.rule,
+          strategy: entry.strategy,
+          bytes: entry.response.body.length,
+          storedAt: new Date(entry.storedAt).toISOString(),
+          ageSeconds: Math.round(age / SECOND),
+          ttlSeconds: Math.round(entry.ttl / SECOND),
+          state: age < entry.ttl ? 'fresh' : age < entry.ttl + entry.swr ? 'stale' : 'expired',
+        };
+      }),
+    };
+  };
+
+  return { middleware, invalidateOnWrite, invalidateStrategy, flush, inspect };
+};
+
+module.exports = {
+  CACHE_RULES,
+  createResponseCache,
+};
@@ -0,0 +1,243 @@
+/**
+ * Record/replay of backend responses, so the dashboard runs without the Windows backend.
+ *
+ *   BFF_MODE=record  proxy as usual and save every /api/* response as a fixture file
+ *   BFF_MODE=replay  serve those fixtures instead of talking to any backend
+ *
+ * Fixtures live under FIXTURES_DIR, one JSON file per backend, method, path and query:
+ *
+ *   fixtures/<backend>/strategy/demo/holdings/GET~3f9a1c0b2e4d.json
+ *   { method, path, query, status, headers, body | bodyBase64, recordedAt }
+ *
+ * Replay runs a small fake backend on 127.0.0.1:REPLAY_PORT and points every configured
+ * backend at it, so the cache, realtime channels and health checks work unchanged.
+ * When no fixture matches the exact query, the most recent one for the same path that
+ * differs only in its date range is served (`X-Fixture: approximate`). POST /order and
+ * /cash are answered synthetically and never touch a real engine.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { BACKEND_PARAM, captureBody } = require('./proxy');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Query params that move with "today"; ignored when looking for an approximate match.
+const DATE_PARAMS = new Set(['start_date', 'end_date', 'trade_date']);
+
+// Headers worth keeping in a fixture; everything else is recomputed on replay.
+const KEPT_HEADERS = ['content-type', 'content-disposition'];
+
+const DECODERS = {
+  gzip: zlib.gunzipSync,
+  br: zlib.brotliDecompressSync,
+  deflate: zlib.inflateSync,
+};
+
+const isJson = (headers) => String(headers['content-type'] || '').includes('application/json');
+
+// Sorted [key, value] pairs of a URL's query string (order-independent key).
+const queryEntries = (originalUrl) =>
+  [...new URL(originalUrl, 'http://fixture').searchParams.entries()]
+    .sort(([a, va], [b, vb]) => a.localeCompare(b) || va.localeCompare(vb));
+
+const queryKey = (entries) => new URLSearchParams(entries).toString();
+
+// Path segments as safe directory names ('..' and friends can't escape FIXTURES_DIR).
+const safeSegments = (pathname) => pathname
+  .split('/')
+  .filter(Boolean)
+  .map((segment) => {
+    const name = decodeURIComponent(segment).replace(/[^\w.-]/g, '_');
+    return /^\.+$/.test(name) ? '_' : name;
+  });
+
+const fileName = (method, entries) => {
+  if (entries.length === 0) return `${method}.json`;
+  const hash = crypto.createHash('sha1').update(queryKey(entries)).digest('hex').slice(0, 12);
+  return `${method}~${hash}.json`;
+};
+
+/**
+ * Build the fixture store.
+ * @param {Object} options
+ * @param {string} options.dir - root directory; one subdirectory per backend
+ * @returns {{ recorder: Function, createReplayApp: Function }}
+ */
+const createFixtureStore = ({ dir }) => {
+  const dirFor = (backend, pathname) => path.join(dir, backend, ...safeSegments(pathname));
+
+  const save = (backend, fixture) => {
+    const target = dirFor(backend, fixture.path);
+    fs.mkdirSync(target, { recursive: true });
+    const file = path.join(target, fileName(fixture.method, fixture.query));
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    return file;
+  };
+
+  const readFixture = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * Exact fixture for this request, else the newest one for the same method and path
+   * whose query only differs in date params.
+   * @returns {{ fixture: Object, match: 'recorded' | 'approximate' } | null}
+   */
+  const find = (backend, method, pathname, entries) => {
+    const target = dirFor(backend, pathname);
+    const exact = readFixture(path.join(target, fileName(method, entries)));
+    if (exact) return { fixture: exact, match: 'recorded' };
+
+    const withoutDates = (pairs) => queryKey(pairs.filter(([key]) => !DATE_PARAMS.has(key)));
+    const wanted = withoutDates(entries);
+    let files = [];
+    try {
+      files = fs.readdirSync(target).filter((f) => f.startsWith(method) && f.endsWith('.json'));
+    } catch (error) {
+      return null;
+    }
+    const candidates = files
+      .map((f) => readFixture(path.join(target, f)))
+      .filter((f) => f && f.method === method && withoutDates(f.query) === wanted)
+      .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+    return candidates.length > 0 ? { fixture: candidates[0], match: 'approximate' } : null;
+  };
+
+  /**
+   * Express middleware for /api/* in record mode: saves each response once it has been
+   * sent (cache hits included). Backend failures (5xx) and order/cash writes are skipped.
+   */
+  const recorder = (req, res, next) => {
+    const pathname = req.path.replace(/^\/api/, '');
+    if (req.method === 'POST' && (pathname === '/order' || pathname === '/cash')) return next();
+
+    const sentBody = captureBody(res);
+    res.on('finish', () => {
+      if (res.statusCode >= 500) return;
+      try {
+        const headers = {};
+        KEPT_HEADERS.forEach((name) => {
+          if (res.getHeader(name)) headers[name] = res.getHeader(name);
+        });
+        let body = sentBody();
+        const decode = DECODERS[res.getHeader('content-encoding')];
+        if (decode) body = decode(body);
+
+        const fixture = {
+          method: req.method,
+          path: pathname,
+          query: queryEntries(req.originalUrl).filter(([name]) => name !== BACKEND_PARAM), // as sent upstream
+          status: res.statusCode,
+          headers,
+          recordedAt: new Date().toISOString(),
+        };
+        if (isJson(headers)) {
+          fixture.body = JSON.parse(body.toString('utf8'));
+        } else {
+          fixture.bodyBase64 = body.toString('base64');
+        }
+        const file = save(req.backend.name, fixture);
+        console.log(`[Record] ${req.method} ${pathname} -> ${path.relative(dir, file)}`);
+      } catch (error) {
+        console.error(`[Record] Could not save ${req.method} ${pathname}:`, error.message);
+      }
+    });
+    next();
+  };
+
+  // Stand-in answers for writes that must never reach an engine while replaying.
+  const synthetic = {
+    '/order': (body) => {
+      if (!body.strategy || !body.action || !body.code || !body.amount) {
+        return { status: 422, body: { detail: 'strategy, action, code and amount are required' } };
+      }
+      return {
+        status: 200,
+        body: {
+          status: 'queued',
+          message: 'Replay mode: order accepted locally, nothing was sent to a trading engine.',
+          mode_label: body.dry_run === false ? 'LIVE' : 'DRY RUN',
+          order: body,
+        },
+      };
+    },
+    '/cash': (body) => {
+      if (!body.strategy || !body.action || !body.amount) {
+        return { status: 422, body: { detail: 'strategy, action and amount are required' } };
+      }
+      return {
+        status: 200,
+        body: {
+          status: 'success',
+          message: 'Replay mode: cash operation accepted locally, nothing was written.',
+          mode_label: body.dry_run === false ? 'LIVE' : 'DRY RUN',
+          cash: body,
+        },
+      };
+    },
+    '/realtime-update': () => ({
+      status: 200,
+      body: { status: 'success', message: 'Replay mode: fixtures are static, nothing was recomputed.' },
+    }),
+  };
+
+  // GETs the modals need even if they were never recorded.
+  const fallbacks = {
+    '/trading-mode': { dry_run_mode: true, mode_label: 'DRY RUN' },
+  };
+
+  /**
+   * Fake backend serving the fixtures; mounted at /<backend>/api so one listener can
+   * stand in for every configured backend.
+   * @returns {import('express').Express}
+   */
+  const createReplayApp = () => {
+    const app = express();
+    app.use(express.json());
+
+    app.all('/:backend/api/*', (req, res) => {
+      const pathname = `/${req.params[0]}`;
+      res.setHeader('X-Fixture', 'synthetic');
+      if (pathname === '/health') {
+        return res.json({ status: 'healthy', mode: 'replay' });
+      }
+      if (req.method === 'POST' && synthetic[pathname]) {
+        const answer = synthetic[pathname](req.body || {});
+        return res.status(answer.status).json(answer.body);
+      }
+
+      const found = find(req.params.backend, req.method, pathname, queryEntries(req.originalUrl));
+      if (!found && req.method === 'GET' && fallbacks[pathname]) {
+        return res.json(fallbacks[pathname]);
+      }
+      if (!found) {
+        res.setHeader('X-Fixture', 'missing');
+        return res.status(404).json({
+          detail: `No fixture recorded for ${req.method} ${pathname}. Run the BFF with BFF_MODE=record against a live backend first.`,
+        });
+      }
+      const { fixture, match } = found;
+      res.status(fixture.status);
+      Object.entries(fixture.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+      res.setHeader('X-Fixture', match);
+      res.setHeader('X-Fixture-Recorded-At', fixture.recordedAt);
+      res.end(fixture.bodyBase64 != null ? Buffer.from(fixture.bodyBase64, 'base64') : JSON.stringify(fixture.body));
+    });
+
+    return app;
+  };
+
+  return { recorder, createReplayApp };
+};
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  createFixtureStore,
+};
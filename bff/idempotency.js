@@ -0,0 +1,128 @@
+/**
+ * Idempotency keys and duplicate-order protection for POST /api/order and /api/cash.
+ *
+ * The client sends an `Idempotency-Key` header, one per review session. Within
+ * IDEMPOTENCY_WINDOW the first successful (2xx) response for a key is kept and any retry
+ * with the same key (double click, retry after a timeout) gets that response back verbatim
+ * with `Idempotent-Replayed: true` — the request is not forwarded again. A rejected request
+ * (4xx/5xx) releases its key, so fixing the cause and retrying goes through. A retry that
+ * arrives while the first is still in flight gets 409; reusing a key for a different body, 422.
+ *
+ * Separately, a request that looks like one accepted moments ago (same strategy, action,
+ * code and amount within DUPLICATE_WINDOW) but carries a new key is held back with 409
+ * `{ requiresConfirmation: true, duplicateOf }` until it is resent with
+ * `X-Confirm-Duplicate: true`.
+ */
+const crypto = require('crypto');
+const { captureBody } = require('./proxy');
+
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+// A key whose first request never produced a response (browser gone mid-request) stays
+// blocked this long: the order may well have been queued, so a quick retry must not resend it.
+const PENDING_TIMEOUT_MS = 3 * 60 * 1000;
+
+const KEY_HEADER = 'idempotency-key';
+const CONFIRM_HEADER = 'x-confirm-duplicate';
+
+const hashOf = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+// What makes two orders / cash moves "the same" for the duplicate warning.
+const similarityKey = (route, body) => JSON.stringify(route === '/order'
+  ? [route, body.strategy, body.action, String(body.code || '').toUpperCase(), Number(body.amount), body.dry_run]
+  : [route, body.strategy, body.action, Number(body.amount), body.dry_run]);
+
+/**
+ * Build the guard.
+ * @param {Object} [options]
+ * @param {number} [options.windowMs] - how long a key's response is kept
+ * @param {number} [options.duplicateWindowMs] - how far back near-identical requests are flagged
+ * @returns {{ middleware: Function, inspect: Function }}
+ */
+const createIdempotencyGuard = ({ windowMs = IDEMPOTENCY_WINDOW_MS, duplicateWindowMs = DUPLICATE_WINDOW_MS } = {}) => {
+  const keys = new Map(); // scoped key -> { fingerprint, state: 'pending'|'done', status, headers, body, at }
+  const recent = []; // accepted requests: { similarity, at, user, key }
+
+  const prune = () => {
+    const now = Date.now();
+    keys.forEach((entry, key) => {
+      const ttl = entry.state === 'done' ? windowMs : PENDING_TIMEOUT_MS;
+      if (now - entry.at > ttl) keys.delete(key);
+    });
+    while (recent.length > 0 && now - recent[0].at > duplicateWindowMs) recent.shift();
+  };
+
+  /** Express middleware for POST /api/{order,cash}; mount after auth, before risk checks and the proxy. */
+  const middleware = (req, res, next) => {
+    prune();
+    const route = req.path.replace(/^\/api/, '');
+    const body = req.body || {};
+    const user = req.user ? req.user.username : null;
+    const key = req.get(KEY_HEADER);
+    const scoped = key && [req.backend.name, user || '-', route, key].join('|');
+    const fingerprint = hashOf(body);
+
+    if (scoped && keys.has(scoped)) {
+      const entry = keys.get(scoped);
+      if (entry.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          detail: 'This Idempotency-Key was already used for a different request. Review the order again to get a new key.',
+        });
+      }
+      if (entry.state === 'pending') {
+        return res.status(409).json({
+          error: 'Request in progress',
+          detail: 'The same request is still being processed; its result will not be duplicated.',
+        });
+      }
+      console.log(`[Idempotency] Replaying ${route} response for key ${key}`);
+      res.status(entry.status);
+      Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.end(entry.body);
+    }
+
+    const similarity = similarityKey(route, body);
+    const previous = recent.find((r) => r.similarity === similarity);
+    if (previous && req.get(CONFIRM_HEADER) !== 'true') {
+      const secondsAgo = Math.round((Date.now() - previous.at) / 1000);
+      return res.status(409).json({
+        error: 'Possible duplicate',
+        detail: `An identical ${route === '/order' ? 'order' : 'cash operation'} was accepted ${secondsAgo}s ago${previous.user ? ` (by ${previous.user})` : ''}. Confirm to submit it again.`,
+        requiresConfirmation: true,
+        duplicateOf: { at: new Date(previous.at).toISOString(), user: previous.user, secondsAgo },
+      });
+    }
+
+    if (scoped) keys.set(scoped, { fingerprint, state: 'pending', at: Date.now() });
+    const sentBody = captureBody(res);
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        recent.push({ similarity, at: Date.now(), user, key });
+      }
+      if (!scoped) return;
+      if (res.statusCode >= 300) {
+        // Rejected (risk check, backend validation) or failed: nothing was queued, so a retry
+        // with the same key, e.g. the basket's "Retry failed", must be sent again.
+        keys.delete(scoped);
+        return;
+      }
+      const headers = {};
+      ['content-type'].forEach((name) => {
+        if (res.getHeader(name)) headers[name] = res.getHeader(name);
+      });
+      keys.set(scoped, { fingerprint, state: 'done', status: res.statusCode, headers, body: sentBody(), at: Date.now() });
+    });
+    next();
+  };
+
+  /** Snapshot for debugging. */
+  const inspect = () => ({ keys: keys.size, recent: recent.length });
+
+  return { middleware, inspect };
+};
+
+module.exports = {
+  createIdempotencyGuard,
+};
@@ -0,0 +1,302 @@
+/**
+ * Order blotter: a local stand-in store for orders placed through the BFF.
+ *
+ * The backend queues an order (POST /order) but has no endpoint to list or cancel
+ * orders. Until it does, the BFF keeps its own record of every order it forwarded
+ * (ORDERS_FILE, default ./data/orders.json):
+ *
+ *   { id, backend, strategy, mode, action, code, amount, price, user, idempotencyKey,
+ *     backendOrderId, status, submittedAt, updatedAt, filledQuantity, avgFillPrice, fills,
+ *     reason, cancelRequestedAt, cancelledBy }
+ *
+ * `status` is one of queued | working | filled | unconfirmed | rejected | cancelled. Orders
+ * the BFF or backend refused (risk checks, validation) are kept as `rejected` with the reason.
+ * An order whose client disconnected before the response is kept as `queued` with no
+ * backendOrderId and a note: it may have reached the engine, so reconciliation still runs.
+ * Fills are found by reconciling against the backend's transactions for the strategy:
+ *   - a transaction carrying the order id from the POST /order response (`order_id`) or the
+ *     order's Idempotency-Key (`idempotency_key`) fills that order (`working` = partially);
+ *   - otherwise, for orders the backend gave no id, a transaction of the same code and side,
+ *     executed after submission, for exactly the open quantity and within the limit price,
+ *     fills the oldest such order. The strategy engine trades the same names, so such a
+ *     match is a guess and the order ends `unconfirmed` rather than `filled`.
+ *
+ * Cancel only marks the order in this store — it cannot recall what the engine already
+ * has. Fills that show up within a day of the cancel are still attributed (a cancelled
+ * order may carry a filledQuantity, or end up `filled` / `unconfirmed`), so the mismatch is visible.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { captureBody } = require('./proxy');
+const { normalizeCode } = require('./risk');
+
+const DEFAULT_ORDERS_FILE = path.join(__dirname, '..', 'data', 'orders.json');
+
+const OPEN_STATUSES = new Set(['queued', 'working']);
+// Statuses that never come back: the request never reached the engine as an order.
+const NOT_AN_ORDER = new Set([401, 403, 409]);
+// Engine clocks and ours may differ a little; fills this much "before" submission still count.
+const CLOCK_SLACK_MS = 60 * 1000;
+const CANCEL_WATCH_MS = 24 * 60 * 60 * 1000;
+
+// Local "YYYY-MM-DD HH:MM:SS", the format of the backend's execution_datetime.
+const localDateTime = (ms) => new Date(ms).toLocaleString('sv-SE');
+
+const modeOf = (payload) => (payload.dry_run === false ? 'LIVE' : 'DRY RUN');
+
+// The backend's id for a queued order, when its POST /order response has one.
+const backendOrderIdOf = (buffer) => {
+  try {
+    const body = JSON.parse(buffer.toString('utf8'));
+    const id = body.order_id != null ? body.order_id : body.order && body.order.order_id;
+    return id != null ? String(id) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// A transaction the backend tied to an order (by its id or our Idempotency-Key).
+const isTagged = (tx) => tx.order_id != null || tx.idempotency_key != null;
+
+const fillsOrderById = (tx, order) =>
+  (tx.order_id != null && order.backendOrderId != null && String(tx.order_id) === order.backendOrderId)
+  || (tx.idempotency_key != null && order.idempotencyKey != null && tx.idempotency_key === order.idempotencyKey);
+
+// Fallback for untagged transactions: the whole open quantity, at or better than the limit.
+const looksLikeFill = (tx, order, executedAt) => {
+  const price = Number(tx.price);
+  const withinLimit = order.price == null
+    || (order.action === 'BUY' ? price <= order.price + 1e-9 : price >= order.price - 1e-9);
+  return order.backendOrderId == null
+    && order.code === normalizeCode(tx.code)
+    && order.action === String(tx.action).toUpperCase()
+    && Number(tx.quantity) === order.amount - order.filledQuantity
+    && withinLimit
+    && executedAt >= localDateTime(Date.parse(order.submittedAt) - CLOCK_SLACK_MS);
+};
+
+const statusFor = (order) => {
+  if (order.filledQuantity >= order.amount) {
+    return order.fills.every((f) => f.matchedBy === 'id') ? 'filled' : 'unconfirmed';
+  }
+  if (order.cancelRequestedAt) return 'cancelled'; // possibly partially filled
+  return order.filledQuantity > 0 ? 'working' : 'queued';
+};
+
+// Open orders, plus recently cancelled ones: the engine may still fill what it already had.
+const isTracked = (order) => OPEN_STATUSES.has(order.status)
+  || (order.status === 'cancelled' && Date.now() - Date.parse(order.cancelRequestedAt) < CANCEL_WATCH_MS);
+
+// Why the BFF or backend refused an order, from the JSON error body.
+const rejectReason = (buffer, statusCode) => {
+  try {
+    const body = JSON.parse(buffer.toString('utf8'));
+    const detail = body.detail || body.message || body.error;
+    if (detail) return typeof detail === 'string' ? detail : JSON.stringify(detail);
+  } catch (error) {
+    // not JSON
+  }
+  return `HTTP ${statusCode}`;
+};
+
+/**
+ * Build the order store.
+ * @param {Object} options
+ * @param {string} options.file - JSON path; its directory is created if missing
+ * @returns {{ middleware: Function, list: Function, cancel: Function }}
+ */
+const createOrderStore = ({ file }) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let orders = [];
+  try {
+    orders = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`[Orders] Cannot read ${file}, starting empty:`, error.message);
+  }
+
+  // Rewrite the whole file via a temp file, so a crash mid-write leaves the old copy intact.
+  const save = () => {
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(orders, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (error) {
+      console.error('[Orders] Write failed:', error.message);
+    }
+  };
+
+  /**
+   * Express middleware for POST /api/order; mount after the idempotency guard (replays and
+   * duplicate warnings are not new orders) and before the risk checks (so rejections are kept).
+   */
+  const middleware = (req, res, next) => {
+    const sentBody = captureBody(res);
+    let recorded = false;
+
+    // statusCode null: the client went away before the response, so the outcome is unknown
+    const recordOrder = (statusCode) => {
+      if (recorded) return;
+      recorded = true;
+      if (statusCode >= 500 || NOT_AN_ORDER.has(statusCode)) return;
+      const payload = req.body || {};
+      if (!payload.strategy || !payload.code) return;
+      const now = new Date().toISOString();
+      const aborted = statusCode == null;
+      const rejected = !aborted && statusCode >= 400;
+      const order = {
+        id: crypto.randomUUID(),
+        backend: req.backend.name,
+        strategy: payload.strategy,
+        mode: modeOf(payload),
+        action: String(payload.action || '').toUpperCase(),
+        code: normalizeCode(payload.code),
+        amount: Number(payload.amount) || 0,
+        price: payload.price != null ? Number(payload.price) : null,
+        user: req.user ? req.user.username : null,
+        idempotencyKey: req.get('Idempotency-Key') || null,
+        backendOrderId: rejected || aborted ? null : backendOrderIdOf(sentBody()),
+        status: rejected ? 'rejected' : 'queued',
+        submittedAt: now,
+        updatedAt: now,
+        filledQuantity: 0,
+        avgFillPrice: null,
+        fills: [],
+        reason: rejected ? rejectReason(sentBody(), statusCode)
+          : (aborted ? 'Client disconnected before the response; the backend may not have queued it.' : null),
+        cancelRequestedAt: null,
+        cancelledBy: null,
+      };
+      orders.push(order);
+      save();
+    };
+
+    res.on('finish', () => recordOrder(res.statusCode));
+    // Client gone mid-request: the order may already be with the engine, so keep tracking it
+    res.on('close', () => {
+      if (!res.writableFinished) recordOrder(null);
+    });
+    next();
+  };
+
+  /**
+   * Attribute new backend transactions to the open orders of one strategy/mode.
+   * @returns {Promise<boolean>} whether anything changed
+   */
+  const reconcile = async (backend, strategy, mode) => {
+    const open = orders
+      .filter((o) => o.backend === backend.name && o.strategy === strategy && o.mode === mode
+        && isTracked(o))
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    if (open.length === 0) return false;
+
+    const earliest = Date.parse(open[0].submittedAt) - CLOCK_SLACK_MS;
+    const { data } = await backend.breaker.call(() => axios.get(
+      `${backend.url}/strategy/${encodeURIComponent(strategy)}/transactions`,
+      {
+        params: {
+          limit: 1000,
+          dry_run: mode !== 'LIVE',
+          start_date: localDateTime(earliest).slice(0, 10),
+          end_date: localDateTime(Date.now()).slice(0, 10),
+        },
+        timeout: 15 * 1000,
+      },
+    ), { retry: true });
+
+    const claimed = new Set(orders
+      .filter((o) => o.backend === backend.name && o.strategy === strategy)
+      .flatMap((o) => o.fills.map((f) => String(f.transactionId))));
+    const transactions = (Array.isArray(data) ? data : [])
+      .filter((tx) => !claimed.has(String(tx.id)))
+      .sort((a, b) => String(a.execution_datetime).localeCompare(String(b.execution_datetime)));
+
+    let changed = false;
+    transactions.forEach((tx) => {
+      const executedAt = tx.execution_datetime || `${tx.trade_date} 23:59:59`;
+      const byId = isTagged(tx);
+      const order = open.find((o) => o.filledQuantity < o.amount
+        && (byId ? fillsOrderById(tx, o) : looksLikeFill(tx, o, executedAt)));
+      if (!order) return;
+      const quantity = Math.min(Number(tx.quantity), order.amount - order.filledQuantity);
+      const cost = (order.avgFillPrice || 0) * order.filledQuantity + Number(tx.price) * quantity;
+      order.fills.push({
+        transactionId: tx.id,
+        tradeDate: tx.trade_date,
+        executedAt,
+        quantity,
+        price: Number(tx.price),
+        matchedBy: byId ? 'id' : 'guess',
+      });
+      order.filledQuantity += quantity;
+      order.avgFillPrice = Number((cost / order.filledQuantity).toFixed(4));
+      order.status = statusFor(order);
+      order.updatedAt = new Date().toISOString();
+      changed = true;
+    });
+    return changed;
+  };
+
+  /**
+   * Orders for one backend, newest first, after reconciling the open ones against the backend.
+   * @param {Object} backend - from the backend registry
+   * @param {Object} filters - all optional: strategy, mode, status
+   * @returns {Promise<{ orders: Array, reconcileErrors: Array }>}
+   */
+  const list = async (backend, { strategy, mode, status } = {}) => {
+    const groups = new Map();
+    orders
+      .filter((o) => o.backend === backend.name && (!strategy || o.strategy === strategy) && (!mode || o.mode === mode)
+        && isTracked(o))
+      .forEach((o) => groups.set(`${o.strategy}|${o.mode}`, [o.strategy, o.mode]));
+
+    const reconcileErrors = [];
+    let changed = false;
+    for (const [name, orderMode] of groups.values()) {
+      try {
+        changed = (await reconcile(backend, name, orderMode)) || changed;
+      } catch (error) {
+        console.error(`[Orders] Reconcile failed for ${name} [${orderMode}]:`, error.message);
+        reconcileErrors.push({ strategy: name, mode: orderMode, error: error.message });
+      }
+    }
+    if (changed) save();
+
+    return {
+      orders: orders
+        .filter((o) => o.backend === backend.name
+          && (!strategy || o.strategy === strategy)
+          && (!mode || o.mode === mode)
+          && (!status || o.status === status))
+        .slice()
+        .reverse(),
+      reconcileErrors,
+    };
+  };
+
+  /**
+   * Mark an open order cancelled.
+   * @returns {{ order?: Object, error?: string, status?: number }}
+   */
+  const cancel = (backend, id, user) => {
+    const order = orders.find((o) => o.id === id && o.backend === backend.name);
+    if (!order) return { status: 404, error: 'Order not found' };
+    if (!OPEN_STATUSES.has(order.status)) {
+      return { status: 409, error: `Order is ${order.status}; only queued or working orders can be cancelled.` };
+    }
+    order.cancelRequestedAt = new Date().toISOString();
+    order.cancelledBy = user || null;
+    order.status = statusFor(order);
+    order.updatedAt = order.cancelRequestedAt;
+    save();
+    return { order };
+  };
+
+  return { middleware, list, cancel };
+};
+
+module.exports = {
+  DEFAULT_ORDERS_FILE,
+  createOrderStore,
+};
@@ -0,0 +1,218 @@
+/**
+ * Generic /api/* forwarder for the BFF.
+ *
+ * Forwards any HTTP method to the FastAPI backend and relays the response as-is:
+ * status code, headers and raw body bytes. Bodies are streamed, so CSV/Excel
+ * downloads (and anything else non-JSON) reach the browser unchanged.
+ */
+const { pipeline } = require('stream');
+const axios = require('axios');
+
+// Hop-by-hop headers (RFC 7230 §6.1) must not be forwarded by a proxy.
+const HOP_BY_HOP = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+]);
+
+// Request headers that only mean something to the BFF itself.
+const BFF_ONLY = new Set(['host', 'content-length', 'origin', 'cookie', 'x-backend']);
+
+// Query parameter that selects the backend (see backends.js); like X-Backend, never sent upstream.
+const BACKEND_PARAM = 'backend';
+
+const METHODS_WITHOUT_BODY = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Time to wait for the backend's response headers; a realtime recompute can take this long.
+const UPSTREAM_TIMEOUT_MS = 120 * 1000;
+
+/**
+ * Strip the `/api` prefix and keep the raw query string (repeated keys included) minus the
+ * BFF's own `?backend=` selector, so it isn't forwarded and doesn't split cache keys.
+ * @param {import('express').Request} req
+ * @returns {string} e.g. `/strategy/foo/holdings?dry_run=true`
+ */
+const backendPath = (req) => {
+  const q = req.originalUrl.indexOf('?');
+  const params = q >= 0
+    ? req.originalUrl.slice(q + 1).split('&').filter((part) => part && part.split('=')[0] !== BACKEND_PARAM)
+    : [];
+  return `${req.path.replace(/^\/api/, '')}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+};
+
+/**
+ * Request headers to send upstream. Host/length are recomputed by axios; CORS,
+ * sessions and backend selection are the BFF's job, so Origin, Cookie and
+ * X-Backend are not passed on.
+ */
+const requestHeaders = (req) => {
+  const headers = {};
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (HOP_BY_HOP.has(name) || BFF_ONLY.has(name)) return;
+    headers[name] = value;
+  });
+  return headers;
+};
+
+/**
+ * Request body to send upstream. express.json()/urlencoded() have already consumed
+ * parsed bodies, so those are re-serialized; anything else (multipart, octet-stream)
+ * is still unread and is piped through untouched.
+ */
+const requestBody = (req) => {
+  if (METHODS_WITHOUT_BODY.has(req.method)) return undefined;
+  if (req._body) {
+    return req.is('application/x-www-form-urlencoded')
+      ? new URLSearchParams(req.body).toString()
+      : JSON.stringify(req.body);
+  }
+  return req;
+};
+
+/**
+ * Send a request to the backend.
+ * Never rejects on an HTTP error status — only on network failure (or an open
+ * circuit, code CIRCUIT_OPEN) — so callers can relay 4xx/5xx bodies verbatim.
+ * @param {Object} request - { method, path, headers, data }; `path` as from backendPath
+ * @param {string} baseUrl - Backend API base, e.g. http://localhost:8001/api
+ * @param {Object} [breaker] - the backend's circuit breaker (see breaker.js); bodiless requests are retried
+ * @returns {Promise<import('axios').AxiosResponse>} response with `data` as a stream
+ */
+const fetchUpstream = ({ method, path, headers, data }, baseUrl, breaker) => {
+  const send = () => axios.request({
+    method,
+    url: `${baseUrl}${path}`,
+    headers,
+    data,
+    responseType: 'stream',
+    decompress: false, // relay gzip/br bytes with their original Content-Encoding
+    maxRedirects: 0,
+    timeout: UPSTREAM_TIMEOUT_MS,
+    validateStatus: () => true,
+  });
+  return breaker ? breaker.call(send, { retry: METHODS_WITHOUT_BODY.has(method) }) : send();
+};
+
+/**
+ * Forward an incoming Express request to `${baseUrl}${backendPath(req)}`.
+ * @param {import('express').Request} req
+ * @param {string} baseUrl
+ * @param {Object} [breaker] - see fetchUpstream
+ * @returns {Promise<import('axios').AxiosResponse>} see fetchUpstream
+ */
+const forwardRequest = (req, baseUrl, breaker) =>
+  fetchUpstream({
+    method: req.method,
+    path: backendPath(req),
+    headers: requestHeaders(req),
+    data: requestBody(req),
+  }, baseUrl, breaker);
+
+/**
+ * Drain an upstream response into memory, for callers that need to inspect or keep
+ * the body (cache, audit). Only use for JSON-sized payloads, never for downloads.
+ * @param {import('axios').AxiosResponse} upstream - from fetchUpstream/forwardRequest
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>}
+ */
+const bufferResponse = async (upstream) => {
+  const chunks = [];
+  for await (const chunk of upstream.data) chunks.push(chunk);
+  return { status: upstream.status, headers: { ...upstream.headers }, body: Buffer.concat(chunks) };
+};
+
+/** Response headers that are safe to relay to the browser. */
+const relayHeaders = (res, headers) => {
+  Object.entries(headers).forEach(([name, value]) => {
+    if (HOP_BY_HOP.has(name) || name.startsWith('access-control-')) return;
+    res.setHeader(name, value);
+  });
+};
+
+/**
+ * Send a buffered response (see bufferResponse) to the browser.
+ * @param {{status: number, headers: Object, body: Buffer}} buffered
+ * @param {import('express').Response} res
+ */
+const sendBuffered = ({ status, headers, body }, res) => {
+  res.status(status);
+  relayHeaders(res, headers);
+  res.setHeader('content-length', body.length);
+  res.end(body);
+};
+
+/**
+ * Copy an upstream response onto the Express response and stream the body.
+ * @param {import('axios').AxiosResponse} upstream - from forwardRequest
+ * @param {import('express').Response} res
+ */
+const pipeResponse = (upstream, res) => {
+  res.status(upstream.status);
+  relayHeaders(res, upstream.headers);
+  // pipeline tears down both sides on error: a backend reset mid-body aborts the download
+  // instead of crashing the process, and a browser that goes away stops the backend read.
+  pipeline(upstream.data, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('[Proxy] Response stream failed:', error.message);
+    }
+  });
+};
+
+/**
+ * Answer a request whose backend call failed without an HTTP response: 503 with
+ * Retry-After while the circuit is open, 502 for a one-off network error.
+ * @param {Error} error - rejection from fetchUpstream/forwardRequest
+ * @param {import('express').Response} res
+ */
+const sendUpstreamError = (error, res) => {
+  if (error.code === 'CIRCUIT_OPEN') {
+    const retryAfterSeconds = Math.ceil(error.retryAfterMs / 1000);
+    res.setHeader('Retry-After', retryAfterSeconds);
+    return res.status(503).json({
+      error: 'Backend unavailable',
+      details: error.message,
+      retryAfterSeconds,
+    });
+  }
+  res.status(502).json({
+    error: error.message,
+    details: 'Failed to connect to backend API',
+  });
+};
+
+/**
+ * Tee whatever is written to an Express response, for middleware that needs the body
+ * once it has been sent (audit, fixture recording). Install before the response starts.
+ * @param {import('express').Response} res
+ * @returns {() => Buffer} the bytes sent so far (complete once 'finish' fires)
+ */
+const captureBody = (res) => {
+  const chunks = [];
+  const { write, end } = res;
+  res.write = function (chunk, ...args) {
+    if (chunk) chunks.push(Buffer.from(chunk));
+    return write.call(this, chunk, ...args);
+  };
+  res.end = function (chunk, ...args) {
+    if (chunk && typeof chunk !== 'function') chunks.push(Buffer.from(chunk));
+    return end.call(this, chunk, ...args);
+  };
+  return () => Buffer.concat(chunks);
+};
+
+module.exports = {
+  BACKEND_PARAM,
+  backendPath,
+  requestHeaders,
+  fetchUpstream,
+  forwardRequest,
+  bufferResponse,
+  sendBuffered,
+  pipeResponse,
+  sendUpstreamError,
+  captureBody,
+};
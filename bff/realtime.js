@@ -0,0 +1,204 @@
+/**
+ * Server-Sent Events push channel for realtime updates.
+ *
+ * Browsers subscribe to GET /events?strategy=&dry_run=&interval=. The BFF keeps one
+ * channel per (strategy, mode): while it has subscribers, it runs the backend's
+ * POST /realtime-update on a timer — once, no matter how many tabs are open — then
+ * diffs the portfolio snapshot against the previous one and broadcasts an `update`
+ * event naming the dashboard sections that changed. Tabs refetch only those.
+ *
+ * Event payload:
+ *   { strategy, dryRun, at, status, message, changed, sections, newTrades, portfolio }
+ * where sections ⊆ ['portfolio', 'summary', 'performance', 'holdings', 'transactions'].
+ */
+const axios = require('axios');
+
+const MIN_INTERVAL_MS = 60 * 1000;
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 25 * 1000; // keeps idle proxies/tunnels from closing the stream
+const REQUEST_TIMEOUT_MS = 120 * 1000; // a recompute can take a while on the backend
+
+const PORTFOLIO_PARAMS = { days: '100', trades: '20' }; // same window the dashboard asks for
+
+const channelKey = (strategy, dryRun) => `${strategy}|${dryRun ? 'dry' : 'live'}`;
+
+/**
+ * Work out which sections a new snapshot invalidates.
+ * New trades touch everything; a value move without trades leaves the trade and
+ * holdings lists alone.
+ */
+const diffSnapshots = (previous, current) => {
+  if (!current) return { sections: [], newTrades: [] };
+  const seen = new Set(((previous && previous.recent_trades) || []).map((t) => t.id));
+  const newTrades = previous ? (current.recent_trades || []).filter((t) => !seen.has(t.id)) : [];
+  if (newTrades.length > 0) {
+    return { sections: ['portfolio', 'summary', 'performance', 'holdings', 'transactions'], newTrades };
+  }
+  const before = previous ? JSON.stringify([previous.as_of, previous.kpis, previous.positions]) : null;
+  const after = JSON.stringify([current.as_of, current.kpis, current.positions]);
+  return { sections: before === after ? [] : ['portfolio', 'summary', 'performance'], newTrades };
+};
+
+/**
+ * Build the push channel.
+ * @param {Object} options
+ * @param {string} options.baseUrl - Backend API base URL
+ * @param {Object} [options.breaker] - the backend's circuit breaker; ticks fail fast while it is open
+ * @param {Function} [options.onDataChanged] - called with the strategy after each successful update (cache eviction)
+ * @returns {{ subscribe: Function, notifyOnUpdate: Function, inspect: Function }}
+ */
+const createRealtimeHub = ({ baseUrl, breaker, onDataChanged = () => {} }) => {
+  const channels = new Map(); // key -> { strategy, dryRun, clients: Map<res, intervalMs>, timer, intervalMs, snapshot, running }
+  const guarded = (fn, options) => (breaker ? breaker.call(fn, options) : fn());
+
+  const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const broadcast = (channel, event, data) => {
+    channel.clients.forEach((interval, res) => send(res, event, data));
+  };
+
+  const fetchSnapshot = async (channel) => {
+    try {
+      const { data } = await guarded(() => axios.get(`${baseUrl}/strategy/${encodeURIComponent(channel.strategy)}/portfolio`, {
+        params: { dry_run: channel.dryRun, ...PORTFOLIO_PARAMS },
+        timeout: REQUEST_TIMEOUT_MS,
+      }), { retry: true });
+      return data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null; // no computed data yet
+      throw error;
+    }
+  };
+
+  /**
+   * Take a fresh snapshot and broadcast whatever changed.
+   * @param {Object} channel
+   * @param {Object} update - { status, message } from the realtime-update call, if any
+   */
+  const publishSnapshot = async (channel, update = {}) => {
+    const snapshot = await fetchSnapshot(channel);
+    const { sections, newTrades } = diffSnapshots(channel.snapshot, snapshot);
+    channel.snapshot = snapshot;
+    broadcast(channel, 'update', {
+      strategy: channel.strategy,
+      dryRun: channel.dryRun,
+      at: new Date().toISOString(),
+      status: update.status || 'success',
+      message: update.message || null,
+      changed: sections.length > 0,
+      sections,
+      newTrades,
+      portfolio: sections.includes('portfolio') ? snapshot : undefined,
+    });
+  };
+
+  const tick = async (channel) => {
+    if (channel.running) return; // previous recompute still in flight
+    channel.running = true;
+    try {
+      const { data: update } = await guarded(() => axios.post(`${baseUrl}/realtime-update`, {
+        strategy: channel.strategy,
+        dry_run: channel.dryRun,
+        lookback_days: 3,
+      }, { timeout: REQUEST_TIMEOUT_MS }));
+      console.log(`[Realtime] ${channel.strategy} (${channel.dryRun ? 'dry run' : 'live'}): ${update.status}`);
+      onDataChanged(channel.strategy);
+      await publishSnapshot(channel, update);
+    } catch (error) {
+      console.error(`[Realtime] Update failed for ${channel.strategy}:`, error.message);
+      broadcast(channel, 'update-error', {
+        strategy: channel.strategy,
+        dryRun: channel.dryRun,
+        at: new Date().toISOString(),
+        message: error.response?.data?.detail || error.message,
+      });
+    } finally {
+      channel.running = false;
+    }
+  };
+
+  // (Re)start the timer at the fastest interval any subscriber asked for.
+  const schedule = (channel) => {
+    const intervalMs = Math.min(...channel.clients.values());
+    if (channel.timer && channel.intervalMs === intervalMs) return;
+    clearInterval(channel.timer);
+    channel.intervalMs = intervalMs;
+    channel.timer = setInterval(() => tick(channel), intervalMs);
+  };
+
+  /** Express handler for GET /events. */
+  const subscribe = (req, res) => {
+    const { strategy } = req.query;
+    if (!strategy) return res.status(400).json({ error: 'strategy is required' });
+    const dryRun = req.query.dry_run !== 'false';
+    const intervalMs = Math.max(MIN_INTERVAL_MS, Number(req.query.interval) || DEFAULT_INTERVAL_MS);
+
+    const key = channelKey(strategy, dryRun);
+    let channel = channels.get(key);
+    if (!channel) {
+      channel = { strategy, dryRun, clients: new Map(), timer: null, intervalMs: null, snapshot: null, running: false };
+      channels.set(key, channel);
+      // Baseline for the first diff; failures just mean the first tick reports everything.
+      fetchSnapshot(channel)
+        .then((snapshot) => { channel.snapshot = snapshot; })
+        .catch((error) => console.error(`[Realtime] Baseline snapshot failed for ${strategy}:`, error.message));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    channel.clients.set(res, intervalMs);
+    schedule(channel);
+    send(res, 'ready', { strategy, dryRun, intervalMs: channel.intervalMs, subscribers: channel.clients.size });
+    console.log(`[Realtime] +1 subscriber on ${key} (${channel.clients.size} total, every ${channel.intervalMs / 1000}s)`);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      channel.clients.delete(res);
+      if (channel.clients.size === 0) {
+        clearInterval(channel.timer);
+        channels.delete(key);
+        console.log(`[Realtime] Closed ${key} (no subscribers)`);
+      } else {
+        schedule(channel);
+      }
+    });
+  };
+
+  /**
+   * Express middleware for a manual POST /api/realtime-update: once the backend is
+   * done, push the new snapshot to every other tab watching that strategy.
+   */
+  const notifyOnUpdate = (req, res, next) => {
+    res.on('finish', () => {
+      const { strategy, dry_run: dryRun = true } = req.body || {};
+      const channel = strategy && channels.get(channelKey(strategy, dryRun !== false));
+      if (res.statusCode < 400 && channel) {
+        publishSnapshot(channel).catch((error) => console.error('[Realtime] Snapshot failed:', error.message));
+      }
+    });
+    next();
+  };
+
+  /** Snapshot for /health/backends and debugging. */
+  const inspect = () => [...channels.entries()].map(([key, channel]) => ({
+    key,
+    subscribers: channel.clients.size,
+    intervalSeconds: channel.intervalMs / 1000,
+    running: channel.running,
+    asOf: channel.snapshot ? channel.snapshot.as_of : null,
+  }));
+
+  return { subscribe, notifyOnUpdate, inspect };
+};
+
+module.exports = {
+  createRealtimeHub,
+  diffSnapshots,
+};
@@ -0,0 +1,342 @@
+/**
+ * Pre-trade risk checks for POST /api/order, enforced in the BFF before forwarding.
+ *
+ * Limits come from a JSON file (RISK_LIMITS_FILE, default ./risk-limits.json, re-read on
+ * every order so edits apply without a restart); `default` applies to every strategy and
+ * `strategies.<name>` overrides single keys. A null limit disables that check.
+ *
+ *   {
+ *     "default":    { "maxOrderNotional": 500000, "maxPositionWeight": 0.25, "boardLot": true,
+ *                     "priceLimitPct": "auto", "maxLiveOrdersPerDay": 20 },
+ *     "strategies": { "etf_rotation": { "maxPositionWeight": 0.5 } }
+ *   }
+ *
+ * Position sizes come from the strategy's portfolio snapshot on the backend. The last close
+ * a price is checked against is, in order: the snapshot's close for a held code, the backend's
+ * daily bars for the code (GET /benchmark/<code>/range), or a `reference_price` the client
+ * sent with the order. A check that needs a last close none of them gives rejects the order
+ * rather than skipping. Orders must say `dry_run: true|false`. A rejected order gets a 422
+ * with one entry per failed check:
+ *
+ *   { error: 'Risk check failed', detail, errors: [{ field, check, message, limit, actual }] }
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { sendUpstreamError } = require('./proxy');
+
+const DEFAULT_RISK_LIMITS_FILE = path.join(__dirname, '..', 'risk-limits.json');
+
+// Used when the file is missing or leaves a key out: only the exchange rules are on.
+const DEFAULT_LIMITS = {
+  maxOrderNotional: null,
+  maxPositionWeight: null,
+  boardLot: true,
+  priceLimitPct: 'auto',
+  maxLiveOrdersPerDay: null,
+};
+
+const EXCHANGE_OF = { SH: 'SH', SS: 'SH', XSHG: 'SH', SZ: 'SZ', XSHE: 'SZ' };
+
+/** `600000.XSHG` / `600000.SS` / `600000.SH` -> `600000.SH`, so order and position codes compare. */
+const normalizeCode = (code) => {
+  const [digits, suffix = ''] = String(code || '').toUpperCase().split('.');
+  return `${digits}.${EXCHANGE_OF[suffix] || suffix}`;
+};
+
+/**
+ * Daily price limit for a code under the exchange rules: ±20% on STAR (688) and
+ * ChiNext (300/301), ±10% elsewhere. ST names (±5%) aren't detectable from the code;
+ * configure a number for strategies that trade them.
+ */
+const autoLimitPct = (code) => (/^(688|300|301)/.test(code) ? 0.2 : 0.1);
+
+/** Board lot rule for a BUY; returns an error message or null. STAR: ≥200 shares in steps of 1. */
+const boardLotError = (code, amount) => {
+  if (code.startsWith('688')) return amount >= 200 ? null : 'STAR Market (688) buys must be at least 200 shares.';
+  return amount % 100 === 0 ? null : 'A-share buys must be whole board lots of 100 shares.';
+};
+
+// Local midnight as an ISO timestamp, comparable with audit entry timestamps.
+const startOfToday = () => {
+  const midnight = new Date();
+  midnight.setHours(0, 0, 0, 0);
+  return midnight.toISOString();
+};
+
+// How far back to look for a last close of a code the strategy doesn't hold (covers holidays).
+const QUOTE_LOOKBACK_DAYS = 14;
+
+// Local "YYYY-MM-DD", the date format of the backend's query parameters.
+const localDate = (ms) => new Date(ms).toLocaleString('sv-SE').slice(0, 10);
+
+const fmt = (n) => Number(n).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+/**
+ * Effective limits for one strategy.
+ * @param {string} file
+ * @param {string} strategy
+ */
+const loadLimits = (file, strategy) => {
+  if (!fs.existsSync(file)) return { ...DEFAULT_LIMITS };
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    ...DEFAULT_LIMITS,
+    ...(config.default || {}),
+    ...((config.strategies || {})[strategy] || {}),
+  };
+};
+
+/**
+ * Run every enabled check against one order.
+ * @param {Object} order - the POST /order body
+ * @param {Object} limits - from loadLimits
+ * @param {Object} context
+ * @param {Object|null} context.portfolio - backend portfolio snapshot (null when the strategy has none yet)
+ * @param {number} context.liveOrdersToday - accepted LIVE orders for this strategy today
+ * @param {{ close: number, date: string }|null} [context.quote] - backend last close for a code not held
+ * @returns {{ errors: Array, warnings: string[] }}
+ */
+const evaluateOrder = (order, limits, { portfolio, liveOrdersToday, quote = null }) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (field, check, message, limit, actual) => errors.push({ field, check, message, limit, actual });
+
+  const code = normalizeCode(order.code);
+  const amount = Number(order.amount);
+  const isBuy = order.action === 'BUY';
+  const positions = (portfolio && portfolio.positions) || [];
+  const position = positions.find((p) => normalizeCode(p.stock_code) === code);
+  const limitPrice = Number(order.price) > 0 ? Number(order.price) : null;
+
+  // Last close: the held position's, else the backend's bars, else the one the client sent
+  let lastClose = null;
+  let closeLabel = 'the last close';
+  if (order.reference_price != null && !(Number(order.reference_price) > 0)) {
+    fail('reference_price', 'referencePrice', 'reference_price must be a positive number.', null, order.reference_price);
+  }
+  if (position && Number(position.close_price) > 0) {
+    lastClose = Number(position.close_price);
+  } else if (quote) {
+    lastClose = quote.close;
+    closeLabel = `the ${quote.date} close`;
+  } else if (Number(order.reference_price) > 0) {
+    lastClose = Number(order.reference_price);
+    closeLabel = 'the reference price sent with the order';
+    warnings.push(`No last close for ${code} on the backend; using the client's reference price ${fmt(lastClose)}.`);
+  }
+  const price = limitPrice != null ? limitPrice : lastClose;
+
+  // The mode decides which limits apply; an order that doesn't say is not guessed to be DRY RUN.
+  if (typeof order.dry_run !== 'boolean') {
+    fail('dry_run', 'mode', 'Choose the mode explicitly: dry_run must be true (DRY RUN) or false (LIVE).',
+      null, order.dry_run === undefined ? null : order.dry_run);
+  }
+
+  if (isBuy && limits.boardLot) {
+    const message = boardLotError(code, amount);
+    if (message) fail('amount', 'boardLot', message, code.startsWith('688') ? 200 : 100, amount);
+  }
+
+  if (limits.priceLimitPct != null && limitPrice != null) {
+    if (lastClose == null) {
+      // Fail closed, like the size limits: an unchecked limit price could be a fat finger.
+      fail('price', 'priceLimit',
+        `No last close for ${code} (not held by ${order.strategy}, no backend price data, no reference_price) to check the price band against.`,
+        null, limitPrice);
+    } else {
+      const pct = limits.priceLimitPct === 'auto' ? autoLimitPct(code) : Number(limits.priceLimitPct);
+      const low = lastClose * (1 - pct);
+      const high = lastClose * (1 + pct);
+      if (limitPrice < low - 1e-9 || limitPrice > high + 1e-9) {
+        fail('price', 'priceLimit',
+          `Price must be within ±${fmt(pct * 100)}% of ${closeLabel} ${fmt(lastClose)} (${fmt(low)} – ${fmt(high)}).`,
+          [Number(low.toFixed(3)), Number(high.toFixed(3))], limitPrice);
+      }
+    }
+  }
+
+  if (isBuy && (limits.maxOrderNotional != null || limits.maxPositionWeight != null)) {
+    if (price == null) {
+      // Fail closed: a size limit we can't evaluate must not wave the order through.
+      fail('price', 'referencePrice',
+        `Enter a limit price: ${code} has no last close (not held, no backend price data, no reference_price) to size this order against.`,
+        null, null);
+    } else {
+      const notional = amount * price;
+      if (limits.maxOrderNotional != null && notional > limits.maxOrderNotional) {
+        fail('amount', 'maxOrderNotional',
+          `Order value ${fmt(notional)} exceeds the ${fmt(limits.maxOrderNotional)} limit per order.`,
+          limits.maxOrderNotional, Number(notional.toFixed(2)));
+      }
+      const totalValue = portfolio && portfolio.kpis ? Number(portfolio.kpis.total_value) : 0;
+      if (limits.maxPositionWeight != null) {
+        if (!(totalValue > 0)) {
+          warnings.push('Strategy has no portfolio value yet; position weight not checked.');
+        } else {
+          const held = position ? Number(position.quantity) * price : 0;
+          const weight = (held + notional) / totalValue;
+          if (weight > limits.maxPositionWeight) {
+            fail('amount', 'maxPositionWeight',
+              `${code} would be ${fmt(weight * 100)}% of the portfolio (limit ${fmt(limits.maxPositionWeight * 100)}%).`,
+              limits.maxPositionWeight, Number(weight.toFixed(4)));
+          }
+        }
+      }
+    }
+  }
+
+  if (order.dry_run === false && limits.maxLiveOrdersPerDay != null && liveOrdersToday >= limits.maxLiveOrdersPerDay) {
+    fail('dry_run', 'maxLiveOrdersPerDay',
+      `Daily cap reached: ${liveOrdersToday} LIVE orders already placed today for ${order.strategy} (limit ${limits.maxLiveOrdersPerDay}).`,
+      limits.maxLiveOrdersPerDay, liveOrdersToday);
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Build the risk gate.
+ * @param {Object} options
+ * @param {string} options.file - risk limits JSON
+ * @param {Function} options.countLiveOrders - async (strategy, sinceIso) => number of accepted LIVE orders
+ * @returns {{ middleware: Function, limitsFor: Function }}
+ */
+const createRiskChecks = ({ file, countLiveOrders }) => {
+  // strategy -> { day, ready, count }: today's LIVE orders, seeded once a day from the audit
+  // trail and then kept here. A LIVE order takes its slot before it is forwarded, so orders
+  // in flight at the same time can't all pass the cap; a rejected or failed one gives it back.
+  const liveCounters = new Map();
+
+  const liveCounterFor = async (strategy) => {
+    const day = startOfToday();
+    let counter = liveCounters.get(strategy);
+    if (!counter || counter.day !== day) {
+      const fresh = { day, count: null };
+      fresh.ready = countLiveOrders(strategy, day).then((count) => { fresh.count = count; });
+      liveCounters.set(strategy, fresh);
+      counter = fresh;
+    }
+    try {
+      await counter.ready;
+    } catch (error) {
+      if (liveCounters.get(strategy) === counter) liveCounters.delete(strategy); // reload next time
+      throw error;
+    }
+    return counter;
+  };
+
+  // Hold a slot until the response is known; give it back if the order was rejected or failed.
+  // An aborted request keeps its slot: it may still have reached the backend.
+  const reserveLiveSlot = (counter, res) => {
+    counter.count += 1;
+    res.on('finish', () => {
+      if (res.statusCode >= 300) counter.count -= 1;
+    });
+  };
+
+  const fetchPortfolio = async (backend, strategy, dryRun) => {
+    const params = { days: '100', trades: '20' }; // same window the dashboard asks for
+    if (typeof dryRun === 'boolean') params.dry_run = dryRun;
+    try {
+      const { data } = await backend.breaker.call(() => axios.get(
+        `${backend.url}/strategy/${encodeURIComponent(strategy)}/portfolio`,
+        { params, timeout: 15 * 1000 },
+      ), { retry: true });
+      return data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null; // no computed data yet
+      throw error;
+    }
+  };
+
+  // Latest daily close the backend has for a code, or null when it has none (or can't say).
+  const fetchQuote = async (backend, code) => {
+    try {
+      const { data } = await backend.breaker.call(() => axios.get(
+        `${backend.url}/benchmark/${encodeURIComponent(code)}/range`,
+        {
+          params: {
+            start_date: localDate(Date.now() - QUOTE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+            end_date: localDate(Date.now()),
+          },
+          timeout: 15 * 1000,
+        },
+      ));
+      const rows = ((data && data.data) || []).filter((row) => Number(row.close) > 0);
+      const last = rows.reduce((latest, row) => (!latest || String(row.date) > String(latest.date) ? row : latest), null);
+      return last ? { close: Number(last.close), date: String(last.date).slice(0, 10) } : null;
+    } catch (error) {
+      console.warn(`[Risk] No backend price for ${code}:`, error.response ? `HTTP ${error.response.status}` : error.message);
+      return null;
+    }
+  };
+
+  // Only orders whose checks need a last close the snapshot doesn't have look one up.
+  const needsQuote = (order, limits, portfolio) => {
+    const code = normalizeCode(order.code);
+    const held = ((portfolio && portfolio.positions) || [])
+      .some((p) => normalizeCode(p.stock_code) === code && Number(p.close_price) > 0);
+    if (held) return false;
+    const priceBand = limits.priceLimitPct != null && Number(order.price) > 0;
+    const sizing = order.action === 'BUY' && !(Number(order.price) > 0)
+      && (limits.maxOrderNotional != null || limits.maxPositionWeight != null);
+    return priceBand || sizing;
+  };
+
+  /** Express middleware for POST /api/order; mount after auth and audit, before the proxy. */
+  const middleware = async (req, res, next) => {
+    const order = req.body || {};
+    if (!order.strategy || !order.code || !order.amount) return next(); // malformed: let the backend say so
+
+    let limits;
+    try {
+      limits = loadLimits(file, order.strategy);
+    } catch (error) {
+      console.error('[Risk] Cannot read limits file:', error.message);
+      return res.status(500).json({ error: 'Risk limits unavailable', detail: `Cannot read ${file}: ${error.message}` });
+    }
+
+    let portfolio;
+    let liveCounter;
+    try {
+      [portfolio, liveCounter] = await Promise.all([
+        fetchPortfolio(req.backend, order.strategy, order.dry_run),
+        order.dry_run === false && limits.maxLiveOrdersPerDay != null
+          ? liveCounterFor(order.strategy)
+          : null,
+      ]);
+    } catch (error) {
+      console.error('[Risk] Cannot load context for', order.strategy, error.message);
+      return error.response
+        ? res.status(502).json({ error: 'Risk check failed', detail: `Backend returned ${error.response.status} for the portfolio snapshot.` })
+        : sendUpstreamError(error, res);
+    }
+    const quote = needsQuote(order, limits, portfolio) ? await fetchQuote(req.backend, normalizeCode(order.code)) : null;
+
+    // No await from here to reserveLiveSlot: the cap check and the slot taken are one step
+    const liveOrdersToday = liveCounter ? liveCounter.count : 0;
+    const { errors, warnings } = evaluateOrder(order, limits, { portfolio, liveOrdersToday, quote });
+    warnings.forEach((w) => console.warn(`[Risk] ${order.strategy} ${order.code}: ${w}`));
+    if (errors.length > 0) {
+      console.warn(`[Risk] Rejected ${order.action} ${order.code} ×${order.amount} for ${order.strategy}: ${errors.map((e) => e.check).join(', ')}`);
+      return res.status(422).json({
+        error: 'Risk check failed',
+        detail: errors.map((e) => e.message).join(' '),
+        errors,
+        warnings,
+      });
+    }
+    if (liveCounter) reserveLiveSlot(liveCounter, res);
+    next();
+  };
+
+  return { middleware, limitsFor: (strategy) => loadLimits(file, strategy) };
+};
+
+module.exports = {
+  DEFAULT_RISK_LIMITS_FILE,
+  createRiskChecks,
+  evaluateOrder,
+  normalizeCode,
+};
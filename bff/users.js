@@ -0,0 +1,125 @@
+/**
+ * Local user file for BFF login.
+ *
+ * Users live in a JSON file (default ./users.json, git-ignored) with scrypt-hashed
+ * passwords — no plaintext ever touches disk:
+ *
+ *   { "users": [ { "username": "alice", "role": "trader", "passwordHash": "scrypt$<salt>$<hash>" } ] }
+ *
+ * Manage it from the command line:
+ *
+ *   npm run user -- add <username> <viewer|trader|admin>   # prompts for the password
+ *   npm run user -- remove <username>
+ *   npm run user -- list
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Ordered from least to most privileged; a role can do everything the roles before it can.
+const ROLES = ['viewer', 'trader', 'admin'];
+
+const KEY_LENGTH = 64;
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', 'users.json');
+
+/**
+ * Hash a password for storage.
+ * @param {string} password
+ * @returns {string} `scrypt$<salt hex>$<hash hex>`
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+/**
+ * Constant-time check of a password against a stored hash.
+ * @param {string} password
+ * @param {string} stored - value produced by hashPassword
+ * @returns {boolean}
+ */
+const verifyPassword = (password, stored) => {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * True when `role` is at least as privileged as `required`.
+ * @param {string} role
+ * @param {string} required
+ */
+const hasRole = (role, required) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * Read the user file.
+ * @param {string} file
+ * @returns {Array<{username: string, role: string, passwordHash: string}>} [] if the file is missing
+ */
+const loadUsers = (file) => {
+  if (!fs.existsSync(file)) return [];
+  const { users = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return users;
+};
+
+const saveUsers = (file, users) => {
+  fs.writeFileSync(file, `${JSON.stringify({ users }, null, 2)}\n`, { mode: 0o600 });
+};
+
+// Ask for a password on the terminal without echoing it.
+const promptPassword = (question) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (s) => { if (s.startsWith(question)) rl.output.write(s); };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+
+const cli = async ([command, username, role]) => {
+  const file = process.env.AUTH_USERS_FILE || DEFAULT_USERS_FILE;
+  const users = loadUsers(file);
+
+  if (command === 'list') {
+    users.forEach((u) => console.log(`${u.username}\t${u.role}`));
+    return;
+  }
+  if (command === 'remove' && username) {
+    saveUsers(file, users.filter((u) => u.username !== username));
+    console.log(`Removed ${username} from ${file}`);
+    return;
+  }
+  if (command === 'add' && username && ROLES.includes(role)) {
+    const password = process.env.QMT_PASSWORD || await promptPassword(`Password for ${username}: `);
+    if (password.length < 8) throw new Error('Password must be at least 8 characters.');
+    const others = users.filter((u) => u.username !== username);
+    saveUsers(file, [...others, { username, role, passwordHash: hashPassword(password) }]);
+    console.log(`${others.length < users.length ? 'Updated' : 'Added'} ${username} (${role}) in ${file}`);
+    return;
+  }
+  console.log(`Usage: node bff/users.js add <username> <${ROLES.join('|')}> | remove <username> | list`);
+  process.exitCode = 1;
+};
+
+if (require.main === module) {
+  cli(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_USERS_FILE,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  loadUsers,
+};
@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { TrendingUp, DollarSign, Activity, PieChart, Clock, AlertCircle, Calendar, RefreshCw, BarChart3, Wallet, List, ShoppingCart } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea } from 'recharts';
+import { TrendingUp, DollarSign, Activity, PieChart, Clock, Calendar, RefreshCw, BarChart3, Wallet, List, ShoppingCart, ScrollText, ClipboardList, ArrowLeftRight, Banknote } from 'lucide-react';
 import { ToastContainer } from './components/Toast';
 import { MetricCard } from './components/MetricCard';
 import { MetricsGrid } from './components/MetricsGrid';
@@ -8,9 +8,26 @@ import { LoadingSection } from './components/LoadingOverlay';
 import { AddOrderModal } from './components/AddOrderModal';
 import { AddCashModal } from './components/AddCashModal';
 import { PortfolioView } from './components/PortfolioView';
-import { calculateAllMetrics } from './metric_utils';
+import { RebalancePanel } from './components/RebalancePanel';
+import { LoginScreen, UserBadge } from './components/LoginScreen';
+import { AuditLogView } from './components/AuditLogView';
+import { OrdersView } from './components/OrdersView';
+import { TradesView } from './components/TradesView';
+import { CashLedgerView } from './components/CashLedgerView';
+import { RollingMetricsChart } from './components/RollingMetricsChart';
+import { DrawdownAnalysis } from './components/DrawdownAnalysis';
+import { MonthlyReturnsHeatmap } from './components/MonthlyReturnsHeatmap';
+import { ReturnDistributionChart } from './components/ReturnDistributionChart';
+import { MetricConventionsBar } from './components/MetricConventions';
+import { ReturnBasisBar } from './components/ReturnBasisBar';
+import { BackendSelector } from './components/BackendSelector';
+import { ConnectivityBadge } from './components/ConnectivityBadge';
+import { calculateAllMetrics, ALIGNMENT_MODES, alignBenchmarkToDates, describeAlignment, BUILTIN_PROFILES, DEFAULT_PROFILE_NAME, DEFAULT_CONVENTIONS, MATCHING_METHODS, deriveOpeningPositions, calculatePositionBook, valuePosition, PERFORMANCE_BASES, identifyCashFlows, summarizeReturns, applyPerformanceBasis, DRAWDOWN_SERIES, calculateDrawdownAnalysis } from './metric_utils';
+import { API_BASE_URL, BFF_BASE_URL, UNAUTHORIZED_EVENT, apiFetch, fetchTransactionHistory, getBackend, setBackend } from './api';
 
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3000/api';
+// Transactions fetched per load; trade matching and cash flows only see this many
+const TRANSACTIONS_LIMIT = 1000;
+const NO_POSITIONS = [];
 
 // LocalStorage keys
 const STORAGE_KEYS = {
@@ -22,7 +39,12 @@ const STORAGE_KEYS = {
   VALUE_DISPLAY_MODE: 'qmt_value_display_mode',
   ACTIVE_TAB: 'qmt_active_tab',
   REALTIME_UPDATE: 'qmt_realtime_update',
-  UPDATE_INTERVAL: 'qmt_update_interval'
+  UPDATE_INTERVAL: 'qmt_update_interval',
+  BENCHMARK_ALIGNMENT: 'qmt_benchmark_alignment',
+  METRIC_PROFILE: 'qmt_metric_profile',
+  METRIC_PROFILES: 'qmt_metric_profiles',
+  TRADE_MATCHING: 'qmt_trade_matching',
+  PERFORMANCE_BASIS: 'qmt_performance_basis'
 };
 
 // Realtime update intervals (in milliseconds)
@@ -52,6 +74,17 @@ const loadFromStorage = (key, defaultValue) => {
   }
 };
 
+// JSON values (objects); falls back to the default on missing or corrupt entries
+const loadJsonFromStorage = (key, defaultValue) => {
+  try {
+    const item = localStorage.getItem(key);
+    return item === null ? defaultValue : JSON.parse(item);
+  } catch (error) {
+    console.error(`Error loading ${key} from localStorage:`, error);
+    return defaultValue;
+  }
+};
+
 const saveToStorage = (key, value) => {
   try {
     localStorage.setItem(key, String(value));
@@ -60,7 +93,82 @@ const saveToStorage = (key, value) => {
   }
 };
 
+// Effective date range for data requests: the header dates, or the last 100 days if empty
+const getEffectiveDateRange = (startDate, endDate) => {
+  const today = new Date();
+  const defaultEndDate = today.toISOString().split('T')[0];
+  const default100DaysAgo = new Date(today.getTime() - 100 * 24 * 60 * 60 * 1000);
+  const defaultStartDate = default100DaysAgo.toISOString().split('T')[0];
+
+  return {
+    effectiveStartDate: startDate || defaultStartDate,
+    effectiveEndDate: endDate || defaultEndDate
+  };
+};
+
+// Daily PnL response -> chart rows
+const toDailyPnl = (pnlData) => pnlData.daily_values.map(d => ({
+  date: d.trade_date,
+  value: d.total_value,
+  cash: d.cash_balance,
+  holdings: d.holdings_value
+}));
+
+// Performance for a range: the precomputed metrics first (use_metrics=true), else computed on
+// the fly (use_metrics=false; a 404 likely means the DailyPerformance table is empty).
+// Throws when both fail.
+const fetchPerformance = async (strategy, dateParamsStr) => {
+  const url = `${API_BASE_URL}/strategy/${strategy}/performance?${dateParamsStr}`;
+  try {
+    const response = await apiFetch(`${url}&use_metrics=true`);
+    if (response.ok) return response.json();
+    console.warn(`Performance with use_metrics=true failed (HTTP ${response.status}), trying fallback with use_metrics=false`);
+  } catch (err) {
+    console.warn('Performance with use_metrics=true failed, trying fallback with use_metrics=false:', err);
+  }
+  const fallbackResponse = await apiFetch(`${url}&use_metrics=false`);
+  if (!fallbackResponse.ok) throw new Error(`HTTP ${fallbackResponse.status}`);
+  return fallbackResponse.json();
+};
+
+// Benchmark closes and returns for a range. Throws on a failed request.
+const fetchBenchmarkRange = async (code, startDate, endDate) => {
+  const params = new URLSearchParams({ start_date: startDate, end_date: endDate });
+  const response = await apiFetch(`${API_BASE_URL}/benchmark/${code}/range?${params.toString()}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+};
+
+// Fix for total_trades showing as 0: fill trade counts from the transactions list
+const withTradeCounts = (performanceData, transactionsData) => {
+  if (!performanceData || performanceData.total_trades || !transactionsData || transactionsData.length === 0) {
+    return performanceData;
+  }
+
+  console.log('Calculating trade counts from transactions data');
+
+  const totalTrades = transactionsData.length;
+  const buyTrades = transactionsData.filter(tx => tx.action.toLowerCase() === 'buy').length;
+  const sellTrades = transactionsData.filter(tx => tx.action.toLowerCase() === 'sell').length;
+
+  console.log('Updated trade counts:', {
+    total: totalTrades,
+    buy: buyTrades,
+    sell: sellTrades
+  });
+
+  return {
+    ...performanceData,
+    total_trades: totalTrades,
+    buy_trades: buyTrades,
+    sell_trades: sellTrades
+  };
+};
+
 const QMTTradingDashboard = () => {
+  // Auth session from the BFF: { authEnabled, user: { username, role }, permissions: { trade, admin } }
+  const [session, setSession] = useState(null);
+  const [sessionChecked, setSessionChecked] = useState(false);
   const [strategies, setStrategies] = useState([]);
   const [selectedStrategy, setSelectedStrategy] = useState(() => 
     loadFromStorage(STORAGE_KEYS.SELECTED_STRATEGY, '')
@@ -68,14 +176,17 @@ const QMTTradingDashboard = () => {
   const [summary, setSummary] = useState(null);
   const [performance, setPerformance] = useState(null);
   const [transactions, setTransactions] = useState([]);
+  const [transactionHistory, setTransactionHistory] = useState(null); // every transaction since inception, for realized P&L to date
   const [dailyPnl, setDailyPnl] = useState([]);
   const [holdingsHistory, setHoldingsHistory] = useState({});
   const [loading, setLoading] = useState(false); // Changed from true to false
-  const [criticalError, setCriticalError] = useState(null); // Only for critical failures
+  const [sessionError, setSessionError] = useState(null); // BFF unreachable while checking the session
   const [activeTab, setActiveTab] = useState(() =>
     loadFromStorage(STORAGE_KEYS.ACTIVE_TAB, 'portfolio')
   );
   const [toasts, setToasts] = useState([]);
+  const [highlightedTransaction, setHighlightedTransaction] = useState(null); // tx id opened from the Orders tab
+  const [loadAfterSwitch, setLoadAfterSwitch] = useState(false);
   const [dataLoaded, setDataLoaded] = useState(false); // Track if data has been loaded
   const [showAddOrder, setShowAddOrder] = useState(false); // Add Order modal visibility
   const [showAddCash, setShowAddCash] = useState(false); // Add/Withdraw Cash modal visibility
@@ -91,6 +202,84 @@ const QMTTradingDashboard = () => {
     loadFromStorage(STORAGE_KEYS.SELECTED_BENCHMARK, '')
   );
   const [benchmarkData, setBenchmarkData] = useState(null);
+  const [benchmarkAlignment, setBenchmarkAlignment] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.BENCHMARK_ALIGNMENT, ALIGNMENT_MODES.FFILL)
+  ); // how dates missing on one side are joined
+  const [metricProfiles, setMetricProfiles] = useState(() =>
+    loadJsonFromStorage(STORAGE_KEYS.METRIC_PROFILES, {})
+  ); // user-saved metric convention profiles, by name
+  const [metricProfileName, setMetricProfileName] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.METRIC_PROFILE, DEFAULT_PROFILE_NAME)
+  );
+  const allMetricProfiles = { ...metricProfiles, ...BUILTIN_PROFILES };
+  const metricConventions = allMetricProfiles[metricProfileName] || DEFAULT_CONVENTIONS;
+  const [tradeMatching, setTradeMatching] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.TRADE_MATCHING, MATCHING_METHODS.FIFO)
+  ); // how sells are paired with buys for round trips and win rate
+  const [performanceBasis, setPerformanceBasis] = useState(() =>
+    loadFromStorage(STORAGE_KEYS.PERFORMANCE_BASIS, PERFORMANCE_BASES.REPORTED)
+  ); // reported, time-weighted or money-weighted returns behind the Overview
+  // Positions already held when the range opens, so sells before any in-range buy still match
+  const openingPositions = useMemo(
+    () => deriveOpeningPositions(holdingsHistory, transactions),
+    [holdingsHistory, transactions]
+  );
+  // Cost basis and realized P&L per position, as of the portfolio snapshot and each holdings day.
+  // Replayed from inception when the whole history loaded; otherwise from the range, starting
+  // from the positions held when it opens (realized P&L then covers the range only).
+  const realizedToDate = transactionHistory != null;
+  const bookTransactions = realizedToDate ? transactionHistory : transactions;
+  const bookOpeningPositions = realizedToDate ? NO_POSITIONS : openingPositions;
+  const portfolioBook = useMemo(
+    () => (portfolio ? calculatePositionBook(bookTransactions, portfolio.as_of, tradeMatching, bookOpeningPositions) : null),
+    [portfolio, bookTransactions, tradeMatching, bookOpeningPositions]
+  );
+  // External cash flows (deposits / withdrawals) and the performance re-based on the chosen basis.
+  // With the transactions list cut off at the fetch limit, trades missing from it would read as
+  // deposits / withdrawals, so no flows are derived and the basis falls back to reported returns.
+  const transactionsTruncated = transactions.length >= TRANSACTIONS_LIMIT;
+  const cashFlows = useMemo(
+    () => (transactionsTruncated ? [] : identifyCashFlows(dailyPnl, transactions)),
+    [dailyPnl, transactions, transactionsTruncated]
+  );
+  const returnSummary = useMemo(() => summarizeReturns(cashFlows), [cashFlows]);
+  const effectiveBasis = transactionsTruncated ? PERFORMANCE_BASES.REPORTED : performanceBasis;
+  const basisPerformance = useMemo(
+    () => applyPerformanceBasis(performance, cashFlows, effectiveBasis),
+    [performance, cashFlows, effectiveBasis]
+  );
+  // Mean daily return on the chosen basis (the backend's figure is on reported returns)
+  const avgDailyReturn = effectiveBasis === PERFORMANCE_BASES.REPORTED || !basisPerformance?.daily_performances?.length
+    ? performance?.avg_daily_return
+    : basisPerformance.daily_performances.reduce((sum, d) => sum + (d.daily_return || 0), 0)
+      / basisPerformance.daily_performances.length;
+  const [drawdownSeries, setDrawdownSeries] = useState(DRAWDOWN_SERIES.STRATEGY); // strategy or excess drawdowns
+  const drawdownAnalysis = useMemo(
+    () => (basisPerformance?.daily_performances
+      ? calculateDrawdownAnalysis(basisPerformance.daily_performances, benchmarkData, {
+        alignment: benchmarkAlignment,
+        conventions: metricConventions
+      })
+      : null),
+    [basisPerformance, benchmarkData, benchmarkAlignment, metricConventions]
+  );
+  const holdingsBooks = useMemo(
+    () => Object.fromEntries(Object.keys(holdingsHistory).map(date => [
+      date,
+      calculatePositionBook(bookTransactions, date, tradeMatching, bookOpeningPositions)
+    ])),
+    [holdingsHistory, bookTransactions, tradeMatching, bookOpeningPositions]
+  );
+  // Same metrics MetricsGrid shows (selected conventions); the Overview cards and chart read them too
+  const overviewMetrics = useMemo(
+    () => calculateAllMetrics(basisPerformance, benchmarkData, transactions, {
+      alignment: benchmarkAlignment,
+      conventions: metricConventions,
+      matching: tradeMatching,
+      openingPositions
+    }),
+    [basisPerformance, benchmarkData, transactions, benchmarkAlignment, metricConventions, tradeMatching, openingPositions]
+  );
   
   // Dry run state
   const [dryRun, setDryRun] = useState(() => 
@@ -115,6 +304,9 @@ const QMTTradingDashboard = () => {
   const [isUpdating, setIsUpdating] = useState(false);
   const [updateProgress, setUpdateProgress] = useState(0);
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
+  const [streamStatus, setStreamStatus] = useState('idle'); // idle | connecting | open | error
+  const [backend, setBackendState] = useState(getBackend); // '' = BFF default
+  const [dataBackend, setDataBackend] = useState(null); // backend that served the data on screen
   
   // Section-specific loading states
   const [loadingSections, setLoadingSections] = useState({
@@ -137,11 +329,37 @@ const QMTTradingDashboard = () => {
     setToasts(prev => prev.filter(toast => toast.id !== id));
   }, []);
 
+  const fetchSession = async () => {
+    try {
+      const response = await apiFetch(`${BFF_BASE_URL}/auth/me`);
+      if (response.status === 401) {
+        setSession(null);
+      } else if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      } else {
+        setSession(await response.json());
+      }
+      setSessionError(null);
+      setSessionChecked(true);
+    } catch (error) {
+      console.error('Error checking session:', error);
+      setSessionError(error.message);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch(`${BFF_BASE_URL}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setSession(null);
+  };
+
   const fetchStrategies = async () => {
     try {
-      setCriticalError(null);
-      const response = await fetch(`${API_BASE_URL}/strategies?dry_run=${dryRun}`);
-      if (!response.ok) throw new Error('Failed to fetch strategies');
+      const response = await apiFetch(`${API_BASE_URL}/strategies?dry_run=${dryRun}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
       const data = await response.json();
       if (data.strategies && data.strategies.length > 0) {
         setStrategies(data.strategies);
@@ -158,18 +376,18 @@ const QMTTradingDashboard = () => {
           setSelectedStrategy(data.strategies.length > 1 ? data.strategies[1] : data.strategies[0]);
         }
       } else {
-        setCriticalError('No strategies found. Please ensure your Python backend is running and has data.');
+        addToast('No strategies found. Please ensure your Python backend is running and has data.', 'info');
       }
     } catch (error) {
       console.error('Error fetching strategies:', error);
-      setCriticalError(`Cannot connect to backend API. Please ensure Python FastAPI server is running on port 8001. Error: ${error.message}`);
+      addToast(`Cannot load strategies from the backend (${error.message}). Will retry when it is reachable again.`, 'error');
       setLoading(false);
     }
   };
 
   const fetchBenchmarks = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/benchmarks`);
+      const response = await apiFetch(`${API_BASE_URL}/benchmarks`);
       if (!response.ok) throw new Error('Failed to fetch benchmarks');
       const data = await response.json();
       if (data.benchmarks && data.benchmarks.length > 0) {
@@ -200,7 +418,7 @@ const QMTTradingDashboard = () => {
     setLoadingPortfolio(true);
     try {
       const params = new URLSearchParams({ dry_run: dryRun, days: '100', trades: '20' });
-      const res = await fetch(`${API_BASE_URL}/strategy/${selectedStrategy}/portfolio?${params.toString()}`);
+      const res = await apiFetch(`${API_BASE_URL}/strategy/${selectedStrategy}/portfolio?${params.toString()}`);
       if (res.status === 404) {
         setPortfolio(null); // strategy has no computed data yet
         return;
@@ -216,6 +434,24 @@ const QMTTradingDashboard = () => {
     }
   }, [selectedStrategy, dryRun, addToast]);
 
+  // Every transaction since inception, so realized P&L isn't cut off at the date range.
+  // Falls back to the range (null) when it can't be loaded whole.
+  const fetchHistory = useCallback(async () => {
+    if (!selectedStrategy) return;
+    try {
+      const { transactions: history, complete } = await fetchTransactionHistory(API_BASE_URL, selectedStrategy, {
+        dryRun,
+        endDate: new Date().toLocaleString('sv-SE').slice(0, 10),
+        limit: TRANSACTIONS_LIMIT
+      });
+      if (!complete) console.warn('Transaction history incomplete: realized P&L covers the loaded range only');
+      setTransactionHistory(complete ? history : null);
+    } catch (error) {
+      console.error('Error fetching transaction history:', error);
+      setTransactionHistory(null);
+    }
+  }, [selectedStrategy, dryRun]);
+
   const fetchAllData = useCallback(async (silent = false) => {
     if (!selectedStrategy) {
       addToast('Please select a strategy first', 'error');
@@ -227,8 +463,10 @@ const QMTTradingDashboard = () => {
       return;
     }
 
-    // Load the portfolio snapshot alongside the rest (independent, non-blocking).
+    // Load the portfolio snapshot and the full transaction history alongside the rest
+    // (independent, non-blocking).
     fetchPortfolio(silent);
+    fetchHistory();
 
     // Only show loading spinner if not in silent mode
     if (!silent) {
@@ -249,13 +487,7 @@ const QMTTradingDashboard = () => {
     
     try {
       // Calculate default date range (100 days) if not specified
-      const today = new Date();
-      const defaultEndDate = today.toISOString().split('T')[0];
-      const default100DaysAgo = new Date(today.getTime() - 100 * 24 * 60 * 60 * 1000);
-      const defaultStartDate = default100DaysAgo.toISOString().split('T')[0];
-      
-      const effectiveStartDate = startDate || defaultStartDate;
-      const effectiveEndDate = endDate || defaultEndDate;
+      const { effectiveStartDate, effectiveEndDate } = getEffectiveDateRange(startDate, endDate);
       
       // Build query parameters with date range
       const dateParams = new URLSearchParams();
@@ -269,32 +501,25 @@ const QMTTradingDashboard = () => {
       // if (effectiveEndDate) summaryParams.append('trade_date', effectiveEndDate);
       
       // Build transactions query parameters with date range
-      const transactionsParams = new URLSearchParams({ limit: '1000', dry_run: dryRun });
+      const transactionsParams = new URLSearchParams({ limit: String(TRANSACTIONS_LIMIT), dry_run: dryRun });
       transactionsParams.append('start_date', effectiveStartDate);
       transactionsParams.append('end_date', effectiveEndDate);
       
       // Fetch all data with individual error handling (including benchmark)
-      const benchmarkRangeParams = new URLSearchParams({
-        start_date: effectiveStartDate,
-        end_date: effectiveEndDate
-      });
-      
-      // Try with use_metrics=true first, fallback to false if it fails
-      let performanceUrl = `${API_BASE_URL}/strategy/${selectedStrategy}/performance?${dateParamsStr}&use_metrics=true`;
-      
       const results = await Promise.allSettled([
-        fetch(`${API_BASE_URL}/strategy/${selectedStrategy}/summary?${summaryParams.toString()}`),
-        fetch(performanceUrl),
-        fetch(`${API_BASE_URL}/strategy/${selectedStrategy}/transactions?${transactionsParams.toString()}`),
-        fetch(`${API_BASE_URL}/strategy/${selectedStrategy}/daily-pnl?${dateParamsStr}`),
-        fetch(`${API_BASE_URL}/strategy/${selectedStrategy}/holdings?${dateParamsStr}`),
-        fetch(`${API_BASE_URL}/benchmark/${selectedBenchmark}/range?${benchmarkRangeParams.toString()}`)
+        apiFetch(`${API_BASE_URL}/strategy/${selectedStrategy}/summary?${summaryParams.toString()}`),
+        fetchPerformance(selectedStrategy, dateParamsStr),
+        apiFetch(`${API_BASE_URL}/strategy/${selectedStrategy}/transactions?${transactionsParams.toString()}`),
+        apiFetch(`${API_BASE_URL}/strategy/${selectedStrategy}/daily-pnl?${dateParamsStr}`),
+        apiFetch(`${API_BASE_URL}/strategy/${selectedStrategy}/holdings?${dateParamsStr}`),
+        fetchBenchmarkRange(selectedBenchmark, effectiveStartDate, effectiveEndDate)
       ]);
 
       // Process summary
       if (results[0].status === 'fulfilled' && results[0].value.ok) {
         const summaryData = await results[0].value.json();
         setSummary(summaryData);
+        setDataBackend(results[0].value.headers.get('X-Backend'));
       } else {
         console.error('Failed to fetch summary:', results[0]);
         addToast('Failed to load portfolio summary. Please try again.', 'error');
@@ -304,8 +529,8 @@ const QMTTradingDashboard = () => {
       let performanceData = null;
       let transactionsData = null;
       
-      if (results[1].status === 'fulfilled' && results[1].value.ok) {
-        performanceData = await results[1].value.json();
+      if (results[1].status === 'fulfilled') {
+        performanceData = results[1].value;
         console.log('Performance data:', performanceData);
         
         // Debug total_trades issue
@@ -328,22 +553,8 @@ const QMTTradingDashboard = () => {
           console.log('Sample day data:', performanceData.daily_performances[0]);
         }
       } else {
-        // If use_metrics=true failed (404 likely means DailyPerformance table is empty), try fallback
-        console.warn('Performance with use_metrics=true failed, trying fallback with use_metrics=false');
-        try {
-          const fallbackUrl = `${API_BASE_URL}/strategy/${selectedStrategy}/performance?${dateParamsStr}&use_metrics=false`;
-          const fallbackResponse = await fetch(fallbackUrl);
-          if (fallbackResponse.ok) {
-            performanceData = await fallbackResponse.json();
-            console.log('Performance data (fallback):', performanceData);
-          } else {
-            console.error('Failed to fetch performance (fallback):', fallbackResponse.status);
-            addToast('Failed to load performance metrics. Please try again.', 'error');
-          }
-        } catch (err) {
-          console.error('Error fetching performance (fallback):', err);
-          addToast('Failed to load performance metrics. Please try again.', 'error');
-        }
+        console.error('Failed to fetch performance:', results[1].reason);
+        addToast('Failed to load performance metrics. Please try again.', 'error');
       }
 
       // Process transactions
@@ -356,32 +567,7 @@ const QMTTradingDashboard = () => {
       }
       
       // Fix for total_trades showing as 0
-      // Update performance data with transaction counts if needed
-      if (performanceData && 
-          (!performanceData.total_trades || performanceData.total_trades === 0) && 
-          transactionsData && transactionsData.length > 0) {
-        
-        console.log('Calculating trade counts from transactions data');
-        
-        // Count the transactions
-        const totalTrades = transactionsData.length;
-        const buyTrades = transactionsData.filter(tx => tx.action.toLowerCase() === 'buy').length;
-        const sellTrades = transactionsData.filter(tx => tx.action.toLowerCase() === 'sell').length;
-        
-        // Update performance data with the trade counts
-        performanceData = {
-          ...performanceData,
-          total_trades: totalTrades,
-          buy_trades: buyTrades,
-          sell_trades: sellTrades
-        };
-        
-        console.log('Updated trade counts:', { 
-          total: totalTrades, 
-          buy: buyTrades, 
-          sell: sellTrades 
-        });
-      }
+      performanceData = withTradeCounts(performanceData, transactionsData);
       
       // Set performance state once with all updates applied
       if (performanceData) {
@@ -392,12 +578,7 @@ const QMTTradingDashboard = () => {
       if (results[3].status === 'fulfilled' && results[3].value.ok) {
         const pnlData = await results[3].value.json();
         if (pnlData.daily_values) {
-          setDailyPnl(pnlData.daily_values.map(d => ({
-            date: d.trade_date,
-            value: d.total_value,
-            cash: d.cash_balance,
-            holdings: d.holdings_value
-          })));
+          setDailyPnl(toDailyPnl(pnlData));
         }
       } else {
         console.error('Failed to fetch daily PnL:', results[3]);
@@ -416,8 +597,8 @@ const QMTTradingDashboard = () => {
       }
 
       // Process benchmark data
-      if (results[5].status === 'fulfilled' && results[5].value.ok) {
-        const benchData = await results[5].value.json();
+      if (results[5].status === 'fulfilled') {
+        const benchData = results[5].value;
         console.log('Benchmark data loaded:', benchData);
         console.log('Benchmark data structure:', {
           hasData: !!benchData.data,
@@ -454,13 +635,179 @@ const QMTTradingDashboard = () => {
         });
       }
     }
-  }, [selectedStrategy, selectedBenchmark, startDate, endDate, dryRun, addToast, fetchPortfolio]);
+  }, [selectedStrategy, selectedBenchmark, startDate, endDate, dryRun, addToast, fetchPortfolio, fetchHistory]);
+
+  // Refetch only the datasets a realtime push event reports as changed
+  const refreshSections = useCallback(async (sections, pushedPortfolio) => {
+    if (!selectedStrategy) return;
+    if (pushedPortfolio) setPortfolio(pushedPortfolio);
+
+    const { effectiveStartDate, effectiveEndDate } = getEffectiveDateRange(startDate, endDate);
+    const dateParamsStr = new URLSearchParams({
+      dry_run: dryRun,
+      start_date: effectiveStartDate,
+      end_date: effectiveEndDate
+    }).toString();
+    const strategyUrl = `${API_BASE_URL}/strategy/${selectedStrategy}`;
+    const getJson = async (url) => {
+      const res = await apiFetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    };
+
+    // Pushed transactions are fetched once and shared with the performance reload (trade counts)
+    const freshTransactions = sections.includes('transactions')
+      ? getJson(`${strategyUrl}/transactions?${new URLSearchParams({
+        limit: String(TRANSACTIONS_LIMIT), dry_run: dryRun, start_date: effectiveStartDate, end_date: effectiveEndDate
+      }).toString()}`)
+      : null;
+
+    // Section -> loading overlays it covers + how to reload it
+    const loaders = {
+      summary: {
+        overlays: ['metricCards'],
+        load: async () => setSummary(await getJson(`${strategyUrl}/summary?${new URLSearchParams({ dry_run: dryRun })}`))
+      },
+      transactions: {
+        overlays: ['transactions'],
+        load: async () => {
+          setTransactions(await freshTransactions);
+          await fetchHistory();
+        }
+      },
+      holdings: {
+        overlays: ['holdings'],
+        load: async () => {
+          const holdingsData = await getJson(`${strategyUrl}/holdings?${dateParamsStr}`);
+          if (holdingsData.holdings_by_date) setHoldingsHistory(holdingsData.holdings_by_date);
+        }
+      },
+      // Same path as fetchAllData: metrics fallback, trade counts and the benchmark for the range
+      performance: {
+        overlays: ['metricsGrid', 'portfolioChart', 'dailyReturns', 'dailyCashFlow'],
+        load: async () => {
+          const [performanceData, pnlData, transactionsData] = await Promise.all([
+            fetchPerformance(selectedStrategy, dateParamsStr),
+            getJson(`${strategyUrl}/daily-pnl?${dateParamsStr}`),
+            freshTransactions ? freshTransactions.catch(() => transactions) : transactions,
+            selectedBenchmark && fetchBenchmarkRange(selectedBenchmark, effectiveStartDate, effectiveEndDate).then(
+              setBenchmarkData,
+              (error) => {
+                console.error('Failed to fetch benchmark data:', error);
+                addToast('Failed to load benchmark data. Chart will show strategy only.', 'error');
+                setBenchmarkData(null);
+              }
+            )
+          ]);
+          setPerformance(withTradeCounts(performanceData, transactionsData));
+          if (pnlData.daily_values) setDailyPnl(toDailyPnl(pnlData));
+        }
+      }
+    };
+
+    const active = sections.filter(section => loaders[section]);
+    const overlays = active.flatMap(section => loaders[section].overlays);
+    const setOverlays = (value) => setLoadingSections(prev => ({
+      ...prev,
+      ...Object.fromEntries(overlays.map(key => [key, value]))
+    }));
+
+    setOverlays(true);
+    const results = await Promise.allSettled(active.map(section => loaders[section].load()));
+    results.forEach((result, idx) => {
+      if (result.status === 'rejected') {
+        console.error(`Failed to refresh ${active[idx]}:`, result.reason);
+        addToast(`Failed to refresh ${active[idx]}. Please try again.`, 'error');
+      }
+    });
+    setOverlays(false);
+  }, [selectedStrategy, selectedBenchmark, startDate, endDate, dryRun, transactions, addToast, fetchHistory]);
+
+  // Keep the latest refreshSections reachable from the long-lived event stream
+  const refreshSectionsRef = useRef(refreshSections);
+  useEffect(() => {
+    refreshSectionsRef.current = refreshSections;
+  }, [refreshSections]);
+
+  // Keep retrying the session check while the BFF is unreachable
+  useEffect(() => {
+    if (!sessionError) return;
+    const timeoutId = setTimeout(fetchSession, 5000);
+    return () => clearTimeout(timeoutId);
+  }, [sessionError]);
+
+  useEffect(() => {
+    fetchSession();
+    // Any 401 from the BFF means the session is gone: fall back to the login screen
+    const onUnauthorized = () => setSession(null);
+    window.addEventListener(UNAUTHORIZED_EVENT, onUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, onUnauthorized);
+  }, []);
 
+  // Load strategies and benchmarks once logged in, and again for each backend switch
   useEffect(() => {
+    if (!session) return;
     fetchStrategies();
     fetchBenchmarks();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [session, backend]);
+
+  // Backend reachable again after an outage: reload the lists, and the data if any was shown
+  const handleReconnect = () => {
+    addToast('Connection to the backend restored', 'success');
+    fetchStrategies();
+    fetchBenchmarks();
+    if (dataLoaded && selectedStrategy) fetchAllData(true);
+  };
+
+  // Orders tab -> Transactions tab: show the strategy/mode the fill belongs to and point at its row
+  const handleShowTransaction = (order, fill) => {
+    const switching = order.strategy !== selectedStrategy || (order.mode === 'LIVE') === dryRun;
+    if (switching) {
+      setSelectedStrategy(order.strategy);
+      setDryRun(order.mode !== 'LIVE');
+    }
+    if (switching || !dataLoaded) setLoadAfterSwitch(true);
+    if ((startDate && fill.tradeDate < startDate) || (endDate && fill.tradeDate > endDate)) {
+      addToast(`This fill (${fill.tradeDate}) is outside the selected date range`, 'info');
+    }
+    setHighlightedTransaction(fill.transactionId);
+    setActiveTab('transactions');
+  };
+
+  // Load once the switched strategy/mode is in fetchAllData's closure
+  useEffect(() => {
+    if (loadAfterSwitch) {
+      setLoadAfterSwitch(false);
+      fetchAllData();
+    }
+  }, [loadAfterSwitch, fetchAllData]);
+
+  useEffect(() => {
+    if (activeTab !== 'transactions') {
+      setHighlightedTransaction(null);
+      return;
+    }
+    if (highlightedTransaction == null) return;
+    const row = document.getElementById(`tx-${highlightedTransaction}`);
+    if (row) row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [activeTab, highlightedTransaction, transactions]);
+
+  // Switching backend: everything on screen belongs to the old one, so drop it
+  const handleBackendChange = (name) => {
+    setBackend(name);
+    setBackendState(name);
+    setSummary(null);
+    setPerformance(null);
+    setTransactions([]);
+    setTransactionHistory(null);
+    setDailyPnl([]);
+    setHoldingsHistory({});
+    setPortfolio(null);
+    setDataLoaded(false);
+    setDataBackend(null);
+    addToast(`Switched to backend ${name || 'default'}. Load data to refresh the dashboard.`, 'info');
+  };
   
   // Refetch strategies when dry run mode changes
   useEffect(() => {
@@ -495,6 +842,26 @@ const QMTTradingDashboard = () => {
     }
   }, [selectedBenchmark]);
 
+  useEffect(() => {
+    saveToStorage(STORAGE_KEYS.BENCHMARK_ALIGNMENT, benchmarkAlignment);
+  }, [benchmarkAlignment]);
+
+  useEffect(() => {
+    saveToStorage(STORAGE_KEYS.METRIC_PROFILE, metricProfileName);
+  }, [metricProfileName]);
+
+  useEffect(() => {
+    saveToStorage(STORAGE_KEYS.METRIC_PROFILES, JSON.stringify(metricProfiles));
+  }, [metricProfiles]);
+
+  useEffect(() => {
+    saveToStorage(STORAGE_KEYS.TRADE_MATCHING, tradeMatching);
+  }, [tradeMatching]);
+
+  useEffect(() => {
+    saveToStorage(STORAGE_KEYS.PERFORMANCE_BASIS, performanceBasis);
+  }, [performanceBasis]);
+
   useEffect(() => {
     saveToStorage(STORAGE_KEYS.VALUE_DISPLAY_MODE, valueDisplayMode);
   }, [valueDisplayMode]);
@@ -511,6 +878,16 @@ const QMTTradingDashboard = () => {
     saveToStorage(STORAGE_KEYS.UPDATE_INTERVAL, updateInterval);
   }, [updateInterval]);
 
+  // Narrow the header date range to a period picked from a chart (e.g. a heatmap month) and
+  // reload; realtime update pins end_date to today, so it is switched off
+  const selectDateRange = useCallback((start, end) => {
+    setRealtimeUpdate(false);
+    setStartDate(start);
+    setEndDate(end);
+    setLoadAfterSwitch(true);
+    addToast(`Date range set to ${start} – ${end}`, 'info');
+  }, [addToast]);
+
   // Auto-set end_date to today when realtime update is enabled
   useEffect(() => {
     if (realtimeUpdate) {
@@ -531,7 +908,7 @@ const QMTTradingDashboard = () => {
       setUpdateProgress(10);
       
       // Call realtime-update API
-      const updateResponse = await fetch(`${API_BASE_URL}/realtime-update`, {
+      const updateResponse = await apiFetch(`${API_BASE_URL}/realtime-update`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -575,19 +952,54 @@ const QMTTradingDashboard = () => {
     }
   }, [selectedStrategy, dryRun, addToast, fetchAllData]);
 
-  // Realtime update interval effect
+  // Realtime push: the BFF runs the update on schedule (once for all open tabs) and
+  // streams which sections changed, so only those are refetched here
   useEffect(() => {
     if (!realtimeUpdate || !selectedStrategy || !dataLoaded) {
+      setStreamStatus('idle');
       return;
     }
 
-    const intervalMs = UPDATE_INTERVALS[updateInterval].value;
-    
-    // Set up interval without immediate execution
-    const intervalId = setInterval(performRealtimeUpdate, intervalMs);
-    
-    return () => clearInterval(intervalId);
-  }, [realtimeUpdate, updateInterval, selectedStrategy, dataLoaded, performRealtimeUpdate]);
+    const params = new URLSearchParams({
+      strategy: selectedStrategy,
+      dry_run: dryRun,
+      interval: UPDATE_INTERVALS[updateInterval].value
+    });
+    if (backend) params.append('backend', backend);
+    const source = new EventSource(`${BFF_BASE_URL}/events?${params.toString()}`, { withCredentials: true });
+    setStreamStatus('connecting');
+
+    source.addEventListener('ready', () => setStreamStatus('open'));
+    source.addEventListener('update', (e) => {
+      const event = JSON.parse(e.data);
+      setLastUpdateTime(new Date(event.at));
+      if (event.changed) {
+        refreshSectionsRef.current(event.sections, event.portfolio);
+      }
+      if (event.newTrades.length > 0) {
+        addToast(`${event.newTrades.length} new trade${event.newTrades.length !== 1 ? 's' : ''} for ${event.strategy}`, 'success');
+      }
+    });
+    source.addEventListener('update-error', (e) => {
+      addToast(`Realtime update failed: ${JSON.parse(e.data).message}`, 'error');
+    });
+    // EventSource reconnects by itself and never shows the status, so a 401 looks like any
+    // other drop: ask /auth/me, which broadcasts UNAUTHORIZED_EVENT when the session is gone
+    let checkingSession = false;
+    source.onerror = () => {
+      setStreamStatus('error');
+      if (checkingSession) return;
+      checkingSession = true;
+      apiFetch(`${BFF_BASE_URL}/auth/me`)
+        .then((res) => {
+          if (res.status === 401) source.close();
+        })
+        .catch(() => {})
+        .finally(() => { checkingSession = false; });
+    };
+
+    return () => source.close();
+  }, [realtimeUpdate, updateInterval, selectedStrategy, dryRun, dataLoaded, backend, addToast]);
 
   // Remove auto-fetch - user must click Refresh button
   // useEffect(() => {
@@ -596,6 +1008,8 @@ const QMTTradingDashboard = () => {
   //   }
   // }, [selectedStrategy]);
 
+  const canTrade = Boolean(session?.permissions?.trade);
+
   const formatCurrency = (value) => {
     return new Intl.NumberFormat('zh-CN', {
       style: 'currency',
@@ -608,24 +1022,25 @@ const QMTTradingDashboard = () => {
     return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
   };
 
-  if (criticalError) {
+  if (!sessionChecked) {
     return (
       <div className="flex items-center justify-center h-screen bg-gray-50">
-        <div className="text-center max-w-md p-8 bg-white rounded-lg shadow-lg">
-          <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
-          <h2 className="text-xl font-bold text-gray-900 mb-2">Connection Error</h2>
-          <p className="text-gray-600 mb-4">{criticalError}</p>
-          <button 
-            onClick={() => window.location.reload()} 
-            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-          >
-            Retry
-          </button>
+        <div className="text-center max-w-md">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto"></div>
+          {sessionError && (
+            <p className="mt-4 text-gray-600">
+              Cannot reach the dashboard server (BFF) — is it running on port 3000? Retrying… ({sessionError})
+            </p>
+          )}
         </div>
       </div>
     );
   }
 
+  if (!session) {
+    return <LoginScreen onLogin={setSession} />;
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-screen bg-gray-50">
@@ -687,6 +1102,15 @@ const QMTTradingDashboard = () => {
                       </option>
                     ))}
                   </select>
+                  <select
+                    value={benchmarkAlignment}
+                    onChange={(e) => setBenchmarkAlignment(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    title="Dates the benchmark has no data for: carry its last close forward, or leave them out of the comparison"
+                  >
+                    <option value={ALIGNMENT_MODES.FFILL}>缺失日: 前值填充 ffill</option>
+                    <option value={ALIGNMENT_MODES.DROP}>缺失日: 剔除 drop</option>
+                  </select>
                 </div>
                 
                 {/* Realtime Update Toggle */}
@@ -761,8 +1185,9 @@ const QMTTradingDashboard = () => {
 
                 <button
                   onClick={() => setShowAddOrder(true)}
-                  className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors"
-                  title="Manually inject an order into the trading engine"
+                  disabled={!canTrade}
+                  className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  title={canTrade ? 'Manually inject an order into the trading engine' : 'Your role cannot place orders'}
                 >
                   <ShoppingCart className="w-4 h-4" />
                   <span>Add Order</span>
@@ -770,8 +1195,9 @@ const QMTTradingDashboard = () => {
 
                 <button
                   onClick={() => setShowAddCash(true)}
-                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"
-                  title="Add or withdraw cash for a strategy"
+                  disabled={!canTrade}
+                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  title={canTrade ? 'Add or withdraw cash for a strategy' : 'Your role cannot move cash'}
                 >
                   <Wallet className="w-4 h-4" />
                   <span>Add Cash</span>
@@ -780,6 +1206,12 @@ const QMTTradingDashboard = () => {
                 <span className={`px-2 py-1 rounded text-sm ${dryRun ? 'bg-blue-100 text-blue-700' : 'bg-green-100 text-green-700'}`}>
                   {dryRun ? 'Dry Run' : 'Live Trading'}
                 </span>
+
+                <BackendSelector value={backend} dataBackend={dataBackend} onChange={handleBackendChange} />
+
+                <ConnectivityBadge backend={backend} onReconnect={handleReconnect} />
+
+                <UserBadge session={session} onLogout={handleLogout} />
               </div>
             </div>
           </div>
@@ -794,6 +1226,7 @@ const QMTTradingDashboard = () => {
           defaultStrategy={selectedStrategy}
           onSuccess={() => { if (selectedStrategy) fetchAllData(false); }}
           addToast={addToast}
+          canTrade={canTrade}
         />
         <AddCashModal
           isOpen={showAddCash}
@@ -803,6 +1236,7 @@ const QMTTradingDashboard = () => {
           defaultStrategy={selectedStrategy}
           onSuccess={() => { if (selectedStrategy) fetchAllData(false); }}
           addToast={addToast}
+          canTrade={canTrade}
         />
 
         <div className="flex items-center justify-center" style={{ height: 'calc(100vh - 100px)' }}>
@@ -853,6 +1287,7 @@ const QMTTradingDashboard = () => {
         defaultStrategy={selectedStrategy}
         onSuccess={() => fetchAllData(false)}
         addToast={addToast}
+        canTrade={canTrade}
       />
 
       {/* Add / Withdraw Cash Modal */}
@@ -864,6 +1299,7 @@ const QMTTradingDashboard = () => {
         defaultStrategy={selectedStrategy}
         onSuccess={() => fetchAllData(false)}
         addToast={addToast}
+        canTrade={canTrade}
       />
 
       {/* Header */}
@@ -913,6 +1349,15 @@ const QMTTradingDashboard = () => {
                       </option>
                     ))}
                   </select>
+                  <select
+                    value={benchmarkAlignment}
+                    onChange={(e) => setBenchmarkAlignment(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    title="Dates the benchmark has no data for: carry its last close forward, or leave them out of the comparison"
+                  >
+                    <option value={ALIGNMENT_MODES.FFILL}>缺失日: 前值填充 ffill</option>
+                    <option value={ALIGNMENT_MODES.DROP}>缺失日: 剔除 drop</option>
+                  </select>
                 </div>
                 
                 {/* Realtime Update Toggle */}
@@ -994,8 +1439,9 @@ const QMTTradingDashboard = () => {
 
                 <button
                   onClick={() => setShowAddOrder(true)}
-                  className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors"
-                  title="Manually inject an order into the trading engine"
+                  disabled={!canTrade}
+                  className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  title={canTrade ? 'Manually inject an order into the trading engine' : 'Your role cannot place orders'}
                 >
                   <ShoppingCart className="w-4 h-4" />
                   <span>Add Order</span>
@@ -1003,8 +1449,9 @@ const QMTTradingDashboard = () => {
 
                 <button
                   onClick={() => setShowAddCash(true)}
-                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"
-                  title="Add or withdraw cash for a strategy"
+                  disabled={!canTrade}
+                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  title={canTrade ? 'Add or withdraw cash for a strategy' : 'Your role cannot move cash'}
                 >
                   <Wallet className="w-4 h-4" />
                   <span>Add Cash</span>
@@ -1016,13 +1463,24 @@ const QMTTradingDashboard = () => {
                   <span className={`px-2 py-1 rounded ${dryRun ? 'bg-blue-100 text-blue-700' : 'bg-green-100 text-green-700'}`}>
                     {dryRun ? 'Dry Run' : 'Live Trading'}
                   </span>
-                  {realtimeUpdate && (
+                  {realtimeUpdate && (streamStatus === 'open' ? (
                     <span className="px-2 py-1 rounded bg-green-100 text-green-700 flex items-center gap-1">
                       <span className="w-2 h-2 bg-green-600 rounded-full animate-pulse"></span>
                       Live
                     </span>
-                  )}
+                  ) : (
+                    <span className="px-2 py-1 rounded bg-amber-100 text-amber-700 flex items-center gap-1" title="Waiting for the realtime stream from the server">
+                      <span className="w-2 h-2 bg-amber-500 rounded-full"></span>
+                      {streamStatus === 'error' ? 'Reconnecting…' : 'Connecting…'}
+                    </span>
+                  ))}
                 </div>
+
+                <BackendSelector value={backend} dataBackend={dataBackend} onChange={handleBackendChange} />
+
+                <ConnectivityBadge backend={backend} onReconnect={handleReconnect} />
+
+                <UserBadge session={session} onLogout={handleLogout} />
               </div>
           </div>
         </div>
@@ -1032,7 +1490,7 @@ const QMTTradingDashboard = () => {
       <div className="bg-white border-b border-gray-200 md:hidden">
         <div className="max-w-7xl mx-auto px-6">
           <nav className="flex gap-8">
-            {['portfolio', 'overview', 'holdings', 'transactions'].map(tab => (
+            {['portfolio', 'overview', 'holdings', 'transactions', 'trades', 'cash', 'orders', 'audit'].map(tab => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -1058,7 +1516,11 @@ const QMTTradingDashboard = () => {
               { id: 'portfolio', label: 'Portfolio', icon: PieChart },
               { id: 'overview', label: 'Overview', icon: BarChart3 },
               { id: 'holdings', label: 'Holdings', icon: Wallet },
-              { id: 'transactions', label: 'Transactions', icon: List }
+              { id: 'transactions', label: 'Transactions', icon: List },
+              { id: 'trades', label: 'Trades', icon: ArrowLeftRight },
+              { id: 'cash', label: 'Cash', icon: Banknote },
+              { id: 'orders', label: 'Orders', icon: ClipboardList },
+              { id: 'audit', label: 'Audit', icon: ScrollText }
             ].map(({ id, label, icon: Icon }) => (
               <button
                 key={id}
@@ -1082,7 +1544,19 @@ const QMTTradingDashboard = () => {
         {activeTab === 'portfolio' && (
           <LoadingSection isLoading={loadingPortfolio}>
             {portfolio ? (
-              <PortfolioView data={portfolio} />
+              <div className="space-y-6">
+                <PortfolioView data={portfolio} positionBook={portfolioBook} realizedToDate={realizedToDate} />
+                <RebalancePanel
+                  key={`${selectedStrategy}-${dryRun}`}
+                  portfolio={portfolio}
+                  strategy={selectedStrategy}
+                  dryRun={dryRun}
+                  apiBaseUrl={API_BASE_URL}
+                  canTrade={canTrade}
+                  addToast={addToast}
+                  onSuccess={() => fetchAllData(false)}
+                />
+              </div>
             ) : (
               <div className="text-center py-16">
                 <PieChart className="w-16 h-16 text-gray-300 mx-auto mb-4" />
@@ -1100,10 +1574,48 @@ const QMTTradingDashboard = () => {
         {/* Overview Tab */}
         {activeTab === 'overview' && summary && (
           <>
+            {/* Metric conventions (risk-free rate, annualization, return basis, definitions) */}
+            {performance && (
+              <MetricConventionsBar
+                profiles={allMetricProfiles}
+                builtinNames={Object.keys(BUILTIN_PROFILES)}
+                selectedName={allMetricProfiles[metricProfileName] ? metricProfileName : DEFAULT_PROFILE_NAME}
+                onSelect={setMetricProfileName}
+                onSave={(name, conventions) => {
+                  setMetricProfiles(prev => ({ ...prev, [name]: conventions }));
+                  setMetricProfileName(name);
+                }}
+                onDelete={(name) => {
+                  setMetricProfiles(prev => {
+                    const { [name]: removed, ...rest } = prev;
+                    return rest;
+                  });
+                  setMetricProfileName(DEFAULT_PROFILE_NAME);
+                }}
+              />
+            )}
+            {performance && dailyPnl.length > 0 && (
+              <ReturnBasisBar
+                basis={effectiveBasis}
+                onChange={setPerformanceBasis}
+                summary={transactionsTruncated ? null : returnSummary}
+                flowsUnavailable={transactionsTruncated}
+                transactionsLimit={TRANSACTIONS_LIMIT}
+              />
+            )}
+
             {/* Compact Metrics Grid (Like JoinQuant) */}
             {performance && (
               <LoadingSection isLoading={loadingSections.metricsGrid}>
-                <MetricsGrid performance={performance} benchmarkData={benchmarkData} transactions={transactions} />
+                <MetricsGrid
+                  performance={basisPerformance}
+                  benchmarkData={benchmarkData}
+                  transactions={transactions}
+                  alignment={benchmarkAlignment}
+                  conventions={metricConventions}
+                  matching={tradeMatching}
+                  openingPositions={openingPositions}
+                />
               </LoadingSection>
             )}
             
@@ -1143,8 +1655,8 @@ const QMTTradingDashboard = () => {
                 <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
                   <div className="bg-white p-6 rounded-lg border border-gray-200">
                     <p className="text-sm text-gray-500 mb-1">Total Return</p>
-                    <p className={`text-2xl font-bold ${performance.total_return >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                      {formatPercent(performance.total_return)}
+                    <p className={`text-2xl font-bold ${basisPerformance.total_return >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatPercent(basisPerformance.total_return)}
                     </p>
                   </div>
                   <div className="bg-white p-6 rounded-lg border border-gray-200">
@@ -1156,16 +1668,13 @@ const QMTTradingDashboard = () => {
                   <div className="bg-white p-6 rounded-lg border border-gray-200">
                     <p className="text-sm text-gray-500 mb-1">Sharpe Ratio</p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {performance.final_sharpe_ratio?.toFixed(2) || 'N/A'}
+                      {basisPerformance.daily_performances?.length ? overviewMetrics.sharpe.toFixed(3) : 'N/A'}
                     </p>
                   </div>
                   <div className="bg-white p-6 rounded-lg border border-gray-200">
                     <p className="text-sm text-gray-500 mb-1">Max Drawdown</p>
                     <p className="text-2xl font-bold text-red-600">
-                      {(() => {
-                        const metrics = calculateAllMetrics(performance, benchmarkData, transactions);
-                        return metrics.maxDrawdown ? (metrics.maxDrawdown * 100).toFixed(2) + '%' : 'N/A';
-                      })()}
+                      {overviewMetrics.maxDrawdown ? (overviewMetrics.maxDrawdown * 100).toFixed(2) + '%' : 'N/A'}
                     </p>
                   </div>
                 </div>
@@ -1181,16 +1690,16 @@ const QMTTradingDashboard = () => {
                   </div>
                   <div className="bg-white p-6 rounded-lg border border-gray-200">
                     <p className="text-sm text-gray-500 mb-1">Avg Daily Return</p>
-                    <p className={`text-2xl font-bold ${performance.avg_daily_return >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                      {performance.avg_daily_return !== null && performance.avg_daily_return !== undefined 
-                        ? `${(performance.avg_daily_return * 100).toFixed(3)}%`
+                    <p className={`text-2xl font-bold ${avgDailyReturn >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {avgDailyReturn !== null && avgDailyReturn !== undefined
+                        ? `${(avgDailyReturn * 100).toFixed(3)}%`
                         : 'N/A'}
                     </p>
                   </div>
                   <div className="bg-white p-6 rounded-lg border border-gray-200">
                     <p className="text-sm text-gray-500 mb-1">Volatility</p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {performance.final_volatility?.toFixed(3) || 'N/A'}
+                      {basisPerformance.daily_performances?.length ? `${(overviewMetrics.volatility * 100).toFixed(2)}%` : 'N/A'}
                     </p>
                   </div>
                 </div>
@@ -1203,49 +1712,33 @@ const QMTTradingDashboard = () => {
               {dailyPnl.length > 0 && (
               <LoadingSection isLoading={loadingSections.portfolioChart}>
               {(() => {
-                // Calculate max drawdown dates
-                const metrics = calculateAllMetrics(performance, benchmarkData, transactions);
-                const maxDDPeakDate = metrics.maxDrawdownPeakDate;
-                const maxDDTroughDate = metrics.maxDrawdownTroughDate;
-                
-                // Create benchmark map ONCE outside the map function
-                const benchmarkMap = {};
-                let firstBenchmarkData = null;
+                // Max drawdown dates
+                const maxDDPeakDate = overviewMetrics.maxDrawdownPeakDate;
+                const maxDDTroughDate = overviewMetrics.maxDrawdownTroughDate;
+
+                // Flow-adjusted cumulative return per date when a TWR/MWR basis is selected
+                const basisCumulative = effectiveBasis !== PERFORMANCE_BASES.REPORTED && basisPerformance?.daily_performances
+                  ? Object.fromEntries(basisPerformance.daily_performances.map(d => [d.trade_date, d.cumulative_return]))
+                  : null;
+
+                // Drawdown episodes of the series picked in the drawdown panel, shaded peak -> recovery
+                const shadedDrawdowns = drawdownAnalysis
+                  ? ((drawdownSeries === DRAWDOWN_SERIES.EXCESS && drawdownAnalysis.excess) || drawdownAnalysis.strategy).episodes
+                  : [];
+                const lastChartDate = dailyPnl[dailyPnl.length - 1]?.date;
                 
-                if (benchmarkData && benchmarkData.data && benchmarkData.data.length > 0) {
-                  // Build the benchmark map
-                  benchmarkData.data.forEach(b => {
-                    benchmarkMap[b.date] = {
-                      close: parseFloat(b.close || 0),
-                      daily_return: parseFloat(b.daily_return || 0)
-                    };
-                  });
-                  
-                  // Find the first matching benchmark data point
-                  // Try to find benchmark data for the first portfolio date
-                  for (let i = 0; i < dailyPnl.length; i++) {
-                    const portfolioDate = dailyPnl[i].date;
-                    if (benchmarkMap[portfolioDate] && benchmarkMap[portfolioDate].close > 0) {
-                      firstBenchmarkData = benchmarkMap[portfolioDate];
-                      console.log('Found first matching benchmark data:', {
-                        date: portfolioDate,
-                        close: firstBenchmarkData.close
-                      });
-                      break;
-                    }
-                  }
-                  
-                  // Debug logging
-                  console.log('Benchmark map created with', Object.keys(benchmarkMap).length, 'dates');
-                  console.log('Benchmark dates:', Object.keys(benchmarkMap).slice(0, 5));
-                  console.log('Daily PnL dates:', dailyPnl.slice(0, 5).map(d => d.date));
-                  console.log('First benchmark data:', firstBenchmarkData);
-                  
-                  if (!firstBenchmarkData) {
-                    console.warn('No matching benchmark data found for any portfolio dates!');
-                    console.warn('Portfolio date range:', dailyPnl[0]?.date, 'to', dailyPnl[dailyPnl.length - 1]?.date);
-                    console.warn('Benchmark date range:', Object.keys(benchmarkMap)[0], 'to', Object.keys(benchmarkMap)[Object.keys(benchmarkMap).length - 1]);
-                  }
+                // Benchmark close for each portfolio date, joined by date (see alignBenchmarkToDates)
+                const { points: benchmarkPoints, report: alignmentReport } = alignBenchmarkToDates(
+                  dailyPnl.map(d => d.date),
+                  benchmarkData && benchmarkData.data,
+                  benchmarkAlignment
+                );
+                const firstBenchmarkData = benchmarkPoints.find(p => p && p.close > 0) || null;
+                const alignmentNote = firstBenchmarkData ? describeAlignment(alignmentReport) : null;
+
+                if (benchmarkData && benchmarkData.data && benchmarkData.data.length > 0 && !firstBenchmarkData) {
+                  console.warn('No matching benchmark data found for any portfolio dates!');
+                  console.warn('Portfolio date range:', dailyPnl[0]?.date, 'to', dailyPnl[dailyPnl.length - 1]?.date);
                 }
                 
                 return (
@@ -1280,60 +1773,20 @@ const QMTTradingDashboard = () => {
                       let strategyValue = d.value;
                       let benchmarkValue = null;
                       
-                      if (valueDisplayMode === 'percentage') {
-                        if (idx === 0) {
-                          strategyValue = 0;
-                          benchmarkValue = 0;
-                        } else {
-                          const initialValue = dailyPnl[0].value;
-                          strategyValue = ((d.value - initialValue) / initialValue) * 100;
-                          
-                          // Calculate benchmark percentage change from first available benchmark date
-                          if (firstBenchmarkData && firstBenchmarkData.close > 0) {
-                            const currentDate = d.date;
-                            const currentBenchmarkData = benchmarkMap[currentDate];
-                            
-                            if (currentBenchmarkData && currentBenchmarkData.close > 0) {
-                              // Calculate percentage change from first benchmark date
-                              benchmarkValue = ((currentBenchmarkData.close - firstBenchmarkData.close) / firstBenchmarkData.close) * 100;
-                            } else {
-                              // Forward fill: use previous day's benchmark value
-                              benchmarkValue = null;
-                              for (let i = idx - 1; i >= 0; i--) {
-                                const prevDate = dailyPnl[i].date;
-                                const prevBenchmarkData = benchmarkMap[prevDate];
-                                if (prevBenchmarkData && prevBenchmarkData.close > 0) {
-                                  benchmarkValue = ((prevBenchmarkData.close - firstBenchmarkData.close) / firstBenchmarkData.close) * 100;
-                                  break;
-                                }
-                              }
-                              // If still null, set to 0
-                              if (benchmarkValue === null) benchmarkValue = 0;
-                            }
-                          }
-                        }
-                      } else {
-                        // For absolute value mode, show benchmark as percentage overlay
-                        if (firstBenchmarkData && firstBenchmarkData.close > 0) {
-                          const currentDate = d.date;
-                          const currentBenchmarkData = benchmarkMap[currentDate];
-                          
-                          if (currentBenchmarkData && currentBenchmarkData.close > 0) {
-                            benchmarkValue = ((currentBenchmarkData.close - firstBenchmarkData.close) / firstBenchmarkData.close) * 100;
-                          } else {
-                            // Forward fill
-                            benchmarkValue = null;
-                            for (let i = idx - 1; i >= 0; i--) {
-                              const prevDate = dailyPnl[i].date;
-                              const prevBenchmarkData = benchmarkMap[prevDate];
-                              if (prevBenchmarkData && prevBenchmarkData.close > 0) {
-                                benchmarkValue = ((prevBenchmarkData.close - firstBenchmarkData.close) / firstBenchmarkData.close) * 100;
-                                break;
-                              }
-                            }
-                            if (benchmarkValue === null) benchmarkValue = 0;
-                          }
-                        }
+                      if (valueDisplayMode === 'percentage' && basisCumulative) {
+                        strategyValue = basisCumulative[d.date] != null ? basisCumulative[d.date] * 100 : null;
+                      } else if (valueDisplayMode === 'percentage' && idx > 0) {
+                        const initialValue = dailyPnl[0].value;
+                        strategyValue = ((d.value - initialValue) / initialValue) * 100;
+                      } else if (valueDisplayMode === 'percentage') {
+                        strategyValue = 0;
+                      }
+
+                      // Benchmark is a % change from its first aligned close in both modes;
+                      // dates the alignment dropped (or before the benchmark starts) leave a gap
+                      const benchmarkPoint = benchmarkPoints[idx];
+                      if (firstBenchmarkData && benchmarkPoint && benchmarkPoint.close > 0) {
+                        benchmarkValue = ((benchmarkPoint.close - firstBenchmarkData.close) / firstBenchmarkData.close) * 100;
                       }
                       
                       // Mark max drawdown dates
@@ -1344,6 +1797,7 @@ const QMTTradingDashboard = () => {
                         ...d, 
                         strategyValue, 
                         benchmarkValue,
+                        externalFlow: cashFlows[idx] && cashFlows[idx].date === d.date ? cashFlows[idx].externalFlow : 0,
                         hasBenchmark: !!firstBenchmarkData,
                         isMaxDDPeak,
                         isMaxDDTrough
@@ -1352,6 +1806,16 @@ const QMTTradingDashboard = () => {
                       <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
                       <XAxis dataKey="date" tick={{ fontSize: 12 }} />
                       <YAxis tick={{ fontSize: 12 }} />
+                      {shadedDrawdowns.map(e => (
+                        <ReferenceArea
+                          key={e.peakDate}
+                          x1={e.peakDate}
+                          x2={e.recoveryDate || lastChartDate}
+                          fill="#ef4444"
+                          fillOpacity={0.06}
+                          ifOverflow="extendDomain"
+                        />
+                      ))}
                       <Tooltip 
                         formatter={(value, name) => {
                           if (name.includes('Benchmark')) {
@@ -1378,6 +1842,11 @@ const QMTTradingDashboard = () => {
                                 {data.isMaxDDTrough && (
                                   <p style={{ margin: '5px 0 0 0', color: '#ef4444', fontWeight: 'bold' }}>📉 最大回撤终点 (Trough)</p>
                                 )}
+                                {data.externalFlow !== 0 && data.externalFlow != null && (
+                                  <p style={{ margin: '5px 0 0 0', color: data.externalFlow > 0 ? '#10b981' : '#6b7280', fontWeight: 'bold' }}>
+                                    {data.externalFlow > 0 ? '入金 Deposit' : '出金 Withdrawal'}: {formatCurrency(data.externalFlow)}
+                                  </p>
+                                )}
                               </div>
                             );
                           }
@@ -1390,7 +1859,9 @@ const QMTTradingDashboard = () => {
                         dataKey="strategyValue" 
                         stroke="#3b82f6" 
                         strokeWidth={2} 
-                        name={valueDisplayMode === 'percentage' ? '策略收益 Strategy Return (%)' : '策略价值 Total Value (¥)'} 
+                        name={valueDisplayMode === 'percentage'
+                          ? `策略收益 Strategy Return (%)${basisCumulative ? ` · ${effectiveBasis.toUpperCase()}` : ''}`
+                          : '策略价值 Total Value (¥)'} 
                         dot={(props) => {
                           const { cx, cy, payload } = props;
                           if (payload.isMaxDDPeak) {
@@ -1417,6 +1888,16 @@ const QMTTradingDashboard = () => {
                               />
                             );
                           }
+                          if (payload.externalFlow) {
+                            // Deposit (up) / withdrawal (down) marker
+                            const up = payload.externalFlow > 0;
+                            return (
+                              <path
+                                d={up ? `M${cx},${cy - 7} L${cx - 5},${cy + 2} L${cx + 5},${cy + 2} Z` : `M${cx},${cy + 7} L${cx - 5},${cy - 2} L${cx + 5},${cy - 2} Z`}
+                                fill={up ? '#10b981' : '#6b7280'}
+                              />
+                            );
+                          }
                           return null;
                         }}
                       />
@@ -1444,6 +1925,11 @@ const QMTTradingDashboard = () => {
                         基准 Benchmark: {benchmarks.find(b => b.code === selectedBenchmark)?.name}
                       </span>
                     )}
+                    {alignmentNote && (
+                      <span className="text-xs text-gray-500" title={`Benchmark joined to portfolio dates (${benchmarkAlignment})`}>
+                        基准对齐 Alignment: {alignmentNote}
+                      </span>
+                    )}
                     {maxDDPeakDate && maxDDTroughDate && (
                       <>
                         <span className="flex items-center gap-2">
@@ -1456,6 +1942,12 @@ const QMTTradingDashboard = () => {
                         </span>
                       </>
                     )}
+                    {cashFlows.some(f => f.externalFlow !== 0) && (
+                      <span className="flex items-center gap-2">
+                        <span className="w-0 h-0 border-l-4 border-r-4 border-b-8 border-l-transparent border-r-transparent border-b-emerald-500"></span>
+                        入金/出金 Deposits / Withdrawals
+                      </span>
+                    )}
                   </div>
                 </div>
                 );
@@ -1463,13 +1955,25 @@ const QMTTradingDashboard = () => {
               </LoadingSection>
               )}
 
+              {/* Drawdown Analysis */}
+              {drawdownAnalysis && drawdownAnalysis.strategy.underwater.length > 0 && (
+              <LoadingSection isLoading={loadingSections.portfolioChart}>
+                <DrawdownAnalysis
+                  analysis={drawdownAnalysis}
+                  series={drawdownSeries}
+                  onSeriesChange={setDrawdownSeries}
+                  conventions={metricConventions}
+                />
+              </LoadingSection>
+              )}
+
               {/* Daily Returns Chart */}
               {performance?.daily_performances && performance.daily_performances.length > 0 && (
               <LoadingSection isLoading={loadingSections.dailyReturns}>
                 <div className="bg-white p-6 rounded-lg border border-gray-200">
                   <h3 className="text-lg font-semibold mb-4">Daily Returns</h3>
                   <ResponsiveContainer width="100%" height={300}>
-                    <BarChart data={performance.daily_performances.map(d => ({
+                    <BarChart data={basisPerformance.daily_performances.map(d => ({
                       ...d,
                       daily_return_pct: d.daily_return ? d.daily_return * 100 : null
                     }))}>
@@ -1487,6 +1991,43 @@ const QMTTradingDashboard = () => {
               </LoadingSection>
               )}
               
+              {/* Return Distribution */}
+              {performance?.daily_performances && performance.daily_performances.length > 0 && (
+              <LoadingSection isLoading={loadingSections.dailyReturns}>
+                <ReturnDistributionChart
+                  dailyPerformances={basisPerformance.daily_performances}
+                  benchmarkData={benchmarkData}
+                  alignment={benchmarkAlignment}
+                  conventions={metricConventions}
+                />
+              </LoadingSection>
+              )}
+
+              {/* Monthly Returns Heatmap */}
+              {performance?.daily_performances && performance.daily_performances.length > 0 && (
+              <LoadingSection isLoading={loadingSections.dailyReturns}>
+                <MonthlyReturnsHeatmap
+                  dailyPerformances={basisPerformance.daily_performances}
+                  benchmarkData={benchmarkData}
+                  alignment={benchmarkAlignment}
+                  conventions={metricConventions}
+                  onSelectRange={selectDateRange}
+                />
+              </LoadingSection>
+              )}
+
+              {/* Rolling Risk Metrics Chart */}
+              {performance?.daily_performances && performance.daily_performances.length > 0 && (
+              <LoadingSection isLoading={loadingSections.dailyReturns}>
+                <RollingMetricsChart
+                  dailyPerformances={basisPerformance.daily_performances}
+                  benchmarkData={benchmarkData}
+                  alignment={benchmarkAlignment}
+                  conventions={metricConventions}
+                />
+              </LoadingSection>
+              )}
+
               {/* Daily Cash Flow Chart */}
               {performance?.daily_performances && performance.daily_performances.length > 0 && (
               <LoadingSection isLoading={loadingSections.dailyCashFlow}>
@@ -1496,28 +2037,24 @@ const QMTTradingDashboard = () => {
                     <BarChart 
                       data={performance.daily_performances
                         .map((day, index, array) => {
+                          let calculatedCashChange = 0;
                           // Use the daily_cash_change if available
                           if (day.daily_cash_change !== undefined && day.daily_cash_change !== null) {
-                            return {
-                              ...day,
-                              calculatedCashChange: day.daily_cash_change
-                            };
+                            calculatedCashChange = day.daily_cash_change;
+                          } else if (index > 0) {
+                            // Otherwise calculate it from daily cash values (if we have previous day data)
+                            calculatedCashChange = day.cash - array[index - 1].cash;
                           }
-                          
-                          // Otherwise calculate it from daily cash values (if we have previous day data)
-                          if (index > 0) {
-                            const prevDayCash = array[index - 1].cash;
-                            const cashChange = day.cash - prevDayCash;
-                            return {
-                              ...day,
-                              calculatedCashChange: cashChange
-                            };
-                          }
-                          
                           // For the first day with no reference, show no change
+
+                          // Split into deposits/withdrawals and what trading moved
+                          const flow = cashFlows.find(f => f.date === day.trade_date);
+                          const externalCashChange = flow ? flow.externalFlow : 0;
                           return {
                             ...day,
-                            calculatedCashChange: 0
+                            calculatedCashChange,
+                            tradeCashChange: calculatedCashChange - externalCashChange,
+                            externalCashChange
                           };
                         })
                       }
@@ -1529,11 +2066,14 @@ const QMTTradingDashboard = () => {
                         formatter={(value) => formatCurrency(value || 0)}
                         contentStyle={{ backgroundColor: 'white', border: '1px solid #e5e7eb' }}
                       />
-                      <Bar dataKey="calculatedCashChange" fill="#10b981" name="Cash Change (¥)" />
+                      <Legend />
+                      <Bar dataKey="tradeCashChange" stackId="cash" fill="#10b981" name="Trades (¥)" />
+                      <Bar dataKey="externalCashChange" stackId="cash" fill="#f59e0b" name="Deposits / Withdrawals (¥)" />
                     </BarChart>
                   </ResponsiveContainer>
                   <p className="text-sm text-gray-500 mt-4">
-                    Positive values indicate cash inflows (from selling or deposits), negative values indicate outflows (from buying).
+                    Positive values indicate cash inflows (from selling or deposits), negative values indicate outflows (from buying or withdrawals).
+                    Deposits and withdrawals are the part of each day's cash change that buys and sells do not explain; see the Cash tab.
                   </p>
                 </div>
               </LoadingSection>
@@ -1551,6 +2091,11 @@ const QMTTradingDashboard = () => {
                 .sort(([dateA], [dateB]) => dateA.localeCompare(dateB)) // Sort by date ascending
                 .map(([date, holdings]) => {
                   const holdingsValue = holdings.reduce((sum, h) => sum + h.market_value, 0);
+                  const book = holdingsBooks[date];
+                  const valued = holdings.map(h => valuePosition(book, h.stock_code, h.quantity, h.market_value));
+                  const unrealizedTotal = valued.reduce((sum, v) => sum + (v.unrealizedPnl || 0), 0);
+                  const realizedTotal = book ? book.realizedPnl : 0;
+                  const pnlColor = (v) => (v == null || v === 0 ? 'text-gray-900' : v > 0 ? 'text-green-600' : 'text-red-600');
                   // Get cash from dailyPnl for this date
                   const dayData = dailyPnl.find(d => d.date === date);
                   const cashBalance = dayData ? dayData.cash : 0;
@@ -1574,7 +2119,16 @@ const QMTTradingDashboard = () => {
                               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stock Code</th>
                               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
                               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+                              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Avg Cost</th>
                               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Market Value</th>
+                              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Unrealized P&amp;L</th>
+                              <th
+                                className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase"
+                                title={realizedToDate ? 'All sells since inception, up to this date' : 'Sells in the loaded date range only; the full history could not be loaded'}
+                              >
+                                Realized P&amp;L ({realizedToDate ? 'to date' : 'range'})
+                              </th>
+                              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Held</th>
                               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Weight</th>
                             </tr>
                           </thead>
@@ -1584,7 +2138,31 @@ const QMTTradingDashboard = () => {
                                 <td className="px-6 py-4 text-sm font-medium text-gray-900">{holding.stock_code}</td>
                                 <td className="px-6 py-4 text-sm text-right text-gray-900">{holding.quantity.toFixed(0)}</td>
                                 <td className="px-6 py-4 text-sm text-right text-gray-900">{holding.price.toFixed(2)}</td>
+                                <td className="px-6 py-4 text-sm text-right text-gray-900">
+                                  {valued[idx].avgCost == null ? '-' : (
+                                    <span title={valued[idx].inferredCost ? 'Includes shares held before the range, costed at that day\'s price' : undefined}>
+                                      {valued[idx].inferredCost && <span className="mr-1 text-amber-600">≈</span>}
+                                      {valued[idx].avgCost.toFixed(3)}
+                                    </span>
+                                  )}
+                                </td>
                                 <td className="px-6 py-4 text-sm text-right text-gray-900">{formatCurrency(holding.market_value)}</td>
+                                <td className={`px-6 py-4 text-sm text-right ${pnlColor(valued[idx].unrealizedPnl)}`}>
+                                  {valued[idx].unrealizedPnl == null ? '-' : (
+                                    <>
+                                      {formatCurrency(valued[idx].unrealizedPnl)}
+                                      {valued[idx].unrealizedPct != null && (
+                                        <span className="block text-xs">{formatPercent(valued[idx].unrealizedPct * 100)}</span>
+                                      )}
+                                    </>
+                                  )}
+                                </td>
+                                <td className={`px-6 py-4 text-sm text-right ${pnlColor(valued[idx].realizedPnl)}`}>
+                                  {formatCurrency(valued[idx].realizedPnl)}
+                                </td>
+                                <td className="px-6 py-4 text-sm text-right text-gray-600">
+                                  {valued[idx].holdingDays == null ? '-' : `${valued[idx].holdingDays.toFixed(0)}d`}
+                                </td>
                                 <td className="px-6 py-4 text-sm text-right text-gray-900">
                                   {((holding.market_value / totalValue) * 100).toFixed(2)}%
                                 </td>
@@ -1595,7 +2173,11 @@ const QMTTradingDashboard = () => {
                               <td className="px-6 py-4 text-sm font-bold text-gray-900">CASH</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
+                              <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">{formatCurrency(cashBalance)}</td>
+                              <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
+                              <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
+                              <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">
                                 {((cashBalance / totalValue) * 100).toFixed(2)}%
                               </td>
@@ -1605,7 +2187,11 @@ const QMTTradingDashboard = () => {
                               <td className="px-6 py-4 text-sm font-bold text-gray-900">TOTAL</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
+                              <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">{formatCurrency(totalValue)}</td>
+                              <td className={`px-6 py-4 text-sm text-right ${pnlColor(unrealizedTotal)}`}>{formatCurrency(unrealizedTotal)}</td>
+                              <td className={`px-6 py-4 text-sm text-right ${pnlColor(realizedTotal)}`}>{formatCurrency(realizedTotal)}</td>
+                              <td className="px-6 py-4 text-sm text-right text-gray-900">-</td>
                               <td className="px-6 py-4 text-sm text-right text-gray-900">100.00%</td>
                             </tr>
                           </tbody>
@@ -1686,7 +2272,11 @@ const QMTTradingDashboard = () => {
                           {dayTransactions
                             .sort((a, b) => a.execution_time - b.execution_time) // Sort by time ascending
                             .map((tx) => (
-                    <tr key={tx.id} className="hover:bg-gray-50">
+                    <tr
+                      key={tx.id}
+                      id={`tx-${tx.id}`}
+                      className={String(tx.id) === String(highlightedTransaction) ? 'bg-yellow-50 ring-2 ring-inset ring-yellow-300' : 'hover:bg-gray-50'}
+                    >
                               <td className="px-6 py-4 text-sm text-gray-600">{tx.execution_datetime.split(' ')[1]}</td>
                       <td className="px-6 py-4 text-sm font-medium text-gray-900">{tx.code}</td>
                       <td className="px-6 py-4 text-sm">
@@ -1731,6 +2321,47 @@ const QMTTradingDashboard = () => {
           </LoadingSection>
         )}
 
+        {/* Trades Tab */}
+        {activeTab === 'trades' && (
+          <LoadingSection isLoading={loadingSections.transactions}>
+            <TradesView
+              transactions={transactions}
+              openingPositions={openingPositions}
+              method={tradeMatching}
+              onMethodChange={setTradeMatching}
+            />
+          </LoadingSection>
+        )}
+
+        {/* Cash Tab */}
+        {activeTab === 'cash' && (
+          <CashLedgerView
+            strategy={selectedStrategy}
+            dryRun={dryRun}
+            cashFlows={cashFlows}
+            flowsUnavailable={transactionsTruncated}
+            addToast={addToast}
+            onAddCash={() => setShowAddCash(true)}
+          />
+        )}
+
+        {/* Orders Tab */}
+        {activeTab === 'orders' && (
+          <OrdersView
+            strategies={strategies}
+            defaultStrategy={selectedStrategy}
+            defaultMode={dryRun ? 'DRY RUN' : 'LIVE'}
+            canTrade={canTrade}
+            addToast={addToast}
+            onShowTransaction={handleShowTransaction}
+          />
+        )}
+
+        {/* Audit Tab */}
+        {activeTab === 'audit' && (
+          <AuditLogView strategies={strategies} addToast={addToast} />
+        )}
+
         </div>
       </div>
     </div>
@@ -0,0 +1,127 @@
+/**
+ * Shared fetch wrapper for the BFF.
+ *
+ * The BFF authenticates with an HttpOnly session cookie, and the React dev server
+ * (:3001) is a different origin from the BFF (:3000), so every call must opt in to
+ * sending credentials. A 401 anywhere means the session expired: we broadcast
+ * UNAUTHORIZED_EVENT and App drops back to the login screen.
+ *
+ * The BFF can front several backends; the one picked in the header selector is kept
+ * per browser and sent as `X-Backend` on every call (EventSource, which can't set
+ * headers, passes it as `?backend=` instead).
+ *
+ * Order and cash writes carry an `Idempotency-Key` (one per review session, see
+ * newIdempotencyKey) so the BFF answers a retried submit with the original result
+ * instead of queueing it twice.
+ */
+export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3000/api';
+
+// BFF root for its own (non-proxied) routes: /auth, /health, /cache …
+export const BFF_BASE_URL = API_BASE_URL.replace(/\/api\/?$/, '');
+
+export const UNAUTHORIZED_EVENT = 'qmt:unauthorized';
+
+const BACKEND_STORAGE_KEY = 'qmt_backend';
+
+// Selected backend name, or '' for the BFF's default
+export const getBackend = () => localStorage.getItem(BACKEND_STORAGE_KEY) || '';
+
+export const setBackend = (name) => {
+  if (name) {
+    localStorage.setItem(BACKEND_STORAGE_KEY, name);
+  } else {
+    localStorage.removeItem(BACKEND_STORAGE_KEY);
+  }
+};
+
+// Random key for one review session of an order / cash operation
+export const newIdempotencyKey = () => (
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`
+);
+
+export const apiFetch = async (url, options = {}) => {
+  const backend = getBackend();
+  const headers = backend ? { 'X-Backend': backend, ...options.headers } : options.headers;
+  const res = await fetch(url, { credentials: 'include', ...options, headers });
+  if (res.status === 401) {
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+  return res;
+};
+
+// Earlier than any strategy's first trade: where a whole-history request starts
+const HISTORY_START_DATE = '2000-01-01';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Every transaction of a strategy from inception to `endDate`. The backend returns at most
+ * `limit` rows per request, so a date window that comes back full is split in half and each
+ * half fetched again. `complete` is false when a single day alone fills `limit` rows.
+ * Throws on a failed request.
+ */
+export const fetchTransactionHistory = async (apiBaseUrl, strategy, { dryRun, endDate, limit }) => {
+  const toDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+  let complete = true;
+
+  const fetchWindow = async (start, end) => {
+    const params = new URLSearchParams({ limit: String(limit), dry_run: dryRun, start_date: start, end_date: end });
+    const res = await apiFetch(`${apiBaseUrl}/strategy/${strategy}/transactions?${params.toString()}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const rows = await res.json();
+    if (rows.length < limit) return rows;
+    if (start === end) {
+      complete = false;
+      return rows;
+    }
+    const days = Math.round((Date.parse(end) - Date.parse(start)) / MS_PER_DAY);
+    const mid = Date.parse(start) + Math.floor(days / 2) * MS_PER_DAY;
+    const early = await fetchWindow(start, toDay(mid));
+    const late = await fetchWindow(toDay(mid + MS_PER_DAY), end);
+    return [...early, ...late];
+  };
+
+  const transactions = await fetchWindow(HISTORY_START_DATE, endDate);
+  return { transactions, complete };
+};
+
+const EXCHANGE_OF = { SH: 'SH', SS: 'SH', XSHG: 'SH', SZ: 'SZ', XSHE: 'SZ' };
+
+// 600000.XSHG / 600000.SS / 600000.sh -> 600000.SH (QMT form, accepted by POST /order;
+// same mapping as the BFF's risk checks)
+export const normalizeCode = (code) => {
+  const [digits, suffix = ''] = String(code || '').trim().toUpperCase().split('.');
+  return `${digits}.${EXCHANGE_OF[suffix] || suffix}`;
+};
+
+/**
+ * Queue one order (POST /order) as part of a batch (basket, rebalance) and reduce the
+ * outcome to a row status: queued | replayed | duplicate | failed, plus a message.
+ * Never throws; a network error is `failed` and safe to retry with the same key.
+ */
+export const submitOrder = async (apiBaseUrl, payload, idempotencyKey, { confirmDuplicate = false } = {}) => {
+  let res;
+  try {
+    res = await apiFetch(`${apiBaseUrl}/order`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey,
+        ...(confirmDuplicate ? { 'X-Confirm-Duplicate': 'true' } : {})
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch (err) {
+    return { state: 'failed', message: `No response (${err.message}); retry is safe.` };
+  }
+  const data = await res.json().catch(() => ({}));
+  if (res.ok) {
+    return res.headers.get('Idempotent-Replayed') === 'true'
+      ? { state: 'replayed', message: 'Original result returned; not queued again.' }
+      : { state: 'queued', message: data.mode_label ? `[${data.mode_label}]` : '' };
+  }
+  if (res.status === 409 && data.requiresConfirmation) return { state: 'duplicate', message: data.detail };
+  if (Array.isArray(data.errors)) return { state: 'failed', message: data.errors.map((e) => e.message).join(' ') };
+  return { state: 'failed', message: data.detail || data.message || data.error || `HTTP ${res.status}` };
+};
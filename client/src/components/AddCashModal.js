@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { X, AlertTriangle, Loader2, Wallet } from 'lucide-react';
+import { X, AlertTriangle, Loader2, Lock, Wallet } from 'lucide-react';
+import { apiFetch, newIdempotencyKey } from '../api';
 
 /**
  * Modal for adding or withdrawing cash for a strategy (POST /api/cash).
@@ -8,6 +9,9 @@ import { X, AlertTriangle, Loader2, Wallet } from 'lucide-react';
  * explicit DRY RUN / LIVE selector (sent as `dry_run` so the affected cash records match the
  * target engine), and requires a confirm step before submitting. ADD = deposit, WITHDRAW =
  * remove capital (the backend validates sufficient balance and 400s otherwise).
+ *
+ * Submits carry an Idempotency-Key per review session and go through the same
+ * duplicate warning as orders (see AddOrderModal).
  */
 const emptyForm = (strategy) => ({
   strategy: strategy || '',
@@ -25,6 +29,7 @@ export const AddCashModal = ({
   defaultStrategy = '',
   onSuccess,
   addToast,
+  canTrade = true, // from the BFF session; viewers see the form but cannot submit
 }) => {
   const [form, setForm] = useState(emptyForm(defaultStrategy));
   const [mode, setMode] = useState(null); // { dry_run_mode, mode_label } — the API server's own mode
@@ -34,12 +39,14 @@ export const AddCashModal = ({
   const [confirming, setConfirming] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [formError, setFormError] = useState(null);
+  const [idempotencyKey, setIdempotencyKey] = useState(null); // one per review session; retries reuse it
+  const [duplicateOf, setDuplicateOf] = useState(null); // BFF 409 "Possible duplicate" awaiting confirmation
 
   const fetchMode = useCallback(async () => {
     setModeLoading(true);
     setModeError(null);
     try {
-      const res = await fetch(`${apiBaseUrl}/trading-mode`);
+      const res = await apiFetch(`${apiBaseUrl}/trading-mode`);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
       setMode(data);
@@ -58,6 +65,7 @@ export const AddCashModal = ({
       setConfirming(false);
       setSubmitting(false);
       setFormError(null);
+      setDuplicateOf(null);
       setDryRun(null);
       fetchMode();
     }
@@ -78,16 +86,19 @@ export const AddCashModal = ({
 
   const handleReview = (e) => {
     e.preventDefault();
+    if (!canTrade) return;
     const err = validate();
     if (err) {
       setFormError(err);
       return;
     }
     setFormError(null);
+    setDuplicateOf(null);
+    setIdempotencyKey(newIdempotencyKey());
     setConfirming(true);
   };
 
-  const handleSubmit = async () => {
+  const handleSubmit = async ({ confirmDuplicate = false } = {}) => {
     setSubmitting(true);
     try {
       const payload = {
@@ -99,20 +110,43 @@ export const AddCashModal = ({
       if (form.trade_date !== '') payload.trade_date = form.trade_date;
       if (form.description.trim() !== '') payload.description = form.description.trim();
 
-      const res = await fetch(`${apiBaseUrl}/cash`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
+      let res;
+      try {
+        res = await apiFetch(`${apiBaseUrl}/cash`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey,
+            ...(confirmDuplicate ? { 'X-Confirm-Duplicate': 'true' } : {}),
+          },
+          body: JSON.stringify(payload),
+        });
+      } catch (err) {
+        // Outcome unknown; a retry with the same key can't apply the operation twice.
+        addToast(`No response (${err.message}). Confirm again to retry safely.`, 'error');
+        return;
+      }
       const data = await res.json().catch(() => ({}));
+      if (res.status === 409 && data.requiresConfirmation) {
+        setDuplicateOf(data);
+        return;
+      }
+      if (res.status === 409) {
+        addToast(data.detail || 'This operation is still being processed.', 'info');
+        return;
+      }
       if (!res.ok) {
         throw new Error(data.detail || data.message || `HTTP ${res.status}`);
       }
-      addToast(
-        `[${data.mode_label}] ${payload.action === 'ADD' ? 'Added' : 'Withdrew'} ` +
-          `${payload.amount.toLocaleString()} — ${payload.strategy}`,
-        'success'
-      );
+      if (res.headers.get('Idempotent-Replayed') === 'true') {
+        addToast(`Already submitted — showing the original result for ${payload.strategy}`, 'info');
+      } else {
+        addToast(
+          `[${data.mode_label}] ${payload.action === 'ADD' ? 'Added' : 'Withdrew'} ` +
+            `${payload.amount.toLocaleString()} — ${payload.strategy}`,
+          'success'
+        );
+      }
       if (onSuccess) onSuccess();
       onClose();
     } catch (err) {
@@ -172,6 +206,12 @@ export const AddCashModal = ({
               </span>
             </div>
           )}
+          {!canTrade && (
+            <div className="mt-2 flex items-center gap-2 rounded-lg bg-gray-100 px-3 py-2 text-sm text-gray-600">
+              <Lock className="h-4 w-4 shrink-0" />
+              Your role is read-only — you cannot add or withdraw cash.
+            </div>
+          )}
         </div>
 
         {/* Body: form OR confirm step */}
@@ -300,7 +340,8 @@ export const AddCashModal = ({
               </button>
               <button
                 type="submit"
-                className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700"
+                disabled={!canTrade}
+                className="rounded-lg bg-emerald-600 px-4 py-2 text-sm font-medium text-white hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Review
               </button>
@@ -337,6 +378,16 @@ export const AddCashModal = ({
               </div>
             )}
 
+            {duplicateOf && (
+              <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+                <p className="flex items-center gap-2 font-medium">
+                  <AlertTriangle className="h-4 w-4 shrink-0" />
+                  Possible duplicate
+                </p>
+                <p className="mt-1">{duplicateOf.detail}</p>
+              </div>
+            )}
+
             <div className="flex justify-end gap-2 pt-2">
               <button
                 type="button"
@@ -348,14 +399,14 @@ export const AddCashModal = ({
               </button>
               <button
                 type="button"
-                onClick={handleSubmit}
-                disabled={submitting}
+                onClick={() => handleSubmit({ confirmDuplicate: Boolean(duplicateOf) })}
+                disabled={submitting || !canTrade}
                 className={`flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-medium text-white disabled:opacity-50 ${
-                  isLive ? 'bg-red-600 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700'
+                  duplicateOf ? 'bg-amber-600 hover:bg-amber-700' : isLive ? 'bg-red-600 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700'
                 }`}
               >
                 {submitting && <Loader2 className="h-4 w-4 animate-spin" />}
-                {submitting ? 'Submitting…' : `Confirm ${form.action}`}
+                {submitting ? 'Submitting…' : duplicateOf ? 'Submit anyway' : `Confirm ${form.action}`}
               </button>
             </div>
           </div>
@@ -1,5 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { X, AlertTriangle, Loader2, ShoppingCart } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { X, AlertTriangle, Loader2, Lock, ShoppingCart, Upload, CheckCircle, XCircle } from 'lucide-react';
+import { apiFetch, newIdempotencyKey, submitOrder } from '../api';
 
 /**
  * Modal for manually injecting an order into the QMT backend (POST /api/order).
@@ -8,12 +9,72 @@ import { X, AlertTriangle, Loader2, ShoppingCart } from 'lucide-react';
  * follows the running service's config. We fetch GET /api/trading-mode on open and show
  * the user which mode the order will actually run in, then require an explicit confirm
  * step before submitting — so a user viewing dry-run data can't unknowingly fire a LIVE order.
+ *
+ * The BFF runs pre-trade risk checks (board lots, price band, size limits, LIVE order cap)
+ * and answers 422 with `errors: [{ field, message }]`; those are shown under each field.
+ *
+ * Each review session gets its own Idempotency-Key, so a double click or a retry after a
+ * network error can't queue the order twice. If the BFF sees an identical order accepted
+ * moments ago it answers 409 `requiresConfirmation`; the confirm step then asks before
+ * resending with `X-Confirm-Duplicate`.
+ *
+ * The Basket tab queues many orders from one CSV (see BasketOrders below).
  */
 // Accepts QMT format (600000.SH / 000001.SZ) or JoinQuant format
 // (600000.XSHG / 513500.XSHG / 000001.XSHE). The backend normalize_code maps
 // both to the stocks-table .SS/.SZ form, so either is valid here.
 const ORDER_CODE_RE = /^\d{6}\.(SH|SZ|XSHG|XSHE)$/i;
 
+// Messages from a 422 risk rejection, grouped by the order field they refer to.
+const groupFieldErrors = (errors = []) =>
+  errors.reduce((acc, e) => {
+    const field = e.field || 'form';
+    acc[field] = [...(acc[field] || []), e.message];
+    return acc;
+  }, {});
+
+const FieldErrors = ({ messages }) =>
+  messages ? messages.map((m) => <p key={m} className="mt-1 text-xs text-red-600">{m}</p>) : null;
+
+// DRY RUN / LIVE toggle shared by the single-order form and the basket.
+const ModeSelector = ({ dryRun, onSelect, mode, modeLabel, isOverriding, errors }) => (
+  <div>
+    <label className="mb-1 block text-sm font-medium text-gray-700">Execution mode</label>
+    <div className="flex gap-2">
+      <button
+        type="button"
+        onClick={() => onSelect(true)}
+        className={`flex-1 rounded-lg border px-3 py-2 text-sm font-medium ${
+          dryRun === true
+            ? 'border-blue-600 bg-blue-50 text-blue-700'
+            : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+        }`}
+      >
+        DRY RUN (simulation)
+      </button>
+      <button
+        type="button"
+        onClick={() => onSelect(false)}
+        className={`flex-1 rounded-lg border px-3 py-2 text-sm font-medium ${
+          dryRun === false
+            ? 'border-red-600 bg-red-50 text-red-700'
+            : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+        }`}
+      >
+        LIVE (real money)
+      </button>
+    </div>
+    {isOverriding && (
+      <p className="mt-1 flex items-center gap-1 text-xs text-amber-600">
+        <AlertTriangle className="h-3 w-3 shrink-0" />
+        This API server is in {mode.mode_label}; orders will be queued as{' '}
+        <strong>{modeLabel}</strong> to match the target engine.
+      </p>
+    )}
+    <FieldErrors messages={errors} />
+  </div>
+);
+
 const emptyForm = (strategy) => ({
   strategy: strategy || '',
   action: 'BUY',
@@ -22,6 +83,327 @@ const emptyForm = (strategy) => ({
   price: '',
 });
 
+// ---- Basket mode: many orders from one CSV -------------------------------------
+
+const BASKET_COLUMNS = ['strategy', 'action', 'code', 'amount', 'price'];
+const BASKET_EXAMPLE = 'strategy,action,code,amount,price\netf_rotation,BUY,510300.SH,1000,3.95\netf_rotation,SELL,159915.SZ,2000,';
+
+/**
+ * Parse pasted/uploaded basket CSV (comma- or tab-separated, so a paste from Excel works).
+ * Columns are strategy, action, code, amount, price (optional); a header row may name them
+ * in any order. A blank strategy falls back to the one selected in the form.
+ * @returns {Array<{ line, strategy, action, code, amount, price, errors }>}
+ */
+const parseBasket = (text, fallbackStrategy) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((raw, i) => ({ line: i + 1, cells: raw.split(/[,\t]/).map((c) => c.trim()) }))
+    .filter(({ cells }) => cells.some((c) => c !== '') && !cells[0].startsWith('#'));
+  if (lines.length === 0) return [];
+
+  let columns = BASKET_COLUMNS;
+  const header = lines[0].cells.map((c) => c.toLowerCase());
+  if (header.includes('code') && header.includes('amount')) {
+    columns = header;
+    lines.shift();
+  }
+  const cell = (cells, name) => (columns.indexOf(name) >= 0 ? cells[columns.indexOf(name)] || '' : '');
+
+  return lines.map(({ line, cells }) => {
+    const row = {
+      line,
+      strategy: cell(cells, 'strategy') || fallbackStrategy.trim(),
+      action: cell(cells, 'action').toUpperCase(),
+      code: cell(cells, 'code').toUpperCase(),
+      amount: cell(cells, 'amount'),
+      price: cell(cells, 'price'),
+    };
+    const errors = [];
+    if (!row.strategy) errors.push('Strategy is required (in the row or selected above).');
+    if (!['BUY', 'SELL'].includes(row.action)) errors.push('Action must be BUY or SELL.');
+    if (!ORDER_CODE_RE.test(row.code)) errors.push('Code must be QMT (600000.SH) or JoinQuant (600000.XSHG) format.');
+    const amt = Number(row.amount);
+    if (!Number.isInteger(amt) || amt <= 0) errors.push('Amount must be a positive whole number of shares.');
+    if (row.price !== '' && !(Number(row.price) > 0)) errors.push('Price, if set, must be greater than 0.');
+    return { ...row, errors };
+  });
+};
+
+const basketTotals = (rows) => rows.reduce((acc, r) => {
+  if (r.errors.length > 0) return acc;
+  if (r.price === '') {
+    acc.unpriced += 1;
+  } else {
+    acc[r.action === 'BUY' ? 'buy' : 'sell'] += Number(r.amount) * Number(r.price);
+  }
+  return acc;
+}, { buy: 0, sell: 0, unpriced: 0 });
+
+const fmtMoney = (n) => n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const ROW_STATUS = {
+  queued: { label: 'Queued', className: 'text-green-700', Icon: CheckCircle },
+  replayed: { label: 'Already submitted', className: 'text-blue-700', Icon: CheckCircle },
+  failed: { label: 'Failed', className: 'text-red-600', Icon: XCircle },
+  duplicate: { label: 'Possible duplicate', className: 'text-amber-700', Icon: AlertTriangle },
+  sending: { label: 'Sending…', className: 'text-gray-600', Icon: Loader2 },
+  pending: { label: 'Waiting', className: 'text-gray-400', Icon: null },
+};
+
+/**
+ * Basket tab of the modal: paste or upload a CSV, review every row (with per-row errors and
+ * total notional), then submit the rows one by one with a status per row. Each row has its
+ * own Idempotency-Key for the review session, so "Retry failed" never queues a row twice.
+ */
+const BasketOrders = ({
+  apiBaseUrl,
+  defaultStrategy,
+  dryRun,
+  modeSelector,
+  modeLabel,
+  isLive,
+  canTrade,
+  addToast,
+  onSuccess,
+  onClose,
+}) => {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState(null); // parsed rows once reviewed
+  const [status, setStatus] = useState({}); // row line -> { state, message }
+  const [running, setRunning] = useState(false);
+  const [parseError, setParseError] = useState(null);
+  const stopRef = useRef(false);
+
+  const handleFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result || ''));
+    reader.onerror = () => setParseError(`Couldn't read ${file.name}.`);
+    reader.readAsText(file);
+    e.target.value = ''; // allow re-selecting the same file
+  };
+
+  const handleReview = (e) => {
+    e.preventDefault();
+    if (!canTrade) return;
+    if (dryRun !== true && dryRun !== false) {
+      setParseError('Select an execution mode (DRY RUN or LIVE).');
+      return;
+    }
+    const parsed = parseBasket(text, defaultStrategy);
+    if (parsed.length === 0) {
+      setParseError('Paste or upload at least one order row.');
+      return;
+    }
+    setParseError(null);
+    setStatus({});
+    setRows(parsed.map((r) => ({ ...r, key: newIdempotencyKey() })));
+  };
+
+  const submitRow = (row, confirmDuplicate) => {
+    const payload = { strategy: row.strategy, action: row.action, code: row.code, amount: Number(row.amount) };
+    if (row.price !== '') payload.price = Number(row.price);
+    payload.dry_run = dryRun;
+    return submitOrder(apiBaseUrl, payload, row.key, { confirmDuplicate });
+  };
+
+  // Submit rows in order, one at a time; `retry` re-sends only failed/duplicate rows.
+  const run = async (retry = false) => {
+    const targets = rows.filter((r) => !retry || ['failed', 'duplicate'].includes((status[r.line] || {}).state));
+    setRunning(true);
+    stopRef.current = false;
+    const results = { ...status };
+    targets.forEach((r) => { results[r.line] = { state: 'pending' }; });
+    setStatus({ ...results });
+    for (const row of targets) {
+      if (stopRef.current) break;
+      setStatus((s) => ({ ...s, [row.line]: { state: 'sending' } }));
+      // Retrying a flagged row is the user's explicit confirmation that it isn't a duplicate.
+      const result = await submitRow(row, retry && (status[row.line] || {}).state === 'duplicate');
+      results[row.line] = result;
+      setStatus((s) => ({ ...s, [row.line]: result }));
+    }
+    setRunning(false);
+
+    const counts = Object.values(results).reduce((acc, r) => ({ ...acc, [r.state]: (acc[r.state] || 0) + 1 }), {});
+    const done = (counts.queued || 0) + (counts.replayed || 0);
+    const problems = (counts.failed || 0) + (counts.duplicate || 0);
+    addToast(
+      `Basket: ${done} of ${rows.length} orders queued${problems ? `, ${problems} need attention` : ''}${stopRef.current ? ' (stopped)' : ''}`,
+      problems ? 'error' : 'success'
+    );
+    if (done > 0 && onSuccess) onSuccess();
+  };
+
+  if (!rows) {
+    return (
+      <form onSubmit={handleReview} className="space-y-4 px-6 py-4">
+        {modeSelector}
+
+        <div>
+          <div className="mb-1 flex items-center justify-between">
+            <label className="block text-sm font-medium text-gray-700">Orders (CSV)</label>
+            <label className="flex cursor-pointer items-center gap-1 text-xs text-blue-600 hover:text-blue-700">
+              <Upload className="h-3 w-3" />
+              Upload file
+              <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={8}
+            placeholder={BASKET_EXAMPLE}
+            className="w-full rounded-lg border border-gray-300 px-3 py-2 font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Columns: strategy, action, code, amount, price (optional; blank = market / engine price).
+            A blank strategy uses the one selected in Single order.
+          </p>
+        </div>
+
+        {parseError && <p className="text-sm text-red-600">{parseError}</p>}
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-lg border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canTrade}
+            className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Review basket
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  const invalid = rows.filter((r) => r.errors.length > 0).length;
+  const totals = basketTotals(rows);
+  const started = Object.keys(status).length > 0;
+  const retryable = rows.filter((r) => ['failed', 'duplicate'].includes((status[r.line] || {}).state)).length;
+
+  return (
+    <div className="space-y-4 px-6 py-4">
+      <div className="max-h-80 overflow-auto rounded-lg border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="sticky top-0 bg-gray-50">
+            <tr>
+              {['Line', 'Strategy', 'Order', 'Price', 'Notional', 'Status'].map((h) => (
+                <th key={h} className="px-3 py-2 text-left text-xs font-medium uppercase text-gray-500">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rows.map((r) => {
+              const st = status[r.line];
+              const meta = st ? ROW_STATUS[st.state] : null;
+              return (
+                <tr key={r.line} className={r.errors.length > 0 ? 'bg-red-50' : ''}>
+                  <td className="px-3 py-2 text-gray-400">{r.line}</td>
+                  <td className="px-3 py-2 text-gray-900">{r.strategy || '—'}</td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    <strong className={r.action === 'BUY' ? 'text-red-600' : 'text-green-600'}>{r.action || '?'}</strong>{' '}
+                    {r.code || '?'} × {r.amount || '?'}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">{r.price !== '' ? r.price : 'market'}</td>
+                  <td className="px-3 py-2 text-right text-gray-700">
+                    {r.errors.length === 0 && r.price !== '' ? fmtMoney(Number(r.amount) * Number(r.price)) : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-xs">
+                    {r.errors.map((m) => <p key={m} className="text-red-600">{m}</p>)}
+                    {meta && (
+                      <p className={`flex items-center gap-1 ${meta.className}`} title={st.message || ''}>
+                        {meta.Icon && <meta.Icon className={`h-3 w-3 shrink-0 ${st.state === 'sending' ? 'animate-spin' : ''}`} />}
+                        {meta.label}
+                      </p>
+                    )}
+                    {st && st.message && st.state !== 'queued' && <p className="text-gray-500">{st.message}</p>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="rounded-lg bg-gray-50 p-3 text-sm text-gray-700">
+        <p>
+          <strong>{rows.length}</strong> orders in <strong>{modeLabel}</strong> mode ·
+          BUY <span className="font-medium text-red-600">{fmtMoney(totals.buy)}</span> ·
+          SELL <span className="font-medium text-green-600">{fmtMoney(totals.sell)}</span> CNY
+        </p>
+        {totals.unpriced > 0 && (
+          <p className="mt-1 text-xs text-gray-500">
+            {totals.unpriced} row{totals.unpriced !== 1 ? 's' : ''} at market / engine price not included in the totals.
+          </p>
+        )}
+        {invalid > 0 && (
+          <p className="mt-1 text-xs text-red-600">
+            {invalid} row{invalid !== 1 ? 's have' : ' has'} errors — fix the CSV before submitting.
+          </p>
+        )}
+      </div>
+
+      {isLive && (
+        <div className="flex items-center gap-2 rounded-lg bg-red-50 px-3 py-2 text-sm font-medium text-red-700">
+          <AlertTriangle className="h-4 w-4 shrink-0" />
+          These are LIVE orders — each one places a real trade.
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2 pt-2">
+        {running ? (
+          <button
+            type="button"
+            onClick={() => { stopRef.current = true; }}
+            className="rounded-lg border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            Stop after this row
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={started ? onClose : () => setRows(null)}
+            className="rounded-lg border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            {started ? 'Close' : 'Back'}
+          </button>
+        )}
+        {!started || running ? (
+          <button
+            type="button"
+            onClick={() => run(false)}
+            disabled={running || invalid > 0 || !canTrade}
+            className={`flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-medium text-white disabled:opacity-50 ${
+              isLive ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+          >
+            {running && <Loader2 className="h-4 w-4 animate-spin" />}
+            {running ? 'Submitting…' : `Submit ${rows.length} ${isLive ? 'LIVE ' : ''}order${rows.length !== 1 ? 's' : ''}`}
+          </button>
+        ) : retryable > 0 && (
+          <button
+            type="button"
+            onClick={() => run(true)}
+            disabled={!canTrade}
+            className="rounded-lg bg-amber-600 px-4 py-2 text-sm font-medium text-white hover:bg-amber-700 disabled:opacity-50"
+          >
+            Retry {retryable} failed
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
 export const AddOrderModal = ({
   isOpen,
   onClose,
@@ -30,21 +412,26 @@ export const AddOrderModal = ({
   defaultStrategy = '',
   onSuccess,
   addToast,
+  canTrade = true, // from the BFF session; viewers see the form but cannot submit
 }) => {
   const [form, setForm] = useState(emptyForm(defaultStrategy));
   const [mode, setMode] = useState(null); // { dry_run_mode, mode_label } — the API server's own mode
   const [dryRun, setDryRun] = useState(null); // selected mode for THIS order; sent as `dry_run` (overrides server)
   const [modeLoading, setModeLoading] = useState(false);
   const [modeError, setModeError] = useState(null);
+  const [tab, setTab] = useState('single'); // 'single' | 'basket'
   const [confirming, setConfirming] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({}); // field -> [message] from the BFF risk checks
+  const [idempotencyKey, setIdempotencyKey] = useState(null); // one per review session; retries reuse it
+  const [duplicateOf, setDuplicateOf] = useState(null); // BFF 409 "Possible duplicate" awaiting confirmation
 
   const fetchMode = useCallback(async () => {
     setModeLoading(true);
     setModeError(null);
     try {
-      const res = await fetch(`${apiBaseUrl}/trading-mode`);
+      const res = await apiFetch(`${apiBaseUrl}/trading-mode`);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
       setMode(data);
@@ -61,9 +448,12 @@ export const AddOrderModal = ({
   useEffect(() => {
     if (isOpen) {
       setForm(emptyForm(defaultStrategy));
+      setTab('single');
       setConfirming(false);
       setSubmitting(false);
       setFormError(null);
+      setFieldErrors({});
+      setDuplicateOf(null);
       setDryRun(null); // fetchMode sets the default once the server mode is known
       fetchMode();
     }
@@ -71,7 +461,15 @@ export const AddOrderModal = ({
 
   if (!isOpen) return null;
 
-  const setField = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+  const setField = (key, value) => {
+    setForm((f) => ({ ...f, [key]: value }));
+    setFieldErrors(({ [key]: _, ...rest }) => rest);
+  };
+
+  const selectMode = (value) => {
+    setDryRun(value);
+    setFieldErrors(({ dry_run: _, ...rest }) => rest);
+  };
 
   const validate = () => {
     if (!form.strategy.trim()) return 'Strategy is required.';
@@ -86,16 +484,19 @@ export const AddOrderModal = ({
 
   const handleReview = (e) => {
     e.preventDefault();
+    if (!canTrade) return;
     const err = validate();
     if (err) {
       setFormError(err);
       return;
     }
     setFormError(null);
+    setDuplicateOf(null);
+    setIdempotencyKey(newIdempotencyKey());
     setConfirming(true);
   };
 
-  const handleSubmit = async () => {
+  const handleSubmit = async ({ confirmDuplicate = false } = {}) => {
     setSubmitting(true);
     try {
       const payload = {
@@ -107,19 +508,50 @@ export const AddOrderModal = ({
       if (form.price !== '') payload.price = Number(form.price);
       payload.dry_run = dryRun; // queue in the explicitly selected mode
 
-      const res = await fetch(`${apiBaseUrl}/order`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
+      let res;
+      try {
+        res = await apiFetch(`${apiBaseUrl}/order`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey,
+            ...(confirmDuplicate ? { 'X-Confirm-Duplicate': 'true' } : {}),
+          },
+          body: JSON.stringify(payload),
+        });
+      } catch (err) {
+        // No answer: the order may or may not be queued. Stay on the confirm step — retrying
+        // reuses the same key, so the BFF returns the original result instead of a second order.
+        addToast(`No response (${err.message}). Confirm again to retry safely.`, 'error');
+        return;
+      }
       const data = await res.json().catch(() => ({}));
+      if (res.status === 409 && data.requiresConfirmation) {
+        setDuplicateOf(data);
+        return;
+      }
+      if (res.status === 409) {
+        addToast(data.detail || 'This order is still being processed.', 'info');
+        return;
+      }
+      if (res.status === 422 && Array.isArray(data.errors)) {
+        // Risk rejection: back to the form with the reasons next to each field
+        setFieldErrors(groupFieldErrors(data.errors));
+        setConfirming(false);
+        addToast(`Order rejected by risk checks (${data.errors.length} issue${data.errors.length !== 1 ? 's' : ''})`, 'error');
+        return;
+      }
       if (!res.ok) {
         throw new Error(data.detail || data.message || `HTTP ${res.status}`);
       }
-      addToast(
-        `[${data.mode_label}] Order queued: ${payload.action} ${payload.code} ×${payload.amount}`,
-        'success'
-      );
+      if (res.headers.get('Idempotent-Replayed') === 'true') {
+        addToast(`Already submitted — showing the original result: ${payload.action} ${payload.code} ×${payload.amount}`, 'info');
+      } else {
+        addToast(
+          `[${data.mode_label}] Order queued: ${payload.action} ${payload.code} ×${payload.amount}`,
+          'success'
+        );
+      }
       if (onSuccess) onSuccess();
       onClose();
     } catch (err) {
@@ -134,6 +566,16 @@ export const AddOrderModal = ({
   const isLive = dryRun === false;
   const modeLabel = dryRun === false ? 'LIVE' : dryRun === true ? 'DRY RUN' : (mode ? mode.mode_label : '—');
   const isOverriding = mode && dryRun !== null && dryRun !== mode.dry_run_mode;
+  const modeSelector = (
+    <ModeSelector
+      dryRun={dryRun}
+      onSelect={selectMode}
+      mode={mode}
+      modeLabel={modeLabel}
+      isOverriding={isOverriding}
+      errors={fieldErrors.dry_run}
+    />
+  );
 
   return (
     <div
@@ -141,7 +583,7 @@ export const AddOrderModal = ({
       onClick={onClose}
     >
       <div
-        className="w-full max-w-md rounded-xl bg-white shadow-xl"
+        className={`w-full rounded-xl bg-white shadow-xl ${tab === 'basket' ? 'max-w-3xl' : 'max-w-md'}`}
         onClick={(e) => e.stopPropagation()}
       >
         {/* Header */}
@@ -179,10 +621,47 @@ export const AddOrderModal = ({
               </span>
             </div>
           )}
+          {!canTrade && (
+            <div className="mt-2 flex items-center gap-2 rounded-lg bg-gray-100 px-3 py-2 text-sm text-gray-600">
+              <Lock className="h-4 w-4 shrink-0" />
+              Your role is read-only — you cannot place orders.
+            </div>
+          )}
         </div>
 
-        {/* Body: form OR confirm step */}
-        {!confirming ? (
+        {/* Single order / basket */}
+        {!confirming && (
+          <div className="flex gap-4 border-b border-gray-200 px-6 pt-3">
+            {[['single', 'Single order'], ['basket', 'Basket (CSV)']].map(([id, label]) => (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setTab(id)}
+                className={`-mb-px border-b-2 pb-2 text-sm font-medium ${
+                  tab === id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Body: basket, form OR confirm step */}
+        {tab === 'basket' ? (
+          <BasketOrders
+            apiBaseUrl={apiBaseUrl}
+            defaultStrategy={form.strategy}
+            dryRun={dryRun}
+            modeSelector={modeSelector}
+            modeLabel={modeLabel}
+            isLive={isLive}
+            canTrade={canTrade}
+            addToast={addToast}
+            onSuccess={onSuccess}
+            onClose={onClose}
+          />
+        ) : !confirming ? (
           <form onSubmit={handleReview} className="space-y-4 px-6 py-4">
             <div>
               <label className="mb-1 block text-sm font-medium text-gray-700">Strategy</label>
@@ -208,40 +687,7 @@ export const AddOrderModal = ({
               )}
             </div>
 
-            <div>
-              <label className="mb-1 block text-sm font-medium text-gray-700">Execution mode</label>
-              <div className="flex gap-2">
-                <button
-                  type="button"
-                  onClick={() => setDryRun(true)}
-                  className={`flex-1 rounded-lg border px-3 py-2 text-sm font-medium ${
-                    dryRun === true
-                      ? 'border-blue-600 bg-blue-50 text-blue-700'
-                      : 'border-gray-300 text-gray-600 hover:bg-gray-50'
-                  }`}
-                >
-                  DRY RUN (simulation)
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setDryRun(false)}
-                  className={`flex-1 rounded-lg border px-3 py-2 text-sm font-medium ${
-                    dryRun === false
-                      ? 'border-red-600 bg-red-50 text-red-700'
-                      : 'border-gray-300 text-gray-600 hover:bg-gray-50'
-                  }`}
-                >
-                  LIVE (real money)
-                </button>
-              </div>
-              {isOverriding && (
-                <p className="mt-1 flex items-center gap-1 text-xs text-amber-600">
-                  <AlertTriangle className="h-3 w-3 shrink-0" />
-                  This API server is in {mode.mode_label}; the order will be queued as{' '}
-                  <strong>{modeLabel}</strong> to match the target engine.
-                </p>
-              )}
-            </div>
+            {modeSelector}
 
             <div className="grid grid-cols-2 gap-3">
               <div>
@@ -262,8 +708,9 @@ export const AddOrderModal = ({
                   value={form.code}
                   onChange={(e) => setField('code', e.target.value)}
                   placeholder="600000.SH or 513500.XSHG"
-                  className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={`w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${fieldErrors.code ? 'border-red-400' : 'border-gray-300'}`}
                 />
+                <FieldErrors messages={fieldErrors.code} />
               </div>
             </div>
 
@@ -277,8 +724,9 @@ export const AddOrderModal = ({
                   value={form.amount}
                   onChange={(e) => setField('amount', e.target.value)}
                   placeholder="1000"
-                  className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={`w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${fieldErrors.amount ? 'border-red-400' : 'border-gray-300'}`}
                 />
+                <FieldErrors messages={fieldErrors.amount} />
               </div>
               <div>
                 <label className="mb-1 block text-sm font-medium text-gray-700">
@@ -291,12 +739,14 @@ export const AddOrderModal = ({
                   value={form.price}
                   onChange={(e) => setField('price', e.target.value)}
                   placeholder="market / engine price"
-                  className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={`w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${fieldErrors.price ? 'border-red-400' : 'border-gray-300'}`}
                 />
+                <FieldErrors messages={fieldErrors.price} />
               </div>
             </div>
 
             {formError && <p className="text-sm text-red-600">{formError}</p>}
+            <FieldErrors messages={[...(fieldErrors.strategy || []), ...(fieldErrors.action || []), ...(fieldErrors.form || [])]} />
 
             <div className="flex justify-end gap-2 pt-2">
               <button
@@ -308,7 +758,8 @@ export const AddOrderModal = ({
               </button>
               <button
                 type="submit"
-                className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700"
+                disabled={!canTrade}
+                className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Review
               </button>
@@ -342,6 +793,16 @@ export const AddOrderModal = ({
               </div>
             )}
 
+            {duplicateOf && (
+              <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800">
+                <p className="flex items-center gap-2 font-medium">
+                  <AlertTriangle className="h-4 w-4 shrink-0" />
+                  Possible duplicate
+                </p>
+                <p className="mt-1">{duplicateOf.detail}</p>
+              </div>
+            )}
+
             <div className="flex justify-end gap-2 pt-2">
               <button
                 type="button"
@@ -353,14 +814,14 @@ export const AddOrderModal = ({
               </button>
               <button
                 type="button"
-                onClick={handleSubmit}
-                disabled={submitting}
+                onClick={() => handleSubmit({ confirmDuplicate: Boolean(duplicateOf) })}
+                disabled={submitting || !canTrade}
                 className={`flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-medium text-white disabled:opacity-50 ${
-                  isLive ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                  duplicateOf ? 'bg-amber-600 hover:bg-amber-700' : isLive ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
                 }`}
               >
                 {submitting && <Loader2 className="h-4 w-4 animate-spin" />}
-                {submitting ? 'Submitting…' : `Confirm ${isLive ? 'LIVE ' : ''}Order`}
+                {submitting ? 'Submitting…' : duplicateOf ? 'Submit anyway' : `Confirm ${isLive ? 'LIVE ' : ''}Order`}
               </button>
             </div>
           </div>
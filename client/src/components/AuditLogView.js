@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ScrollText, RefreshCw } from 'lucide-react';
+import { apiFetch, BFF_BASE_URL } from '../api';
+
+/**
+ * Audit tab: every order/cash request that went through the BFF (GET /audit), newest
+ * first, filterable by strategy, action and mode. Includes requests the backend
+ * rejected and ones the BFF denied for lack of role, so failures are visible too,
+ * and order cancellations from the Orders tab.
+ */
+const ACTIONS = ['BUY', 'SELL', 'ADD', 'WITHDRAW', 'CANCEL'];
+const MODES = ['DRY RUN', 'LIVE'];
+const LIMIT = 500;
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// One-line summary of what was requested, e.g. "600000.SH ×1000 @ 10.5" or "100,000 CNY".
+const describePayload = (entry) => {
+  const p = entry.payload || {};
+  if (entry.type === 'cancel') return `${p.action || ''} ${p.code || '?'} ×${p.amount ?? '?'}`.trim();
+  if (entry.type === 'cash') return `${Number(p.amount || 0).toLocaleString()} CNY${p.description ? ` — ${p.description}` : ''}`;
+  return `${p.code || '?'} ×${p.amount ?? '?'}${p.price != null ? ` @ ${p.price}` : ''}`;
+};
+
+const describeResponse = (entry) => {
+  const r = entry.response;
+  if (r == null || r === '') return '—';
+  if (typeof r === 'string') return r;
+  return r.message || r.detail || r.status || JSON.stringify(r);
+};
+
+export const AuditLogView = ({ strategies = [], addToast }) => {
+  const [filters, setFilters] = useState({ strategy: '', action: '', mode: '' });
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const fetchAudit = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: String(LIMIT) });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      const res = await apiFetch(`${BFF_BASE_URL}/audit?${params.toString()}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setEntries(data.entries || []);
+      setTotal(data.total || 0);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      addToast(`Failed to load audit log: ${error.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, addToast]);
+
+  useEffect(() => {
+    fetchAudit();
+  }, [fetchAudit]);
+
+  const setFilter = (key, value) => setFilters((f) => ({ ...f, [key]: value }));
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between flex-wrap gap-3">
+        <h3 className="flex items-center gap-2 text-lg font-semibold">
+          <ScrollText className="w-5 h-5 text-blue-600" /> Audit Trail
+        </h3>
+        <div className="flex items-center gap-2 flex-wrap">
+          <select value={filters.strategy} onChange={(e) => setFilter('strategy', e.target.value)} className={selectClass}>
+            <option value="">All strategies</option>
+            {strategies.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+          <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className={selectClass}>
+            <option value="">All actions</option>
+            {ACTIONS.map((a) => (
+              <option key={a} value={a}>{a}</option>
+            ))}
+          </select>
+          <select value={filters.mode} onChange={(e) => setFilter('mode', e.target.value)} className={selectClass}>
+            <option value="">All modes</option>
+            {MODES.map((m) => (
+              <option key={m} value={m}>{m}</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchAudit}
+            disabled={loading}
+            className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Reload
+          </button>
+        </div>
+      </div>
+
+      {entries.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Strategy</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Request</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Response</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Latency</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {entries.map((entry) => (
+                <tr key={entry.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {entry.user || '—'}
+                    {entry.role && <span className="ml-1 text-xs text-gray-400">({entry.role})</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{entry.strategy || '—'}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${
+                      entry.action === 'CANCEL' ? 'bg-gray-100 text-gray-600'
+                        : entry.action === 'BUY' || entry.action === 'ADD' ? 'bg-red-50 text-red-600' : 'bg-green-50 text-green-600'
+                    }`}>
+                      {entry.action || entry.type}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{describePayload(entry)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${entry.mode === 'LIVE' ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'}`}>
+                      {entry.mode}
+                    </span>
+                    {entry.backend && <div className="mt-1 text-xs text-gray-400">{entry.backend}</div>}
+                  </td>
+                  <td className={`px-4 py-3 text-sm text-right font-medium ${entry.ok ? 'text-gray-900' : 'text-red-600'}`}>
+                    {entry.status}
+                    {entry.status === 'aborted' && <div className="mt-1 text-xs font-normal text-gray-400" title="The client went away before the response; the request may still have reached the backend">outcome unknown</div>}
+                    {entry.replayed && <div className="mt-1 text-xs font-normal text-gray-400" title="Retry answered with the original response; nothing was sent again">replayed</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600 max-w-xs truncate" title={describeResponse(entry)}>{describeResponse(entry)}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-500">{entry.latencyMs} ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {total > entries.length && (
+            <p className="px-6 py-3 text-xs text-gray-500">Showing the latest {entries.length} of {total} matching entries.</p>
+          )}
+        </div>
+      ) : (
+        <div className="p-12 text-center">
+          <ScrollText className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Audit Entries</h3>
+          <p className="text-gray-500">
+            {loading ? 'Loading audit trail…' : 'No orders or cash operations match these filters yet.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogView;
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { Server } from 'lucide-react';
+import { apiFetch, BFF_BASE_URL } from '../api';
+
+/**
+ * Header selector for the FastAPI backend the BFF routes to (GET /backends), with each
+ * backend's last health check. `dataBackend` is the backend that actually served the
+ * data on screen (from the X-Backend response header); it is flagged when it differs
+ * from the selection, e.g. right after switching and before reloading.
+ */
+const POLL_MS = 30000;
+
+const STATUS_DOT = {
+  up: 'bg-green-500',
+  down: 'bg-red-500',
+  unknown: 'bg-gray-400'
+};
+
+export const BackendSelector = ({ value, dataBackend, onChange }) => {
+  const [backends, setBackends] = useState([]);
+  const [defaultName, setDefaultName] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchBackends = async () => {
+      try {
+        const res = await apiFetch(`${BFF_BASE_URL}/backends`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        if (cancelled) return;
+        setBackends(data.backends || []);
+        setDefaultName(data.default || '');
+      } catch (error) {
+        console.error('Error fetching backends:', error);
+      }
+    };
+    fetchBackends();
+    const intervalId = setInterval(fetchBackends, POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, []);
+
+  // Nothing to choose between with a single backend
+  if (backends.length < 2) return null;
+
+  const selected = value || defaultName;
+  const current = backends.find(b => b.name === selected);
+  const status = current ? current.status : 'unknown';
+  const stale = dataBackend && dataBackend !== selected;
+
+  return (
+    <div className="flex items-center gap-2">
+      <Server className="w-4 h-4 text-gray-500" />
+      <span
+        className={`w-2 h-2 rounded-full ${STATUS_DOT[status] || STATUS_DOT.unknown}`}
+        title={current && current.error ? `${current.name}: ${current.error}` : `${selected}: ${status}`}
+      ></span>
+      <select
+        value={selected}
+        onChange={(e) => onChange(e.target.value === defaultName ? '' : e.target.value)}
+        className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        title={current ? current.url : ''}
+      >
+        {backends.map(b => (
+          <option key={b.name} value={b.name}>
+            {b.name}{b.status === 'down' ? ' (down)' : ''}{b.default ? ' *' : ''}
+          </option>
+        ))}
+      </select>
+      {dataBackend && (
+        <span
+          className={`px-2 py-1 rounded text-xs ${stale ? 'bg-amber-100 text-amber-700' : 'bg-gray-100 text-gray-600'}`}
+          title="Backend that served the data currently shown"
+        >
+          data: {dataBackend}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default BackendSelector;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { AlertTriangle, Banknote, RefreshCw, Wallet } from 'lucide-react';
+import { apiFetch, BFF_BASE_URL } from '../api';
+
+/**
+ * Cash tab: every external cash movement for the strategy in the current mode, with the
+ * running capital contributed. Rows come from two places, joined by date and amount:
+ * ADD / WITHDRAW requests the BFF audited (description, user, mode), and deposits /
+ * withdrawals detected in the loaded cash balance (see identifyCashFlows). A row only in
+ * the audit trail falls outside the loaded range or has not reached the balance yet; a row
+ * only detected had no audited request (made elsewhere, or dividends). Detection is off
+ * when the transactions list was cut off (flowsUnavailable): missing trades would show up
+ * as phantom movements.
+ */
+const LIMIT = 1000;
+
+// Detected and audited amounts within this many ¥ on the same day are the same movement
+const MATCH_TOLERANCE = 1;
+
+const SOURCE_BADGES = {
+  both: { label: 'Recorded', className: 'bg-green-50 text-green-700', title: 'Audited request, seen in the cash balance' },
+  audit: { label: 'Audit only', className: 'bg-gray-100 text-gray-600', title: 'Audited request not seen in the loaded cash balance' },
+  detected: { label: 'Detected', className: 'bg-amber-50 text-amber-700', title: 'Cash balance change with no audited request' }
+};
+
+const fmtCNY = (v) =>
+  new Intl.NumberFormat('zh-CN', { style: 'currency', currency: 'CNY', minimumFractionDigits: 2 }).format(v || 0);
+
+// Local calendar day of the request (the audit timestamp is UTC), as the cash balance dates are
+const auditDate = (entry) =>
+  (entry.payload && entry.payload.trade_date) || new Date(entry.timestamp).toLocaleString('sv-SE').slice(0, 10);
+
+// Audited cash requests + detected flows -> ledger rows sorted by date, with the running total
+const buildLedger = (entries, cashFlows, mode) => {
+  const rows = entries
+    .filter(e => e.ok && !e.replayed && (e.action === 'ADD' || e.action === 'WITHDRAW'))
+    .map(e => ({
+      key: e.id,
+      date: auditDate(e),
+      amount: (e.action === 'WITHDRAW' ? -1 : 1) * (Number(e.payload && e.payload.amount) || 0),
+      description: (e.payload && e.payload.description) || '',
+      mode: e.mode,
+      user: e.user,
+      source: 'audit'
+    }));
+
+  (cashFlows || []).filter(f => f.externalFlow !== 0).forEach(flow => {
+    const match = rows.find(r => r.source === 'audit' && r.date === flow.date && Math.abs(r.amount - flow.externalFlow) < MATCH_TOLERANCE);
+    if (match) {
+      match.source = 'both';
+    } else {
+      rows.push({
+        key: `detected-${flow.date}`,
+        date: flow.date,
+        amount: flow.externalFlow,
+        description: '',
+        mode,
+        user: null,
+        source: 'detected'
+      });
+    }
+  });
+
+  let contributed = 0;
+  return rows
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(row => {
+      contributed += row.amount;
+      return { ...row, contributed };
+    });
+};
+
+export const CashLedgerView = ({ strategy, dryRun, cashFlows, flowsUnavailable = false, addToast, onAddCash }) => {
+  const mode = dryRun ? 'DRY RUN' : 'LIVE';
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchCashAudit = useCallback(async () => {
+    if (!strategy) return;
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ type: 'cash', strategy, mode, limit: String(LIMIT) });
+      const res = await apiFetch(`${BFF_BASE_URL}/audit?${params.toString()}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setEntries(data.entries || []);
+    } catch (error) {
+      console.error('Error fetching cash history:', error);
+      setEntries([]);
+      addToast(`Failed to load cash history: ${error.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [strategy, mode, addToast]);
+
+  useEffect(() => {
+    fetchCashAudit();
+  }, [fetchCashAudit]);
+
+  const ledger = useMemo(() => buildLedger(entries, cashFlows, mode), [entries, cashFlows, mode]);
+  const deposits = ledger.filter(r => r.amount > 0).reduce((sum, r) => sum + r.amount, 0);
+  const withdrawals = ledger.filter(r => r.amount < 0).reduce((sum, r) => sum + r.amount, 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h2 className="flex items-center gap-2 text-lg font-bold text-gray-900">
+          <Banknote className="h-5 w-5 text-blue-600" /> Cash
+          <span className={`ml-2 px-2 py-0.5 rounded text-xs font-medium ${dryRun ? 'bg-blue-100 text-blue-700' : 'bg-red-100 text-red-700'}`}>
+            {mode}
+          </span>
+        </h2>
+        <div className="flex items-center gap-2">
+          {onAddCash && (
+            <button
+              onClick={onAddCash}
+              className="flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700"
+            >
+              <Wallet className="w-4 h-4" /> Add / Withdraw
+            </button>
+          )}
+          <button
+            onClick={fetchCashAudit}
+            disabled={loading}
+            className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Reload
+          </button>
+        </div>
+      </div>
+
+      {flowsUnavailable && (
+        <div className="flex items-center gap-2 rounded-lg bg-amber-50 px-4 py-3 text-sm text-amber-800">
+          <AlertTriangle className="h-4 w-4 shrink-0" />
+          The date range has more transactions than are loaded, so movements are not detected from the cash
+          balance; only audited requests are listed. Narrow the date range to match them up.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="rounded-lg border border-gray-200 bg-white p-4">
+          <p className="text-xs text-gray-500">Deposits 入金</p>
+          <p className="mt-1 text-xl font-semibold text-gray-900">{fmtCNY(deposits)}</p>
+        </div>
+        <div className="rounded-lg border border-gray-200 bg-white p-4">
+          <p className="text-xs text-gray-500">Withdrawals 出金</p>
+          <p className="mt-1 text-xl font-semibold text-gray-900">{fmtCNY(withdrawals)}</p>
+        </div>
+        <div className="rounded-lg border border-gray-200 bg-white p-4">
+          <p className="text-xs text-gray-500">Net contributed 净投入</p>
+          <p className="mt-1 text-xl font-semibold text-gray-900">{fmtCNY(deposits + withdrawals)}</p>
+        </div>
+      </div>
+
+      {ledger.length > 0 ? (
+        <>
+          <div className="bg-white p-6 rounded-lg border border-gray-200">
+            <h3 className="text-lg font-semibold mb-4">Capital Contributed</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={ledger} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} tickFormatter={(v) => (v / 1000).toFixed(0) + 'k'} />
+                <Tooltip formatter={(v) => fmtCNY(v)} />
+                <Line type="stepAfter" dataKey="contributed" name="Net contributed (¥)" stroke="#2563eb" strokeWidth={2} dot={{ r: 3 }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Contributed</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {[...ledger].reverse().map(row => (
+                    <tr key={row.key} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">{row.date}</td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${row.amount >= 0 ? 'bg-red-50 text-red-600' : 'bg-green-50 text-green-600'}`}>
+                          {row.amount >= 0 ? 'ADD' : 'WITHDRAW'}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right font-medium text-gray-900">{fmtCNY(row.amount)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {row.description || <span className="text-gray-400">—</span>}
+                        {row.user && <span className="ml-2 text-xs text-gray-400">by {row.user}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{row.mode}</td>
+                      <td className="px-4 py-3 text-sm">
+                        <span className={`px-2 py-1 rounded text-xs font-medium ${SOURCE_BADGES[row.source].className}`} title={SOURCE_BADGES[row.source].title}>
+                          {SOURCE_BADGES[row.source].label}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-900">{fmtCNY(row.contributed)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="px-4 py-3 text-xs text-gray-500 border-t border-gray-100">
+              Detected rows are cash balance changes in the loaded date range that buys and sells do not explain.
+              Contributed counts from the first row shown, not from the strategy's initial capital.
+            </p>
+          </div>
+        </>
+      ) : (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
+          <Banknote className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Cash Movements</h3>
+          <p className="text-gray-500">
+            {loading ? 'Loading cash history…' : `No deposits or withdrawals recorded for this strategy in ${mode} mode.`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CashLedgerView;
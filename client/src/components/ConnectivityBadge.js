@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Wifi, WifiOff } from 'lucide-react';
+import { BFF_BASE_URL, apiFetch } from '../api';
+
+/**
+ * Header badge for the connection to the BFF and the selected backend. Polls the
+ * BFF's deep health check (GET /health/backends) — quickly while something is down — and
+ * calls `onReconnect` once everything is reachable again, so the dashboard recovers
+ * on its own instead of asking for a page reload. Click to check right away.
+ */
+const POLL_ONLINE_MS = 30000;
+const POLL_OFFLINE_MS = 5000;
+
+const STYLES = {
+  checking: 'bg-gray-100 text-gray-600',
+  online: 'bg-green-100 text-green-700',
+  'backend-down': 'bg-amber-100 text-amber-700',
+  offline: 'bg-red-100 text-red-700'
+};
+
+// Reduce the /health/backends payload to what the badge shows for one backend.
+const describe = (health, backendName) => {
+  const name = backendName || health.defaultBackend;
+  const backend = (health.backends || []).find(b => b.name === name);
+  if (!backend) return { state: 'backend-down', label: `${name}: not configured`, detail: '' };
+
+  const circuitOpen = backend.circuit && backend.circuit.state !== 'closed';
+  if (backend.status === 'up' && !circuitOpen) {
+    return {
+      state: 'online',
+      label: backend.latencyMs != null ? `Connected · ${backend.latencyMs} ms` : 'Connected',
+      detail: `${backend.name} (${backend.url}) checked ${new Date(backend.checkedAt).toLocaleTimeString()}`
+    };
+  }
+  const retry = circuitOpen && backend.circuit.retryInSeconds != null ? ` · retry in ${backend.circuit.retryInSeconds}s` : '';
+  return {
+    state: 'backend-down',
+    label: `Backend down${retry}`,
+    detail: [
+      `${backend.name} (${backend.url})`,
+      backend.lastError && `Last error: ${backend.lastError}`,
+      backend.lastSuccessAt && `Last success: ${new Date(backend.lastSuccessAt).toLocaleString()}`
+    ].filter(Boolean).join('\n')
+  };
+};
+
+export const ConnectivityBadge = ({ backend, onReconnect }) => {
+  const [status, setStatus] = useState({ state: 'checking', label: 'Checking…', detail: '' });
+  const lastState = useRef('checking');
+  const onReconnectRef = useRef(onReconnect);
+
+  useEffect(() => {
+    onReconnectRef.current = onReconnect;
+  }, [onReconnect]);
+
+  const check = useCallback(async () => {
+    let next;
+    try {
+      // 503 still carries the JSON report (default backend unreachable); a 401 sends App to the login screen
+      const res = await apiFetch(`${BFF_BASE_URL}/health/backends`);
+      next = res.status === 401 || res.status === 403
+        ? { state: 'checking', label: 'Not signed in', detail: '' }
+        : describe(await res.json(), backend);
+    } catch (error) {
+      next = { state: 'offline', label: 'Server offline · retrying', detail: `Cannot reach the BFF at ${BFF_BASE_URL}: ${error.message}` };
+    }
+    const previous = lastState.current;
+    lastState.current = next.state;
+    setStatus(next);
+    if (next.state === 'online' && previous !== 'online' && previous !== 'checking' && onReconnectRef.current) {
+      onReconnectRef.current();
+    }
+    return next.state;
+  }, [backend]);
+
+  useEffect(() => {
+    let timeoutId;
+    let cancelled = false;
+    const loop = async () => {
+      const state = await check();
+      if (!cancelled) {
+        timeoutId = setTimeout(loop, state === 'online' ? POLL_ONLINE_MS : POLL_OFFLINE_MS);
+      }
+    };
+    loop();
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [check]);
+
+  const Icon = status.state === 'online' || status.state === 'checking' ? Wifi : WifiOff;
+
+  return (
+    <button
+      onClick={check}
+      className={`flex items-center gap-1 px-2 py-1 rounded text-xs font-medium ${STYLES[status.state]}`}
+      title={status.detail || 'Check connection now'}
+    >
+      <Icon className="w-3 h-3" />
+      {status.label}
+    </button>
+  );
+};
+
+export default ConnectivityBadge;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { DRAWDOWN_SERIES, DEFINITION_SETS } from '../metric_utils';
+
+/**
+ * Drawdown analysis: underwater chart and the deepest drawdown episodes, for strategy
+ * returns or excess returns versus the benchmark. The analysis is computed by App (so the
+ * portfolio value chart can shade the same episodes); this component only presents it.
+ */
+const SERIES_LABELS = {
+  [DRAWDOWN_SERIES.STRATEGY]: '策略 Strategy',
+  [DRAWDOWN_SERIES.EXCESS]: '超额 Excess'
+};
+
+const th = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+
+export const DrawdownAnalysis = ({ analysis, series, onSeriesChange, conventions }) => {
+  if (!analysis) return null;
+  const selected = (series === DRAWDOWN_SERIES.EXCESS && analysis.excess) || analysis.strategy;
+  const isExcess = selected === analysis.excess;
+  const points = selected.underwater.map(p => ({ date: p.date, drawdown: p.drawdown * 100 }));
+  const unit = conventions && conventions.definitions === DEFINITION_SETS.STANDARD ? '%' : ' pts';
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <h3 className="text-lg font-semibold">回撤分析 Drawdowns</h3>
+        <div className="flex items-center gap-2">
+          {Object.values(DRAWDOWN_SERIES).map(s => (
+            <button
+              key={s}
+              onClick={() => onSeriesChange(s)}
+              disabled={s === DRAWDOWN_SERIES.EXCESS && !analysis.excess}
+              title={s === DRAWDOWN_SERIES.EXCESS && !analysis.excess ? 'Needs benchmark data' : undefined}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors disabled:opacity-40 ${
+                (isExcess ? DRAWDOWN_SERIES.EXCESS : DRAWDOWN_SERIES.STRATEGY) === s
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {SERIES_LABELS[s]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Underwater chart */}
+      <ResponsiveContainer width="100%" height={220}>
+        <AreaChart data={points} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis dataKey="date" tick={{ fontSize: 12 }} minTickGap={32} />
+          <YAxis tick={{ fontSize: 12 }} tickFormatter={(v) => `${v.toFixed(0)}`} domain={['auto', 0]} />
+          <Tooltip formatter={(v) => [`${v.toFixed(2)}${unit}`, 'Drawdown']} />
+          <Area type="monotone" dataKey="drawdown" stroke="#ef4444" fill="#fecaca" fillOpacity={0.8} />
+        </AreaChart>
+      </ResponsiveContainer>
+
+      {/* Episodes */}
+      {selected.episodes.length > 0 ? (
+        <div className="overflow-x-auto mt-4">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${th} text-left`}>#</th>
+                <th className={`${th} text-left`}>Peak</th>
+                <th className={`${th} text-left`}>Trough</th>
+                <th className={`${th} text-left`}>Recovery</th>
+                <th className={`${th} text-right`}>Depth</th>
+                <th className={`${th} text-right`}>Peak → trough</th>
+                <th className={`${th} text-right`}>Time to recover</th>
+                <th className={`${th} text-right`}>Duration</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {selected.episodes.map((e, i) => (
+                <tr key={e.peakDate} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 text-sm text-gray-500">{i + 1}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{e.peakDate}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{e.troughDate}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {e.recoveryDate || <span className="text-amber-600">Not recovered</span>}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right font-medium text-red-600">{(e.depth * 100).toFixed(2)}{unit}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-700">{e.daysToTrough}d</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-700">{e.daysToRecover == null ? '—' : `${e.daysToRecover}d`}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-700">{e.duration}d{e.recovered ? '' : '+'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="py-6 text-center text-sm text-gray-400">No drawdowns in range.</p>
+      )}
+      <p className="text-xs text-gray-500 mt-3">
+        Durations are in trading days; the portfolio value chart shades the episodes listed here.
+        {isExcess && ' Excess drawdowns are measured on strategy minus benchmark returns, joined by date.'}
+      </p>
+    </div>
+  );
+};
+
+export default DrawdownAnalysis;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Lock, Loader2 } from 'lucide-react';
+import { apiFetch, BFF_BASE_URL } from '../api';
+
+/**
+ * Full-page login form (POST /auth/login). Shown whenever the BFF has auth enabled
+ * and there is no valid session; on success the BFF sets the session cookie and we
+ * hand the { user, permissions } payload back to App.
+ */
+export const LoginScreen = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await apiFetch(`${BFF_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || `HTTP ${res.status}`);
+      onLogin(data);
+    } catch (err) {
+      setError(err.message);
+      setPassword('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center h-screen bg-gray-50">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm p-8 bg-white rounded-lg shadow-lg space-y-4">
+        <div className="text-center">
+          <Lock className="w-12 h-12 text-blue-600 mx-auto mb-3" />
+          <h2 className="text-xl font-bold text-gray-900">QMT Trading System</h2>
+          <p className="text-sm text-gray-500">Sign in to continue</p>
+        </div>
+        <div>
+          <label className="mb-1 block text-sm font-medium text-gray-700">Username</label>
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoFocus
+            className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="mb-1 block text-sm font-medium text-gray-700">Password</label>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={submitting || !username.trim() || !password}
+          className="flex w-full items-center justify-center gap-2 rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting && <Loader2 className="h-4 w-4 animate-spin" />}
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * Header badge: who is logged in, with which role, plus a logout button.
+ * Renders nothing when the BFF runs with auth disabled.
+ */
+export const UserBadge = ({ session, onLogout }) => {
+  if (!session || !session.authEnabled || !session.user) return null;
+  const { username, role } = session.user;
+  const roleClass = role === 'viewer' ? 'bg-gray-100 text-gray-700' : role === 'admin' ? 'bg-purple-100 text-purple-700' : 'bg-amber-100 text-amber-700';
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <span className="text-gray-700">{username}</span>
+      <span className={`px-2 py-0.5 rounded text-xs font-medium ${roleClass}`}>{role}</span>
+      <button onClick={onLogout} className="text-xs text-gray-500 underline hover:text-gray-700">
+        Log out
+      </button>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -26,11 +26,13 @@ export const MetricCard = ({ title, value, icon, color }) => {
 
 /**
  * Compact metric cell for grid layout (like JoinQuant)
+ * `tooltip` is shown on hover (native title) and underlines the label as a hint
  */
-export const CompactMetricCell = ({ label, value, valueColor = 'text-gray-900' }) => (
-  <div className="text-center py-2 px-1">
-    <p className="text-xs text-gray-500 mb-1">{label}</p>
+export const CompactMetricCell = ({ label, value, valueColor = 'text-gray-900', tooltip, subValue }) => (
+  <div className={`text-center py-2 px-1 ${tooltip ? 'cursor-help' : ''}`} title={tooltip}>
+    <p className={`text-xs text-gray-500 mb-1 ${tooltip ? 'underline decoration-dotted' : ''}`}>{label}</p>
     <p className={`text-base font-semibold ${valueColor}`}>{value}</p>
+    {subValue && <p className="text-xs text-gray-400 mt-0.5">{subValue}</p>}
   </div>
 );
 
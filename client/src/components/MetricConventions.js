@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Save, Trash2, X } from 'lucide-react';
+import {
+  ANNUALIZATION_BASES,
+  RETURN_BASES,
+  DEFINITION_SETS,
+  DEFAULT_CONVENTIONS,
+  describeConventions,
+  parseRiskFreeSeries
+} from '../metric_utils';
+
+/**
+ * Metric conventions bar: pick a named profile (built-in or saved) that every metric in
+ * the Overview is computed with, and edit / save / delete user profiles.
+ * Profiles are stored by App; built-in ones are read-only.
+ */
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const seriesToText = (series) => (series || []).map(([date, rate]) => `${date},${+(rate * 100).toFixed(6)}`).join('\n');
+
+const draftFrom = (conventions, name) => {
+  const c = { ...DEFAULT_CONVENTIONS, ...conventions };
+  return {
+    name,
+    riskFreeMode: c.riskFreeSeries && c.riskFreeSeries.length > 0 ? 'series' : 'fixed',
+    riskFreeRate: String(+(c.riskFreeRate * 100).toFixed(6)),
+    riskFreeSeriesText: seriesToText(c.riskFreeSeries),
+    annualization: c.annualization,
+    returnBasis: c.returnBasis,
+    definitions: c.definitions
+  };
+};
+
+export const MetricConventionsBar = ({ profiles, builtinNames, selectedName, onSelect, onSave, onDelete }) => {
+  const conventions = profiles[selectedName] || DEFAULT_CONVENTIONS;
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(() => draftFrom(conventions, selectedName));
+  const [error, setError] = useState(null);
+
+  const isBuiltin = (name) => builtinNames.includes(name);
+  const setField = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+
+  const openEditor = () => {
+    setDraft(draftFrom(conventions, isBuiltin(selectedName) ? '' : selectedName));
+    setError(null);
+    setEditing(true);
+  };
+
+  const parsedSeries = draft.riskFreeMode === 'series' ? parseRiskFreeSeries(draft.riskFreeSeriesText) : null;
+
+  const handleSave = () => {
+    const name = draft.name.trim();
+    if (!name) {
+      setError('Give the profile a name.');
+      return;
+    }
+    if (isBuiltin(name)) {
+      setError(`"${name}" is a built-in profile; save under another name.`);
+      return;
+    }
+    const riskFreeRate = parseFloat(draft.riskFreeRate);
+    if (!Number.isFinite(riskFreeRate)) {
+      setError('Risk-free rate must be a number (in %).');
+      return;
+    }
+    if (parsedSeries && (parsedSeries.errors.length > 0 || parsedSeries.series.length === 0)) {
+      setError(parsedSeries.errors[0] || 'Paste at least one "date,rate%" line.');
+      return;
+    }
+    onSave(name, {
+      riskFreeRate: riskFreeRate / 100,
+      riskFreeSeries: parsedSeries ? parsedSeries.series : null,
+      annualization: draft.annualization,
+      returnBasis: draft.returnBasis,
+      definitions: draft.definitions
+    });
+    setEditing(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 px-4 py-3 mb-4">
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className="flex items-center gap-2 text-sm text-gray-600">
+          <SlidersHorizontal className="w-4 h-4" /> 指标口径:
+        </span>
+        <select value={selectedName} onChange={(e) => onSelect(e.target.value)} className={selectClass}>
+          {Object.keys(profiles).map(name => (
+            <option key={name} value={name}>{name}{isBuiltin(name) ? '' : ' (saved)'}</option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-500">{describeConventions(conventions)}</span>
+        <div className="ml-auto flex items-center gap-2">
+          {!isBuiltin(selectedName) && (
+            <button
+              onClick={() => window.confirm(`Delete profile "${selectedName}"?`) && onDelete(selectedName)}
+              className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <Trash2 className="w-4 h-4" /> Delete
+            </button>
+          )}
+          <button
+            onClick={() => (editing ? setEditing(false) : openEditor())}
+            className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+          >
+            {editing ? <X className="w-4 h-4" /> : <SlidersHorizontal className="w-4 h-4" />}
+            {editing ? 'Close' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div>
+            <label className="block text-gray-600 mb-1">无风险利率 Risk-free rate</label>
+            <div className="flex items-center gap-3 mb-2">
+              <label className="flex items-center gap-1">
+                <input type="radio" checked={draft.riskFreeMode === 'fixed'} onChange={() => setField('riskFreeMode', 'fixed')} />
+                Fixed
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="radio" checked={draft.riskFreeMode === 'series'} onChange={() => setField('riskFreeMode', 'series')} />
+                Per-day series
+              </label>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                step="0.01"
+                value={draft.riskFreeRate}
+                onChange={(e) => setField('riskFreeRate', e.target.value)}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <span className="text-gray-500">% / year{draft.riskFreeMode === 'series' ? ', used before the series starts' : ''}</span>
+            </div>
+            {draft.riskFreeMode === 'series' && (
+              <>
+                <textarea
+                  value={draft.riskFreeSeriesText}
+                  onChange={(e) => setField('riskFreeSeriesText', e.target.value)}
+                  rows={5}
+                  placeholder={'2024-01-02,1.85\n2024-07-01,1.60'}
+                  className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  One "date,annual rate %" per line; each rate applies from its date until the next.
+                  {parsedSeries && parsedSeries.series.length > 0 && ` ${parsedSeries.series.length} rate(s) parsed.`}
+                </p>
+              </>
+            )}
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex items-center gap-2">
+              <label className="w-32 text-gray-600">年化基准 Annualize</label>
+              <select value={draft.annualization} onChange={(e) => setField('annualization', e.target.value)} className={selectClass}>
+                <option value={ANNUALIZATION_BASES.TRADING_252}>252 trading days</option>
+                <option value={ANNUALIZATION_BASES.TRADING_244}>244 trading days (CN)</option>
+                <option value={ANNUALIZATION_BASES.CALENDAR}>Actual calendar</option>
+              </select>
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="w-32 text-gray-600">收益口径 Returns</label>
+              <select value={draft.returnBasis} onChange={(e) => setField('returnBasis', e.target.value)} className={selectClass}>
+                <option value={RETURN_BASES.ARITHMETIC}>Arithmetic (simple)</option>
+                <option value={RETURN_BASES.LOG}>Log</option>
+              </select>
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="w-32 text-gray-600">定义 Definitions</label>
+              <select value={draft.definitions} onChange={(e) => setField('definitions', e.target.value)} className={selectClass}>
+                <option value={DEFINITION_SETS.JOINQUANT}>JoinQuant</option>
+                <option value={DEFINITION_SETS.STANDARD}>Standard</option>
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">
+              Standard: sample std, Sharpe/Sortino on daily excess over Rf, Jensen's alpha, drawdowns on net value.
+              JoinQuant: population std, CAPM alpha on total returns, drawdowns in return points.
+            </p>
+            <div className="flex items-center gap-2 pt-2">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setField('name', e.target.value)}
+                placeholder="Profile name"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={handleSave}
+                className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                <Save className="w-4 h-4" /> Save profile
+              </button>
+            </div>
+            {error && <p className="text-xs text-red-600">{error}</p>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetricConventionsBar;
@@ -1,23 +1,31 @@
 import React from 'react';
 import { CompactMetricCell } from './MetricCard';
-import { calculateAllMetrics } from '../metric_utils';
+import { calculateAllMetrics, describeAlignment, describeConventions, DEFINITION_SETS, ANNUALIZATION_BASES, DEFAULT_CONVENTIONS, MATCHING_METHODS } from '../metric_utils';
 
 /**
  * Metrics Grid Component - compact 2-row layout
  * Displays all performance metrics in a JoinQuant-style grid
  */
-export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
+export const MetricsGrid = ({ performance, benchmarkData, transactions, alignment, conventions = DEFAULT_CONVENTIONS, matching = MATCHING_METHODS.FIFO, openingPositions }) => {
   // Calculate all additional metrics
   const additionalMetrics = React.useMemo(() => {
-    return calculateAllMetrics(performance, benchmarkData, transactions);
-  }, [performance, benchmarkData, transactions]);
+    return calculateAllMetrics(performance, benchmarkData, transactions, { alignment, conventions, matching, openingPositions });
+  }, [performance, benchmarkData, transactions, alignment, conventions, matching, openingPositions]);
 
   if (!performance) return null;
 
   const safeValue = (value, defaultVal = 0) => value !== null && value !== undefined ? value : defaultVal;
+  const pct = (value, digits = 2) => `${(safeValue(value) * 100).toFixed(digits)}%`;
+  const risk = additionalMetrics.riskMetrics;
+
+  // Label suffixes so the numbers say which conventions produced them
+  const conventionsLabel = describeConventions(conventions);
+  const standard = conventions.definitions === DEFINITION_SETS.STANDARD;
+  const annualized = conventions.annualization === ANNUALIZATION_BASES.CALENDAR ? 'actual calendar days' : `${conventions.annualization} days/year`;
 
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4 mb-6">
+      <p className="text-xs text-gray-400 text-right -mt-1 mb-1">口径 {conventionsLabel}</p>
       {/* Row 1: Primary Metrics */}
       <div className="grid grid-cols-8 gap-2 mb-2 border-b border-gray-100 pb-3">
         <CompactMetricCell
@@ -39,6 +47,9 @@ export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
           label="阿尔法" 
           value={additionalMetrics.alpha.toFixed(3)}
           valueColor={additionalMetrics.alpha >= 0 ? 'text-green-600' : 'text-red-600'}
+          tooltip={standard
+            ? `Jensen's alpha: mean daily excess over Rf minus beta × the benchmark's, annualized (${annualized}).`
+            : 'CAPM alpha on the period: strategy return - [Rf + beta × (benchmark return - Rf)].'}
         />
         <CompactMetricCell
           label="贝塔"
@@ -58,8 +69,11 @@ export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
         </div>
         <CompactMetricCell
           label="夏普比率"
-          value={safeValue(performance.final_sharpe_ratio, 0).toFixed(3)}
+          value={additionalMetrics.sharpe.toFixed(3)}
           valueColor="text-gray-900"
+          tooltip={standard
+            ? `Mean daily excess over Rf / its sample std × √periods (${annualized}).`
+            : `(Annualized mean return - Rf) / annualized volatility (${annualized}).`}
         />
         <CompactMetricCell
           label="日胜率"
@@ -79,6 +93,7 @@ export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
           label="超额收益夏普比率"
           value={additionalMetrics.informationRatio.toFixed(3)}
           valueColor="text-gray-900"
+          tooltip={`Information ratio: mean daily excess over the benchmark / tracking error, annualized (${annualized}).`}
         />
         <CompactMetricCell
           label="超额收益最大回撤"
@@ -87,18 +102,23 @@ export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
         />
         <CompactMetricCell
           label="策略波动率"
-          value={`${(safeValue(performance.final_volatility) * 100).toFixed(2)}%`}
+          value={pct(additionalMetrics.volatility)}
           valueColor="text-gray-900"
+          tooltip={`Std of daily returns (${standard ? 'sample' : 'population'}) × √periods (${annualized}).`}
         />
         <CompactMetricCell
           label="基准波动率"
           value={`${(additionalMetrics.benchmarkVolatility * 100).toFixed(2)}%`}
           valueColor="text-gray-900"
+          tooltip={`Std of the benchmark's daily returns (${standard ? 'sample' : 'population'}) × √periods (${annualized}).`}
         />
         <CompactMetricCell
           label="索提诺比率"
           value={additionalMetrics.sortino.toFixed(3)}
           valueColor="text-gray-900"
+          tooltip={standard
+            ? `Mean daily excess over Rf / downside deviation below Rf over all days, annualized (${annualized}).`
+            : `(Annualized mean return - Rf) / downside deviation of the losing days (${annualized}).`}
         />
         <div className="text-center py-2 px-1">
           <p className="text-xs text-gray-500 mb-1">盈亏次数</p>
@@ -114,7 +134,7 @@ export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
       </div>
 
       {/* Row 3: Additional Metrics */}
-      <div className="grid grid-cols-8 gap-2 pt-2">
+      <div className="grid grid-cols-8 gap-2 mb-2 border-b border-gray-100 pb-3 pt-2">
         <CompactMetricCell
           label="年化收益"
           value={`${(additionalMetrics.annualReturn * 100).toFixed(2)}%`}
@@ -147,7 +167,7 @@ export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
           valueColor="text-gray-900"
         />
         <div className="text-center py-2 px-1">
-          <p className="text-xs text-gray-500 mb-1">交易胜率</p>
+          <p className="text-xs text-gray-500 mb-1">交易胜率 <span className="text-gray-400">({matching === MATCHING_METHODS.AVERAGE ? '均价' : matching.toUpperCase()})</span></p>
           <p className="text-base font-semibold text-gray-900">
             {`${(additionalMetrics.tradeWinRate * 100).toFixed(1)}%`}
           </p>
@@ -159,6 +179,109 @@ export const MetricsGrid = ({ performance, benchmarkData, transactions }) => {
           </p>
         </div>
       </div>
+
+      {/* Row 4: Risk Metrics */}
+      <div className="pt-2">
+        <p className="text-xs font-medium text-gray-400 mb-1">风险 Risk</p>
+        <div className="grid grid-cols-7 gap-2">
+          <CompactMetricCell
+            label="卡玛比率"
+            value={risk.calmar.toFixed(3)}
+            tooltip="Calmar: annualized return / |max drawdown|. Return earned per unit of worst peak-to-trough loss."
+          />
+          <CompactMetricCell
+            label="VaR 95%"
+            value={pct(risk.var95.var)}
+            subValue={`参数 ${pct(risk.parametricVar95.var)}`}
+            valueColor="text-red-600"
+            tooltip="One-day Value at Risk at 95%: 5% of days lost at least this much. Main value is historical (empirical 5th percentile); 参数 assumes normally distributed returns."
+          />
+          <CompactMetricCell
+            label="VaR 99%"
+            value={pct(risk.var99.var)}
+            subValue={`参数 ${pct(risk.parametricVar99.var)}`}
+            valueColor="text-red-600"
+            tooltip="One-day Value at Risk at 99%: 1% of days lost at least this much. Historical, with the normal (parametric) estimate below."
+          />
+          <CompactMetricCell
+            label="CVaR 95%"
+            value={pct(risk.var95.cvar)}
+            subValue={`参数 ${pct(risk.parametricVar95.cvar)}`}
+            valueColor="text-red-600"
+            tooltip="Conditional VaR / expected shortfall at 95%: the average return on the worst 5% of days. Historical, with the normal (parametric) estimate below."
+          />
+          <CompactMetricCell
+            label="CVaR 99%"
+            value={pct(risk.var99.cvar)}
+            subValue={`参数 ${pct(risk.parametricVar99.cvar)}`}
+            valueColor="text-red-600"
+            tooltip="Conditional VaR / expected shortfall at 99%: the average return on the worst 1% of days. Historical, with the normal (parametric) estimate below."
+          />
+          <CompactMetricCell
+            label="欧米茄比率"
+            value={risk.omega.toFixed(3)}
+            tooltip="Omega (threshold 0): sum of daily gains / sum of daily losses. Above 1 means gains outweigh losses."
+          />
+          <CompactMetricCell
+            label="尾部比率"
+            value={risk.tailRatio.toFixed(3)}
+            tooltip="Tail ratio: |95th percentile| / |5th percentile| of daily returns. Above 1 means big up days are larger than big down days."
+          />
+          <CompactMetricCell
+            label="偏度"
+            value={risk.skewness.toFixed(3)}
+            tooltip="Skewness of daily returns. Negative means occasional large losses (left tail); positive, occasional large gains."
+          />
+          <CompactMetricCell
+            label="超额峰度"
+            value={risk.kurtosis.toFixed(3)}
+            tooltip="Excess kurtosis of daily returns (normal = 0). Positive means fatter tails than a normal distribution, so parametric VaR understates risk."
+          />
+          <CompactMetricCell
+            label="最佳单日"
+            value={risk.bestDay ? pct(risk.bestDay.value) : '-'}
+            subValue={risk.bestDay?.period}
+            valueColor="text-green-600"
+            tooltip="Best single-day return in the selected range."
+          />
+          <CompactMetricCell
+            label="最差单日"
+            value={risk.worstDay ? pct(risk.worstDay.value) : '-'}
+            subValue={risk.worstDay?.period}
+            valueColor="text-red-600"
+            tooltip="Worst single-day return in the selected range."
+          />
+          <CompactMetricCell
+            label="最佳月份"
+            value={risk.bestMonth ? pct(risk.bestMonth.value) : '-'}
+            subValue={risk.bestMonth?.period}
+            valueColor="text-green-600"
+            tooltip="Best calendar month: daily returns compounded within the month. Partial months at the range edges count as they are."
+          />
+          <CompactMetricCell
+            label="最差月份"
+            value={risk.worstMonth ? pct(risk.worstMonth.value) : '-'}
+            subValue={risk.worstMonth?.period}
+            valueColor="text-red-600"
+            tooltip="Worst calendar month: daily returns compounded within the month. Partial months at the range edges count as they are."
+          />
+          <CompactMetricCell
+            label="最长连亏"
+            value={`${risk.longestLosingStreak.length} 天`}
+            subValue={risk.longestLosingStreak.length > 0 ? pct(risk.longestLosingStreak.totalReturn) : undefined}
+            tooltip={risk.longestLosingStreak.length > 0
+              ? `Longest run of consecutive losing days: ${risk.longestLosingStreak.startDate} to ${risk.longestLosingStreak.endDate}, ${pct(risk.longestLosingStreak.totalReturn)} over the run.`
+              : 'Longest run of consecutive losing days.'}
+          />
+        </div>
+      </div>
+
+      {/* Benchmark metrics pair the two series by date; say so when they didn't line up */}
+      {describeAlignment(additionalMetrics.benchmarkAlignment) && (
+        <p className="text-xs text-gray-400 mt-2 text-right">
+          基准对齐 ({additionalMetrics.benchmarkAlignment.mode}): {describeAlignment(additionalMetrics.benchmarkAlignment)}
+        </p>
+      )}
     </div>
   );
 };
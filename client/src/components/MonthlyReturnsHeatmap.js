@@ -0,0 +1,117 @@
+import React, { useState, useMemo } from 'react';
+import { RETURN_LAYERS, calculateMonthlyReturns } from '../metric_utils';
+
+/**
+ * Monthly Returns Heatmap
+ * Month x year table of compounded returns with annual totals, colored red for gains and
+ * green for losses (CN convention). Layers switch between strategy, benchmark and excess
+ * returns; clicking a month (or a year total) narrows the header date range to it.
+ */
+const LAYER_LABELS = {
+  [RETURN_LAYERS.STRATEGY]: '策略 Strategy',
+  [RETURN_LAYERS.BENCHMARK]: '基准 Benchmark',
+  [RETURN_LAYERS.EXCESS]: '超额 Excess'
+};
+
+const MONTHS = ['01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', '12'];
+
+const th = 'px-2 py-2 text-xs font-medium text-gray-500 text-center';
+
+const fmtPct = (v) => `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}%`;
+
+// Red for gains, green for losses; opacity scales with size relative to the largest month
+const cellStyle = (v, maxAbs) => {
+  if (v == null || maxAbs === 0) return undefined;
+  const alpha = 0.08 + 0.72 * Math.min(1, Math.abs(v) / maxAbs);
+  return { backgroundColor: v >= 0 ? `rgba(220, 38, 38, ${alpha})` : `rgba(22, 163, 74, ${alpha})` };
+};
+
+const lastDayOfMonth = (year, month) =>
+  `${year}-${month}-${String(new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate()).padStart(2, '0')}`;
+
+export const MonthlyReturnsHeatmap = ({ dailyPerformances, benchmarkData, alignment, conventions, onSelectRange }) => {
+  const [layer, setLayer] = useState(RETURN_LAYERS.STRATEGY);
+
+  const table = useMemo(
+    () => calculateMonthlyReturns(dailyPerformances, benchmarkData, { alignment, conventions }),
+    [dailyPerformances, benchmarkData, alignment, conventions]
+  );
+
+  const activeLayer = table.layers[layer] ? layer : RETURN_LAYERS.STRATEGY;
+  const { monthly, yearly } = table.layers[activeLayer];
+  const maxAbs = Math.max(0, ...Object.values(monthly).map(Math.abs));
+
+  const cell = (value, start, end, title, bold) => (
+    <td className="p-0.5">
+      {value == null ? (
+        <div className="py-2 text-center text-xs text-gray-300">—</div>
+      ) : (
+        <button
+          onClick={() => onSelectRange(start, end)}
+          title={title}
+          style={cellStyle(value, maxAbs)}
+          className={`w-full py-2 rounded text-xs text-gray-900 hover:ring-2 hover:ring-blue-500 ${bold ? 'font-semibold' : ''}`}
+        >
+          {fmtPct(value)}
+        </button>
+      )}
+    </td>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <h3 className="text-lg font-semibold">月度收益 Monthly Returns</h3>
+        <div className="flex items-center gap-2">
+          {Object.values(RETURN_LAYERS).map(l => (
+            <button
+              key={l}
+              onClick={() => setLayer(l)}
+              disabled={!table.layers[l]}
+              title={!table.layers[l] ? 'Needs benchmark data' : undefined}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors disabled:opacity-40 ${
+                activeLayer === l
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {LAYER_LABELS[l]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full table-fixed min-w-[720px]">
+          <thead>
+            <tr>
+              <th className={`${th} w-16 text-left`}>Year</th>
+              {MONTHS.map(m => <th key={m} className={th}>{Number(m)}月</th>)}
+              <th className={`${th} w-20`}>全年 Year</th>
+            </tr>
+          </thead>
+          <tbody>
+            {table.years.map(year => (
+              <tr key={year}>
+                <td className="px-2 py-2 text-sm font-medium text-gray-700">{year}</td>
+                {MONTHS.map(m => (
+                  <React.Fragment key={m}>
+                    {cell(monthly[`${year}-${m}`], `${year}-${m}-01`, lastDayOfMonth(year, m), `Show ${year}-${m}`, false)}
+                  </React.Fragment>
+                ))}
+                {cell(yearly[year], `${year}-01-01`, `${year}-12-31`, `Show ${year}`, true)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Months are compounded from daily returns in the loaded range, so the first and last months may be partial.
+        Click a month or year total to set the date range to it.
+        {activeLayer !== RETURN_LAYERS.STRATEGY && ' Benchmark and excess layers use only dates where the benchmark lines up.'}
+      </p>
+    </div>
+  );
+};
+
+export default MonthlyReturnsHeatmap;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ClipboardList, RefreshCw, XCircle, Loader2 } from 'lucide-react';
+import { apiFetch, BFF_BASE_URL } from '../api';
+
+/**
+ * Orders tab: the blotter of orders placed through the BFF (GET /orders), newest first,
+ * filterable by strategy, mode and status. The BFF reconciles open orders against the
+ * backend's transactions on every load, so statuses move from queued to working (partly
+ * filled) to filled on their own; each fill links to its row in the Transactions tab.
+ * `unconfirmed` means the fill was matched by code, side, quantity and price only, so it
+ * may be the strategy engine's own trade.
+ *
+ * Cancel (traders only) marks the order cancelled in the BFF's stand-in store; the backend
+ * has no cancel endpoint yet, so the confirm text says an engine may still fill it.
+ */
+const MODES = ['DRY RUN', 'LIVE'];
+const STATUSES = ['queued', 'working', 'filled', 'unconfirmed', 'rejected', 'cancelled'];
+const POLL_MS = 15000;
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  working: 'bg-amber-100 text-amber-700',
+  filled: 'bg-green-100 text-green-700',
+  unconfirmed: 'bg-yellow-100 text-yellow-800',
+  rejected: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-500 line-through'
+};
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const isOpen = (order) => order.status === 'queued' || order.status === 'working';
+
+export const OrdersView = ({ strategies = [], defaultStrategy = '', defaultMode = '', canTrade = true, addToast, onShowTransaction }) => {
+  const [filters, setFilters] = useState({ strategy: defaultStrategy, mode: defaultMode, status: '' });
+  const [orders, setOrders] = useState([]);
+  const [reconcileErrors, setReconcileErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [cancelling, setCancelling] = useState(null); // order id
+
+  const fetchOrders = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      const res = await apiFetch(`${BFF_BASE_URL}/orders?${params.toString()}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setOrders(data.orders || []);
+      setReconcileErrors(data.reconcileErrors || []);
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      if (!silent) addToast(`Failed to load orders: ${error.message}`, 'error');
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [filters, addToast]);
+
+  // Load on filter change, then keep open orders' fill status fresh.
+  useEffect(() => {
+    fetchOrders();
+    const id = setInterval(() => fetchOrders({ silent: true }), POLL_MS);
+    return () => clearInterval(id);
+  }, [fetchOrders]);
+
+  const setFilter = (key, value) => setFilters((f) => ({ ...f, [key]: value }));
+
+  const handleCancel = async (order) => {
+    const message = `Cancel ${order.action} ${order.code} ×${order.amount} (${order.mode})?\n\n` +
+      'This marks the order cancelled in the dashboard. The backend has no cancel endpoint yet, ' +
+      'so if the trading engine already picked the order up it may still be filled.';
+    if (!window.confirm(message)) return;
+    setCancelling(order.id);
+    try {
+      const res = await apiFetch(`${BFF_BASE_URL}/orders/${order.id}/cancel`, { method: 'POST' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || data.error || `HTTP ${res.status}`);
+      addToast(`Cancelled ${order.action} ${order.code} ×${order.amount}`, 'success');
+      fetchOrders({ silent: true });
+    } catch (error) {
+      addToast(`Failed to cancel order: ${error.message}`, 'error');
+    } finally {
+      setCancelling(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between flex-wrap gap-3">
+        <h3 className="flex items-center gap-2 text-lg font-semibold">
+          <ClipboardList className="w-5 h-5 text-blue-600" /> Orders
+        </h3>
+        <div className="flex items-center gap-2 flex-wrap">
+          <select value={filters.strategy} onChange={(e) => setFilter('strategy', e.target.value)} className={selectClass}>
+            <option value="">All strategies</option>
+            {strategies.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+          <select value={filters.mode} onChange={(e) => setFilter('mode', e.target.value)} className={selectClass}>
+            <option value="">All modes</option>
+            {MODES.map((m) => (
+              <option key={m} value={m}>{m}</option>
+            ))}
+          </select>
+          <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className={selectClass}>
+            <option value="">All statuses</option>
+            {STATUSES.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => fetchOrders()}
+            disabled={loading}
+            className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Reload
+          </button>
+        </div>
+      </div>
+
+      {reconcileErrors.length > 0 && (
+        <div className="px-6 py-2 bg-amber-50 text-sm text-amber-700">
+          Couldn't check fills for {reconcileErrors.map((e) => `${e.strategy} (${e.mode})`).join(', ')}: {reconcileErrors[0].error}.
+          Statuses may be out of date.
+        </div>
+      )}
+
+      {orders.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Strategy</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Filled</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Fills</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {orders.map((order) => (
+                <tr key={order.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                    {new Date(order.submittedAt).toLocaleString()}
+                    {order.user && <div className="text-xs text-gray-400">{order.user}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{order.strategy}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">
+                    <span className={`font-medium ${order.action === 'BUY' ? 'text-red-600' : 'text-green-600'}`}>{order.action}</span>{' '}
+                    {order.code} ×{order.amount.toLocaleString()}
+                    {order.price != null && <span className="text-gray-500"> @ {order.price}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${order.mode === 'LIVE' ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'}`}>
+                      {order.mode}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[order.status] || ''}`}
+                      title={order.status === 'unconfirmed' ? 'A transaction with the same code, side, quantity and price was found, but the backend did not tie it to this order' : undefined}
+                    >
+                      {order.status}
+                    </span>
+                    {order.reason && (
+                      <div className={`mt-1 max-w-xs text-xs ${order.status === 'rejected' ? 'text-red-600' : 'text-amber-600'}`}>
+                        {order.reason}
+                      </div>
+                    )}
+                    {order.cancelRequestedAt && order.filledQuantity > 0 && (
+                      <div className="mt-1 text-xs text-amber-600">Fills arrived after the cancel request</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-900 whitespace-nowrap">
+                    {order.filledQuantity.toLocaleString()} / {order.amount.toLocaleString()}
+                    {order.avgFillPrice != null && <div className="text-xs text-gray-500">avg {order.avgFillPrice.toFixed(3)}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-xs">
+                    {order.fills.length > 0 ? order.fills.map((fill) => (
+                      <button
+                        key={fill.transactionId}
+                        onClick={() => onShowTransaction && onShowTransaction(order, fill)}
+                        className="block text-blue-600 hover:underline whitespace-nowrap"
+                        title="Show in the Transactions tab"
+                      >
+                        {fill.executedAt} · {fill.quantity.toLocaleString()} @ {fill.price}
+                      </button>
+                    )) : <span className="text-gray-400">—</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right">
+                    {isOpen(order) && (
+                      <button
+                        onClick={() => handleCancel(order)}
+                        disabled={!canTrade || cancelling === order.id}
+                        title={canTrade ? 'Cancel this order' : 'Your role cannot cancel orders'}
+                        className="inline-flex items-center gap-1 px-2 py-1 border border-gray-300 rounded text-xs text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {cancelling === order.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <XCircle className="w-3 h-3" />}
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="p-12 text-center">
+          <ClipboardList className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Orders</h3>
+          <p className="text-gray-500">
+            {loading ? 'Loading orders…' : 'No orders placed through the dashboard match these filters yet.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrdersView;
@@ -1,11 +1,14 @@
 import React from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { Wallet, TrendingUp, Activity, PieChart } from 'lucide-react';
+import { valuePosition } from '../metric_utils';
 
 /**
  * JoinQuant-style single-strategy portfolio view, rendered from the one-call
  * GET /api/strategy/{name}/portfolio response. Pure presentational — all data is
- * precomputed server-side.
+ * precomputed server-side, except cost basis and realized P&L, which come from the
+ * position book App replays from the transactions (positionBook): the whole history when
+ * it loaded (realizedToDate), else the loaded date range.
  *
  * Note on units: daily_performance returns/risk metrics are decimals (0.05 = 5%),
  * so return/drawdown/volatility are ×100 for display. weight_pct is already a percent.
@@ -28,10 +31,19 @@ const Kpi = ({ label, value, sub, tone }) => (
 const toneFor = (v) => (v == null ? 'text-gray-900' : v >= 0 ? 'text-red-600' : 'text-green-600');
 // CN convention: red = up/gain, green = down/loss.
 
-export const PortfolioView = ({ data }) => {
+export const PortfolioView = ({ data, positionBook, realizedToDate = false }) => {
   if (!data) return null;
   const { kpis = {}, positions = [], equity_curve = [], recent_trades = [], as_of, holding_count, dry_run_mode } = data;
 
+  const valued = positions.map((p) => valuePosition(positionBook, p.stock_code, p.quantity, p.market_value));
+  const unrealizedPnl = valued.some((v) => v.unrealizedPnl != null)
+    ? valued.reduce((sum, v) => sum + (v.unrealizedPnl || 0), 0)
+    : null;
+  const unrealizedCost = valued.reduce((sum, v) => sum + (v.cost || 0), 0);
+  const realizedPnl = positionBook ? positionBook.realizedPnl : null;
+  const uncosted = valued.filter((v) => v.avgCost == null).length;
+  const realizedScope = realizedToDate ? 'to date' : 'range';
+
   const curve = equity_curve.map((p) => ({
     date: p.trade_date,
     value: p.total_value,
@@ -54,7 +66,7 @@ export const PortfolioView = ({ data }) => {
       </div>
 
       {/* KPI grid */}
-      <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+      <div className="grid grid-cols-2 gap-3 md:grid-cols-5">
         <Kpi label="Total Value" value={fmtCNY(kpis.total_value)} />
         <Kpi label="Cash" value={fmtCNY(kpis.cash)} />
         <Kpi label="Positions Value" value={fmtCNY(kpis.positions_value)} sub={`${holding_count} position${holding_count === 1 ? '' : 's'}`} />
@@ -63,6 +75,18 @@ export const PortfolioView = ({ data }) => {
         <Kpi label="Sharpe Ratio" value={fmtNum(kpis.sharpe_ratio)} />
         <Kpi label="Max Drawdown" value={fmtPct(kpis.max_drawdown)} tone="text-green-600" />
         <Kpi label="Volatility (ann.)" value={fmtPct(kpis.volatility)} />
+        <Kpi
+          label={`Realized P&L (${realizedScope})`}
+          value={fmtCNY(realizedPnl)}
+          sub={realizedToDate ? 'all sells since inception' : 'sells in the loaded date range'}
+          tone={toneFor(realizedPnl)}
+        />
+        <Kpi
+          label="Unrealized P&L"
+          value={fmtCNY(unrealizedPnl)}
+          sub={unrealizedCost > 0 ? fmtPct(unrealizedPnl / unrealizedCost) : null}
+          tone={toneFor(unrealizedPnl)}
+        />
       </div>
 
       {/* Equity curve */}
@@ -97,23 +121,52 @@ export const PortfolioView = ({ data }) => {
                 <tr className="text-xs text-gray-500">
                   <th className="px-4 py-2 text-left">Code</th>
                   <th className="px-4 py-2 text-right">Quantity</th>
+                  <th className="px-4 py-2 text-right">Avg Cost</th>
                   <th className="px-4 py-2 text-right">Close Price</th>
                   <th className="px-4 py-2 text-right">Market Value</th>
+                  <th className="px-4 py-2 text-right">Unrealized P&amp;L</th>
+                  <th
+                    className="px-4 py-2 text-right"
+                    title={realizedToDate ? 'All sells since inception' : 'Sells in the loaded date range only; the full history could not be loaded'}
+                  >
+                    Realized P&amp;L ({realizedScope})
+                  </th>
+                  <th className="px-4 py-2 text-right">Held</th>
                   <th className="px-4 py-2 text-right">Weight</th>
                 </tr>
               </thead>
               <tbody>
-                {positions.map((p) => (
+                {positions.map((p, i) => (
                   <tr key={p.stock_code} className="border-t border-gray-100">
                     <td className="px-4 py-3 font-medium text-gray-900">{p.stock_code}</td>
                     <td className="px-4 py-3 text-right text-gray-900">{fmtInt(p.quantity)}</td>
+                    <td className="px-4 py-3 text-right text-gray-900">
+                      {valued[i].inferredCost && (
+                        <span className="mr-1 text-amber-600" title="Includes shares held before the range, costed at that day's price">≈</span>
+                      )}
+                      {fmtNum(valued[i].avgCost, 3)}
+                    </td>
                     <td className="px-4 py-3 text-right text-gray-900">{fmtNum(p.close_price)}</td>
                     <td className="px-4 py-3 text-right text-gray-900">{fmtCNY(p.market_value)}</td>
+                    <td className={`px-4 py-3 text-right ${toneFor(valued[i].unrealizedPnl)}`}>
+                      {fmtCNY(valued[i].unrealizedPnl)}
+                      {valued[i].unrealizedPct != null && <span className="block text-xs">{fmtPct(valued[i].unrealizedPct)}</span>}
+                    </td>
+                    <td className={`px-4 py-3 text-right ${toneFor(valued[i].realizedPnl)}`}>{fmtCNY(valued[i].realizedPnl)}</td>
+                    <td className="px-4 py-3 text-right text-gray-600">
+                      {valued[i].holdingDays == null ? '—' : `${fmtNum(valued[i].holdingDays, 0)}d`}
+                    </td>
                     <td className="px-4 py-3 text-right text-gray-600">{fmtNum(p.weight_pct)}%</td>
                   </tr>
                 ))}
               </tbody>
             </table>
+            {uncosted > 0 && (
+              <p className="border-t border-gray-100 px-4 py-2 text-xs text-gray-400">
+                {uncosted} position{uncosted === 1 ? ' has' : 's have'} no cost basis: no buys or opening holdings for
+                {uncosted === 1 ? ' it' : ' them'} in the loaded transaction range.
+              </p>
+            )}
           </div>
         ) : (
           <p className="py-8 text-center text-sm text-gray-400">No open positions.</p>
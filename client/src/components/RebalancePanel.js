@@ -0,0 +1,484 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Scale, Upload, Loader2, AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
+import { newIdempotencyKey, normalizeCode, submitOrder } from '../api';
+
+/**
+ * Rebalance a strategy to target weights, planned from the GET /strategy/{name}/portfolio
+ * snapshot (positions with close_price / quantity, kpis.total_value and cash).
+ *
+ * Targets are typed or loaded from a file as `code, weight%[, price]` lines (or a JSON
+ * `{ code: weight }` / `[{ code, weight, price }]`). Share deltas are sized at the close
+ * price (or the given price, required for names not held yet) and rounded to 100-share
+ * lots; a full exit sells the whole position including odd lots. If the rounded buys
+ * would overdraw cash, the most overweight buys are trimmed a lot at a time. Fees are
+ * not modelled. A target's price only sizes the order: it is sent as `reference_price`
+ * (the BFF's risk checks fall back to it for names not held) and becomes the limit price
+ * only when "Use target prices as limit prices" is ticked.
+ *
+ * Orders are queued through POST /order one at a time — sells first, so their proceeds
+ * fund the buys — in the dashboard's selected mode (LIVE / DRY RUN), each with its own
+ * Idempotency-Key, so "Retry failed" can't double a fill. The plan is refused when the
+ * snapshot was taken in the other mode.
+ */
+const LOT = 100;
+const STAR_MIN_BUY = 200;
+
+const CODE_RE = /^\d{6}\.(SH|SS|SZ|XSHG|XSHE)$/i;
+
+const fmtCNY = (v) =>
+  v == null ? '—' : new Intl.NumberFormat('zh-CN', { style: 'currency', currency: 'CNY', minimumFractionDigits: 2 }).format(v);
+const fmtPct = (v) => (v == null ? '—' : `${(v * 100).toFixed(2)}%`);
+const fmtInt = (v) => (v == null ? '—' : Number(v).toLocaleString('zh-CN'));
+
+/**
+ * Parse target weights. Weights are percentages (25 or 25% = a quarter of total value).
+ * @returns {{ targets: Array<{ code, weight, price }>, errors: string[] }}
+ */
+const parseTargets = (text) => {
+  const trimmed = text.trim();
+  if (trimmed === '') return { targets: [], errors: [] };
+
+  let rows;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      const json = JSON.parse(trimmed);
+      rows = (Array.isArray(json) ? json : Object.entries(json).map(([code, weight]) => ({ code, weight })))
+        .map((r, i) => ({ line: i + 1, code: r.code, weight: r.weight, price: r.price }));
+    } catch (err) {
+      return { targets: [], errors: [`Invalid JSON: ${err.message}`] };
+    }
+  } else {
+    rows = trimmed
+      .split(/\r?\n/)
+      .map((raw, i) => ({ line: i + 1, cells: raw.split(/[,\t]/).map((c) => c.trim()) }))
+      .filter(({ cells }) => cells[0] !== '' && !cells[0].startsWith('#'))
+      .filter(({ cells }, i) => i > 0 || CODE_RE.test(cells[0])) // optional header row
+      .map(({ line, cells }) => ({ line, code: cells[0], weight: cells[1], price: cells[2] }));
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const targets = [];
+  rows.forEach(({ line, code, weight, price }) => {
+    if (!CODE_RE.test(String(code || '').trim())) {
+      errors.push(`Line ${line}: "${code}" is not a stock code (600000.SH / 000001.XSHE).`);
+      return;
+    }
+    const normalized = normalizeCode(code);
+    const pct = Number(String(weight == null ? '' : weight).replace('%', ''));
+    if (String(weight == null ? '' : weight).trim() === '' || !Number.isFinite(pct) || pct < 0 || pct > 100) {
+      errors.push(`Line ${line}: weight for ${normalized} must be a percentage between 0 and 100.`);
+      return;
+    }
+    const px = price == null || String(price).trim() === '' ? null : Number(price);
+    if (px != null && !(px > 0)) {
+      errors.push(`Line ${line}: price for ${normalized} must be greater than 0.`);
+      return;
+    }
+    if (seen.has(normalized)) {
+      errors.push(`Line ${line}: ${normalized} is listed twice.`);
+      return;
+    }
+    seen.add(normalized);
+    targets.push({ code: normalized, weight: pct / 100, price: px });
+  });
+
+  const sum = targets.reduce((acc, t) => acc + t.weight, 0);
+  if (sum > 1 + 1e-9) errors.push(`Target weights add up to ${(sum * 100).toFixed(2)}%; they must not exceed 100%.`);
+  return { targets, errors };
+};
+
+/**
+ * Turn target weights into lot-rounded orders against the current snapshot.
+ * @param {Object} snapshot - { positions, totalValue, cash }
+ * @param {Array} targets - from parseTargets
+ * @param {boolean} sellUnlisted - exit holdings that have no target
+ * @returns {{ rows: Array, buyValue, sellValue, leftoverCash, missingPrice: string[] }}
+ */
+const planRebalance = ({ positions, totalValue, cash }, targets, sellUnlisted) => {
+  const held = new Map(positions.map((p) => [normalizeCode(p.stock_code), p]));
+  const byCode = new Map(targets.map((t) => [t.code, t]));
+  const codes = [...new Set([...held.keys(), ...byCode.keys()])];
+  const missingPrice = [];
+
+  const rows = codes.map((code) => {
+    const position = held.get(code);
+    const target = byCode.get(code);
+    const quantity = position ? Number(position.quantity) : 0;
+    const price = (target && target.price) || (position && Number(position.close_price) > 0 ? Number(position.close_price) : null);
+    const currentWeight = position ? Number(position.weight_pct) / 100 || 0 : 0;
+    const row = { code, price, quantity, currentWeight, targetWeight: null, delta: 0, note: null, targetPrice: target ? target.price : null };
+
+    if (!target && !sellUnlisted) {
+      row.note = 'No target — kept as is';
+      return row;
+    }
+    row.targetWeight = target ? target.weight : 0;
+    if (row.targetWeight === 0) {
+      row.delta = -quantity; // a full exit may include an odd lot
+      return row;
+    }
+    if (price == null) {
+      missingPrice.push(code);
+      row.note = 'No close price — add a price to the target';
+      return row;
+    }
+    const raw = (row.targetWeight * totalValue) / price - quantity;
+    if (raw < 0) {
+      row.delta = -Math.min(quantity, Math.round(-raw / LOT) * LOT);
+    } else {
+      row.delta = Math.round(raw / LOT) * LOT;
+      if (code.startsWith('688') && row.delta > 0 && row.delta < STAR_MIN_BUY) {
+        row.delta = 0;
+        row.note = `Below the STAR Market minimum of ${STAR_MIN_BUY} shares`;
+      }
+    }
+    return row;
+  });
+
+  const valueOf = (r, side) => (side === 'buy' ? Math.max(r.delta, 0) : Math.max(-r.delta, 0)) * (r.price || 0);
+  const totals = () => {
+    const buyValue = rows.reduce((acc, r) => acc + valueOf(r, 'buy'), 0);
+    const sellValue = rows.reduce((acc, r) => acc + valueOf(r, 'sell'), 0);
+    return { buyValue, sellValue, leftoverCash: cash + sellValue - buyValue };
+  };
+
+  // Lot rounding can overshoot the cash: trim the most overweight buy one lot at a time.
+  let summary = totals();
+  while (summary.leftoverCash < -1e-6) {
+    const buys = rows.filter((r) => r.delta > 0);
+    if (buys.length === 0) break;
+    const worst = buys.reduce((a, b) => (
+      ((a.quantity + a.delta) * a.price) / totalValue - a.targetWeight
+        >= ((b.quantity + b.delta) * b.price) / totalValue - b.targetWeight ? a : b
+    ));
+    worst.delta -= LOT;
+    if (worst.code.startsWith('688') && worst.delta < STAR_MIN_BUY) worst.delta = 0;
+    worst.note = 'Trimmed to fit available cash';
+    summary = totals();
+  }
+
+  rows.forEach((r) => {
+    r.quantityAfter = r.quantity + r.delta;
+    r.weightAfter = totalValue > 0 && r.price != null ? (r.quantityAfter * r.price) / totalValue : null;
+  });
+  rows.sort((a, b) => (b.targetWeight || 0) - (a.targetWeight || 0) || b.currentWeight - a.currentWeight);
+  return { rows, ...summary, missingPrice };
+};
+
+const ORDER_STATUS = {
+  queued: { label: 'Queued', className: 'text-green-700', Icon: CheckCircle },
+  replayed: { label: 'Already submitted', className: 'text-blue-700', Icon: CheckCircle },
+  failed: { label: 'Failed', className: 'text-red-600', Icon: XCircle },
+  duplicate: { label: 'Possible duplicate', className: 'text-amber-700', Icon: AlertTriangle },
+  sending: { label: 'Sending…', className: 'text-gray-600', Icon: Loader2 },
+  pending: { label: 'Waiting', className: 'text-gray-400', Icon: null },
+};
+
+export const RebalancePanel = ({ portfolio, strategy, dryRun, apiBaseUrl, canTrade = true, addToast, onSuccess }) => {
+  const [text, setText] = useState('');
+  const [sellUnlisted, setSellUnlisted] = useState(true);
+  const [priceAsLimit, setPriceAsLimit] = useState(false);
+  const [orders, setOrders] = useState(null); // frozen plan awaiting confirm / being queued
+  const [status, setStatus] = useState({}); // code -> { state, message }
+  const [running, setRunning] = useState(false);
+  const stopRef = useRef(false);
+
+  const { kpis = {}, positions = [], dry_run_mode: snapshotDryRun } = portfolio || {};
+  // Orders go out in the dashboard's mode; a snapshot from the other mode would size them wrong
+  const modeKnown = typeof dryRun === 'boolean';
+  const modeMismatch = modeKnown && typeof snapshotDryRun === 'boolean' && snapshotDryRun !== dryRun;
+  const totalValue = Number(kpis.total_value) || 0;
+  const cash = Number(kpis.cash) || 0;
+
+  const { targets, errors } = useMemo(() => parseTargets(text), [text]);
+  const plan = useMemo(
+    () => planRebalance({ positions, totalValue, cash }, targets, sellUnlisted),
+    [positions, totalValue, cash, targets, sellUnlisted]
+  );
+  const planned = plan.rows.filter((r) => r.delta !== 0);
+  const modeLabel = dryRun ? 'DRY RUN' : 'LIVE';
+
+  const loadCurrentWeights = () => {
+    setText(positions.map((p) => `${normalizeCode(p.stock_code)},${Number(p.weight_pct).toFixed(2)}`).join('\n'));
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setText(String(reader.result || ''));
+    reader.onerror = () => addToast(`Couldn't read ${file.name}`, 'error');
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  // Freeze the plan for confirmation: sells first so their proceeds fund the buys.
+  const review = () => {
+    const list = [...planned]
+      .sort((a, b) => Math.sign(a.delta) - Math.sign(b.delta))
+      .map((r) => ({ ...r, limitPrice: priceAsLimit ? r.targetPrice : null, key: newIdempotencyKey() }));
+    setStatus({});
+    setOrders(list);
+  };
+
+  const run = async (retry = false) => {
+    if (!modeKnown || modeMismatch) return;
+    const targetsToSend = orders.filter((o) => !retry || ['failed', 'duplicate'].includes((status[o.code] || {}).state));
+    setRunning(true);
+    stopRef.current = false;
+    const results = { ...status };
+    targetsToSend.forEach((o) => { results[o.code] = { state: 'pending' }; });
+    setStatus({ ...results });
+    for (const order of targetsToSend) {
+      if (stopRef.current) break;
+      setStatus((s) => ({ ...s, [order.code]: { state: 'sending' } }));
+      const payload = {
+        strategy,
+        action: order.delta > 0 ? 'BUY' : 'SELL',
+        code: order.code,
+        amount: Math.abs(order.delta),
+      };
+      if (order.limitPrice != null) {
+        payload.price = order.limitPrice;
+      } else if (order.targetPrice != null) {
+        payload.reference_price = order.targetPrice;
+      }
+      payload.dry_run = dryRun;
+      const result = await submitOrder(apiBaseUrl, payload, order.key, {
+        confirmDuplicate: retry && (status[order.code] || {}).state === 'duplicate',
+      });
+      results[order.code] = result;
+      setStatus((s) => ({ ...s, [order.code]: result }));
+    }
+    setRunning(false);
+
+    const states = Object.values(results).map((r) => r.state);
+    const done = states.filter((s) => s === 'queued' || s === 'replayed').length;
+    const problems = states.filter((s) => s === 'failed' || s === 'duplicate').length;
+    addToast(
+      `Rebalance: ${done} of ${orders.length} orders queued${problems ? `, ${problems} need attention` : ''}${stopRef.current ? ' (stopped)' : ''}`,
+      problems ? 'error' : 'success'
+    );
+    if (done > 0 && onSuccess) onSuccess();
+  };
+
+  if (!portfolio) return null;
+
+  const started = Object.keys(status).length > 0;
+  const retryable = orders ? orders.filter((o) => ['failed', 'duplicate'].includes((status[o.code] || {}).state)).length : 0;
+  const blocked = errors.length > 0 || plan.missingPrice.length > 0 || planned.length === 0 || !modeKnown || modeMismatch;
+  const isLive = !dryRun;
+
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white">
+      <h3 className="flex items-center gap-2 border-b border-gray-200 px-4 py-3 text-sm font-medium text-gray-700">
+        <Scale className="h-4 w-4" /> Rebalance to Target Weights
+      </h3>
+
+      <div className="space-y-4 p-4">
+        {!orders && (
+          <>
+            <div>
+              <div className="mb-1 flex flex-wrap items-center justify-between gap-2">
+                <label className="block text-sm font-medium text-gray-700">Targets (code, weight %, optional price)</label>
+                <div className="flex items-center gap-3 text-xs">
+                  <button type="button" onClick={loadCurrentWeights} className="text-blue-600 hover:text-blue-700">
+                    Load current weights
+                  </button>
+                  <label className="flex cursor-pointer items-center gap-1 text-blue-600 hover:text-blue-700">
+                    <Upload className="h-3 w-3" />
+                    Load file
+                    <input type="file" accept=".csv,.txt,.json,text/csv,application/json" onChange={handleFile} className="hidden" />
+                  </label>
+                </div>
+              </div>
+              <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                rows={6}
+                placeholder={'510300.SH,40\n159915.SZ,30\n600519.SH,20,1650'}
+                className="w-full rounded-lg border border-gray-300 px-3 py-2 font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <label className="mt-1 flex items-center gap-2 text-xs text-gray-600">
+                <input type="checkbox" checked={sellUnlisted} onChange={(e) => setSellUnlisted(e.target.checked)} />
+                Sell holdings that have no target (otherwise they are left as they are)
+              </label>
+              <label className="mt-1 flex items-center gap-2 text-xs text-gray-600">
+                <input type="checkbox" checked={priceAsLimit} onChange={(e) => setPriceAsLimit(e.target.checked)} />
+                Use target prices as limit prices (otherwise they only size the orders)
+              </label>
+            </div>
+
+            {errors.length > 0 && (
+              <div className="rounded-lg bg-red-50 px-3 py-2 text-xs text-red-700">
+                {errors.map((m) => <p key={m}>{m}</p>)}
+              </div>
+            )}
+            {plan.missingPrice.length > 0 && (
+              <p className="text-xs text-red-600">
+                No close price for {plan.missingPrice.join(', ')} — add a price column for names not held yet.
+              </p>
+            )}
+          </>
+        )}
+
+        {targets.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500">
+                  <th className="px-3 py-2 text-left">Code</th>
+                  <th className="px-3 py-2 text-right">Price</th>
+                  <th className="px-3 py-2 text-right">Holding</th>
+                  <th className="px-3 py-2 text-right">Weight</th>
+                  <th className="px-3 py-2 text-right">Target</th>
+                  <th className="px-3 py-2 text-right">Order</th>
+                  <th className="px-3 py-2 text-right">After</th>
+                  <th className="px-3 py-2 text-right">Weight After</th>
+                  <th className="px-3 py-2 text-left">{orders ? 'Status' : 'Note'}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(orders || plan.rows).map((r) => {
+                  const st = status[r.code];
+                  const meta = st ? ORDER_STATUS[st.state] : null;
+                  return (
+                    <tr key={r.code} className="border-t border-gray-100">
+                      <td className="px-3 py-2 font-medium text-gray-900">{r.code}</td>
+                      <td className="px-3 py-2 text-right text-gray-700">{r.price != null ? r.price.toFixed(2) : '—'}</td>
+                      <td className="px-3 py-2 text-right text-gray-700">{fmtInt(r.quantity)}</td>
+                      <td className="px-3 py-2 text-right text-gray-500">{fmtPct(r.currentWeight)}</td>
+                      <td className="px-3 py-2 text-right text-gray-900">{fmtPct(r.targetWeight)}</td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        {r.delta === 0 ? (
+                          <span className="text-gray-400">—</span>
+                        ) : (
+                          <span className={r.delta > 0 ? 'text-red-600' : 'text-green-600'}>
+                            {r.delta > 0 ? 'BUY' : 'SELL'} {fmtInt(Math.abs(r.delta))}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-700">{fmtInt(r.quantityAfter)}</td>
+                      <td className="px-3 py-2 text-right text-gray-900">{fmtPct(r.weightAfter)}</td>
+                      <td className="px-3 py-2 text-xs">
+                        {meta ? (
+                          <span className={`flex items-center gap-1 ${meta.className}`} title={st.message || ''}>
+                            {meta.Icon && <meta.Icon className={`h-3 w-3 shrink-0 ${st.state === 'sending' ? 'animate-spin' : ''}`} />}
+                            {meta.label}
+                            {st.message && st.state !== 'queued' && <span className="text-gray-500"> · {st.message}</span>}
+                          </span>
+                        ) : (
+                          <span className="text-gray-500">{r.note || ''}</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {targets.length > 0 && (
+          <div className="grid grid-cols-2 gap-3 rounded-lg bg-gray-50 p-3 text-sm md:grid-cols-4">
+            <div>
+              <p className="text-xs text-gray-500">Buys</p>
+              <p className="font-medium text-red-600">{fmtCNY(plan.buyValue)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Sells</p>
+              <p className="font-medium text-green-600">{fmtCNY(plan.sellValue)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Cash now</p>
+              <p className="font-medium text-gray-900">{fmtCNY(cash)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Leftover cash</p>
+              <p className="font-medium text-gray-900">
+                {fmtCNY(plan.leftoverCash)}
+                <span className="ml-1 text-xs text-gray-400">{totalValue > 0 ? fmtPct(plan.leftoverCash / totalValue) : ''}</span>
+              </p>
+            </div>
+            <p className="col-span-2 text-xs text-gray-400 md:col-span-4">
+              Sized at the last close in 100-share lots, before fees. Orders go at market / engine price unless target prices are used as limits.
+            </p>
+          </div>
+        )}
+
+        {modeMismatch && (
+          <p className="text-xs text-red-600">
+            This snapshot is {snapshotDryRun ? 'DRY RUN' : 'LIVE'} but the dashboard is set to {modeLabel}. Reload the
+            portfolio before rebalancing.
+          </p>
+        )}
+
+        {isLive && (orders || planned.length > 0) && (
+          <div className="flex items-center gap-2 rounded-lg bg-red-50 px-3 py-2 text-sm font-medium text-red-700">
+            <AlertTriangle className="h-4 w-4 shrink-0" />
+            This portfolio is LIVE — queued orders place real trades.
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          {!orders ? (
+            <button
+              type="button"
+              onClick={review}
+              disabled={!canTrade || blocked}
+              title={canTrade ? '' : 'Your role cannot place orders'}
+              className="rounded-lg bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Review {planned.length} order{planned.length !== 1 ? 's' : ''}
+            </button>
+          ) : (
+            <>
+              {running ? (
+                <button
+                  type="button"
+                  onClick={() => { stopRef.current = true; }}
+                  className="rounded-lg border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  Stop after this order
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => { setOrders(null); setStatus({}); }}
+                  className="rounded-lg border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  {started ? 'Done' : 'Back'}
+                </button>
+              )}
+              {!started || running ? (
+                <button
+                  type="button"
+                  onClick={() => run(false)}
+                  disabled={running || !canTrade}
+                  className={`flex items-center gap-2 rounded-lg px-4 py-2 text-sm font-medium text-white disabled:opacity-50 ${
+                    isLive ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {running && <Loader2 className="h-4 w-4 animate-spin" />}
+                  {running ? 'Queueing…' : `Queue ${orders.length} ${modeLabel} order${orders.length !== 1 ? 's' : ''}`}
+                </button>
+              ) : retryable > 0 && (
+                <button
+                  type="button"
+                  onClick={() => run(true)}
+                  disabled={!canTrade}
+                  className="rounded-lg bg-amber-600 px-4 py-2 text-sm font-medium text-white hover:bg-amber-700 disabled:opacity-50"
+                >
+                  Retry {retryable} failed
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RebalancePanel;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Scale, AlertTriangle } from 'lucide-react';
+import { PERFORMANCE_BASES } from '../metric_utils';
+
+/**
+ * Return basis bar: choose whether the Overview's equity curve, drawdowns and ratio metrics
+ * use the reported returns, time-weighted returns (deposits/withdrawals stripped out) or
+ * money-weighted returns, and show TWR vs XIRR for the loaded range. When the transactions
+ * list hit its fetch limit, flows can't be told apart from missing trades, so only the
+ * reported basis is offered.
+ */
+const BASIS_LABELS = {
+  [PERFORMANCE_BASES.REPORTED]: '报告值 Reported',
+  [PERFORMANCE_BASES.TWR]: '时间加权 TWR',
+  [PERFORMANCE_BASES.MWR]: '资金加权 MWR'
+};
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const fmtPct = (v) => (v == null ? '—' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%`);
+const fmtCNY = (v) =>
+  new Intl.NumberFormat('zh-CN', { style: 'currency', currency: 'CNY', minimumFractionDigits: 2 }).format(v || 0);
+
+export const ReturnBasisBar = ({ basis, onChange, summary, flowsUnavailable = false, transactionsLimit }) => {
+  const hasFlows = summary && (summary.deposits !== 0 || summary.withdrawals !== 0);
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 px-4 py-3 mb-4">
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className="flex items-center gap-2 text-sm text-gray-600">
+          <Scale className="w-4 h-4" /> 收益基准:
+        </span>
+        <select value={basis} onChange={(e) => onChange(e.target.value)} disabled={flowsUnavailable} className={selectClass}>
+          {Object.values(PERFORMANCE_BASES).map(b => (
+            <option key={b} value={b}>{BASIS_LABELS[b]}</option>
+          ))}
+        </select>
+        {flowsUnavailable && (
+          <span className="flex items-center gap-1 text-sm text-amber-700">
+            <AlertTriangle className="w-4 h-4" />
+            The range has {transactionsLimit}+ transactions, more than are loaded; TWR / MWR are off. Narrow the date range to use them.
+          </span>
+        )}
+        {summary && (
+          <div className="flex items-center gap-4 text-sm text-gray-600 flex-wrap">
+            <span title="Time-weighted: compounds daily returns with external flows removed">
+              TWR <span className="font-medium text-gray-900">{fmtPct(summary.twr)}</span>
+            </span>
+            <span title="Money-weighted: internal rate of return on the range's start value, deposits and withdrawals">
+              MWR <span className="font-medium text-gray-900">{fmtPct(summary.mwr)}</span>
+              <span className="text-gray-400"> (XIRR {fmtPct(summary.xirr)}/yr)</span>
+            </span>
+            <span>
+              外部资金 Net flows <span className="font-medium text-gray-900">{fmtCNY(summary.netExternalFlow)}</span>
+              {hasFlows && (
+                <span className="text-gray-400"> (+{fmtCNY(summary.deposits)} / {fmtCNY(summary.withdrawals)})</span>
+              )}
+            </span>
+          </div>
+        )}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        External flows are cash balance changes not explained by buys and sells in the loaded transactions, so
+        dividends count as flows too. Flow-adjusted returns are measured from the first day of the range.
+      </p>
+    </div>
+  );
+};
+
+export default ReturnBasisBar;
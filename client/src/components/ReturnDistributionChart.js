@@ -0,0 +1,157 @@
+import React, { useMemo } from 'react';
+import {
+  ComposedChart, Bar, Line, ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { DISTRIBUTION_PERCENTILES, calculateReturnDistribution } from '../metric_utils';
+
+/**
+ * Return Distribution Chart
+ * Histogram of daily returns (strategy and benchmark overlaid) with a normal curve fitted
+ * to the strategy and its 1/5/95/99% percentiles marked, next to a QQ plot against the
+ * normal. Points off the diagonal at the ends of the QQ plot are fatter tails than normal.
+ */
+const fmtPct = (v, digits = 2) => `${(v * 100).toFixed(digits)}%`;
+
+// CN convention: loss tail green, gain tail red
+const markerColor = (p) => (p < 0.5 ? '#16a34a' : '#dc2626');
+
+const th = 'px-3 py-2 text-xs font-medium text-gray-500 uppercase text-right';
+
+export const ReturnDistributionChart = ({ dailyPerformances, benchmarkData, alignment, conventions }) => {
+  const distribution = useMemo(
+    () => calculateReturnDistribution(dailyPerformances, benchmarkData, { alignment, conventions }),
+    [dailyPerformances, benchmarkData, alignment, conventions]
+  );
+  const { strategy, benchmark, histogram, qq } = distribution;
+
+  if (strategy.count < 2) return null;
+
+  const bars = histogram.map(b => ({ ...b, label: fmtPct(b.center) }));
+  // Percentile markers sit on the bin holding the value (the axis is one category per bin)
+  const markers = DISTRIBUTION_PERCENTILES.map(p => {
+    const value = strategy.percentiles[p];
+    const bin = bars.find((b, i) => value < b.to || i === bars.length - 1);
+    return { p, value, label: bin.label };
+  });
+
+  const qqStrategy = qq.strategy.map(q => ({ theoretical: q.theoretical * 100, actual: q.actual * 100 }));
+  const qqBenchmark = qq.benchmark ? qq.benchmark.map(q => ({ theoretical: q.theoretical * 100, actual: q.actual * 100 })) : null;
+  const qqValues = [...qqStrategy, ...(qqBenchmark || [])].flatMap(q => [q.theoretical, q.actual]);
+  const qqMin = Math.min(...qqValues);
+  const qqMax = Math.max(...qqValues);
+
+  const statsRows = [
+    { name: '策略 Strategy', stats: strategy },
+    ...(benchmark ? [{ name: '基准 Benchmark', stats: benchmark }] : [])
+  ];
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold mb-4">收益分布 Return Distribution</h3>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={bars} barGap="-100%" barCategoryGap={1} margin={{ top: 20, right: 20, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="label" tick={{ fontSize: 11 }} minTickGap={24} />
+              <YAxis tick={{ fontSize: 12 }} tickFormatter={(v) => `${v.toFixed(0)}%`} />
+              <Tooltip
+                formatter={(value, name) => [value == null ? '—' : `${value.toFixed(2)}% of days`, name]}
+                labelFormatter={(label, payload) => {
+                  const bin = payload && payload[0] && payload[0].payload;
+                  return bin ? `${fmtPct(bin.from)} to ${fmtPct(bin.to)}` : label;
+                }}
+              />
+              <Legend />
+              <Bar dataKey="strategy" name="Strategy" fill="#3b82f6" fillOpacity={0.7} />
+              {benchmark && <Bar dataKey="benchmark" name="Benchmark" fill="#9ca3af" fillOpacity={0.5} />}
+              <Line type="monotone" dataKey="normal" name="Normal fit" stroke="#f59e0b" strokeWidth={2} dot={false} />
+              {markers.map(m => (
+                <ReferenceLine
+                  key={m.p}
+                  x={m.label}
+                  stroke={markerColor(m.p)}
+                  strokeDasharray="4 2"
+                  label={{ value: `P${m.p * 100} ${fmtPct(m.value)}`, position: 'top', fontSize: 11, fill: markerColor(m.p) }}
+                />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div>
+          <ResponsiveContainer width="100%" height={300}>
+            <ScatterChart margin={{ top: 20, right: 20, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis
+                type="number"
+                dataKey="theoretical"
+                name="Normal"
+                domain={[qqMin, qqMax]}
+                tick={{ fontSize: 11 }}
+                tickFormatter={(v) => `${v.toFixed(1)}%`}
+              />
+              <YAxis
+                type="number"
+                dataKey="actual"
+                name="Actual"
+                domain={[qqMin, qqMax]}
+                tick={{ fontSize: 11 }}
+                tickFormatter={(v) => `${v.toFixed(1)}%`}
+              />
+              <ZAxis range={[12, 12]} />
+              <Tooltip formatter={(v) => `${v.toFixed(2)}%`} />
+              <Legend />
+              <ReferenceLine segment={[{ x: qqMin, y: qqMin }, { x: qqMax, y: qqMax }]} stroke="#f59e0b" strokeDasharray="4 2" />
+              <Scatter name="Strategy QQ" data={qqStrategy} fill="#3b82f6" />
+              {qqBenchmark && <Scatter name="Benchmark QQ" data={qqBenchmark} fill="#9ca3af" />}
+            </ScatterChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto mt-4">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className={`${th} text-left`}>Series</th>
+              <th className={th}>Days</th>
+              <th className={th}>Mean</th>
+              <th className={th}>Std</th>
+              <th className={th}>Skew</th>
+              <th className={th}>Excess kurt.</th>
+              {DISTRIBUTION_PERCENTILES.map(p => <th key={p} className={th}>P{p * 100}</th>)}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {statsRows.map(({ name, stats }) => (
+              <tr key={name}>
+                <td className="px-3 py-2 text-sm text-gray-900">{name}</td>
+                <td className="px-3 py-2 text-sm text-right text-gray-700">{stats.count}</td>
+                <td className="px-3 py-2 text-sm text-right text-gray-700">{fmtPct(stats.mean, 3)}</td>
+                <td className="px-3 py-2 text-sm text-right text-gray-700">{fmtPct(stats.std)}</td>
+                <td className="px-3 py-2 text-sm text-right text-gray-700">{stats.skewness.toFixed(2)}</td>
+                <td className={`px-3 py-2 text-sm text-right ${stats.kurtosis > 1 ? 'text-amber-600 font-medium' : 'text-gray-700'}`}>
+                  {stats.kurtosis.toFixed(2)}
+                </td>
+                {DISTRIBUTION_PERCENTILES.map(p => (
+                  <td key={p} className="px-3 py-2 text-sm text-right" style={{ color: markerColor(p) }}>
+                    {fmtPct(stats.percentiles[p])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Bars are the share of days per return bin; the normal curve uses the strategy's mean and std. Percentile
+        markers are the strategy's, drawn on the bin holding them. Excess kurtosis above 0 means fatter tails than
+        normal. Benchmark returns cover only dates where it lines up with the strategy.
+      </p>
+    </div>
+  );
+};
+
+export default ReturnDistributionChart;
@@ -0,0 +1,131 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { ROLLING_WINDOWS, calculateRollingMetrics, describeConventions } from '../metric_utils';
+
+/**
+ * Rolling Risk Metrics Chart
+ * Trailing-window Sharpe, Sortino, beta and information ratio (left axis) and
+ * annualized volatility (right axis, %), so regime changes hidden by the
+ * whole-period numbers in MetricsGrid show up over time.
+ */
+const SERIES = [
+  { key: 'sharpe', label: '夏普 Sharpe', color: '#3b82f6', axis: 'ratio' },
+  { key: 'sortino', label: '索提诺 Sortino', color: '#8b5cf6', axis: 'ratio' },
+  { key: 'volatility', label: '波动率 Volatility (%)', color: '#f59e0b', axis: 'pct' },
+  { key: 'beta', label: '贝塔 Beta', color: '#ef4444', axis: 'ratio', needsBenchmark: true },
+  { key: 'informationRatio', label: '信息比率 IR', color: '#10b981', axis: 'ratio', needsBenchmark: true }
+];
+
+const MIN_WINDOW = 5;
+const MAX_WINDOW = 500;
+
+export const RollingMetricsChart = ({ dailyPerformances, benchmarkData, alignment, conventions }) => {
+  const [windowSize, setWindowSize] = useState(60);
+  const [customWindow, setCustomWindow] = useState('');
+  const [visible, setVisible] = useState({ sharpe: true, sortino: false, volatility: true, beta: true, informationRatio: false });
+
+  const hasBenchmark = !!(benchmarkData && benchmarkData.data && benchmarkData.data.length > 0);
+
+  const data = useMemo(() => {
+    return calculateRollingMetrics(dailyPerformances, benchmarkData, windowSize, conventions, alignment).map(p => ({
+      ...p,
+      volatility: p.volatility * 100
+    }));
+  }, [dailyPerformances, benchmarkData, windowSize, alignment, conventions]);
+
+  const applyCustomWindow = () => {
+    const value = parseInt(customWindow, 10);
+    if (Number.isFinite(value) && value >= MIN_WINDOW && value <= MAX_WINDOW) {
+      setWindowSize(value);
+    }
+  };
+
+  const series = SERIES.filter(s => !s.needsBenchmark || hasBenchmark);
+  const showPct = visible.volatility;
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+        <h3 className="text-lg font-semibold">滚动风险指标 Rolling Risk Metrics</h3>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-500">Window</span>
+          {ROLLING_WINDOWS.map(w => (
+            <button
+              key={w}
+              onClick={() => { setWindowSize(w); setCustomWindow(''); }}
+              className={`px-3 py-1 rounded-lg border ${windowSize === w ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+            >
+              {w}D
+            </button>
+          ))}
+          <input
+            type="number"
+            min={MIN_WINDOW}
+            max={MAX_WINDOW}
+            value={customWindow}
+            onChange={(e) => setCustomWindow(e.target.value)}
+            onBlur={applyCustomWindow}
+            onKeyDown={(e) => e.key === 'Enter' && applyCustomWindow()}
+            placeholder={ROLLING_WINDOWS.includes(windowSize) ? 'Custom' : String(windowSize)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center gap-4 flex-wrap mb-3 text-sm">
+        {series.map(s => (
+          <label key={s.key} className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={visible[s.key]}
+              onChange={() => setVisible(v => ({ ...v, [s.key]: !v[s.key] }))}
+            />
+            <span style={{ color: s.color }}>{s.label}</span>
+          </label>
+        ))}
+      </div>
+
+      {data.length > 0 ? (
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+            <YAxis yAxisId="ratio" tick={{ fontSize: 12 }} />
+            {showPct && (
+              <YAxis yAxisId="pct" orientation="right" tick={{ fontSize: 12 }} label={{ value: '%', angle: 90, position: 'insideRight' }} />
+            )}
+            <ReferenceLine yAxisId="ratio" y={0} stroke="#9ca3af" />
+            <Tooltip
+              formatter={(value, name) => (value == null ? '-' : name.includes('%') ? `${value.toFixed(2)}%` : value.toFixed(3))}
+              contentStyle={{ backgroundColor: 'white', border: '1px solid #e5e7eb' }}
+            />
+            <Legend />
+            {series.filter(s => visible[s.key]).map(s => (
+              <Line
+                key={s.key}
+                yAxisId={s.axis}
+                type="monotone"
+                dataKey={s.key}
+                stroke={s.color}
+                strokeWidth={2}
+                dot={false}
+                name={s.label}
+                connectNulls={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      ) : (
+        <p className="text-sm text-gray-500 py-12 text-center">
+          Need at least {windowSize} trading days in the selected range for a {windowSize}-day window.
+        </p>
+      )}
+      <p className="text-sm text-gray-500 mt-4">
+        Each point covers the trailing {windowSize} trading days ({describeConventions(conventions)}).
+        {hasBenchmark ? ' Beta and IR use the selected benchmark.' : ' Select a benchmark for beta and IR.'}
+      </p>
+    </div>
+  );
+};
+
+export default RollingMetricsChart;
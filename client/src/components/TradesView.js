@@ -0,0 +1,229 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowLeftRight } from 'lucide-react';
+import { MATCHING_METHODS, matchRoundTrips, summarizeTrades, summarizeTradesByStock } from '../metric_utils';
+
+/**
+ * Trades tab: round trips from matching each sell against the buys it closes, with
+ * per-stock aggregates. The matching method (FIFO / LIFO / average cost) is shared with
+ * the trade win rate in the Overview. Positions held when the range opens are matched
+ * first; trips whose cost had to be inferred from a market price are marked.
+ */
+const METHOD_LABELS = {
+  [MATCHING_METHODS.FIFO]: 'FIFO 先进先出',
+  [MATCHING_METHODS.LIFO]: 'LIFO 后进先出',
+  [MATCHING_METHODS.AVERAGE]: '平均成本 Average'
+};
+
+const SORTS = {
+  exit: { label: 'Exit date', compare: (a, b) => b.exitDate.localeCompare(a.exitDate) },
+  pnl: { label: 'P&L', compare: (a, b) => b.pnl - a.pnl },
+  return: { label: 'Return', compare: (a, b) => b.returnPct - a.returnPct },
+  holding: { label: 'Holding days', compare: (a, b) => b.holdingDays - a.holdingDays }
+};
+
+const fmtCNY = (v) =>
+  v == null ? '—' : new Intl.NumberFormat('zh-CN', { style: 'currency', currency: 'CNY', minimumFractionDigits: 2 }).format(v);
+const fmtPct = (v) => (v == null ? '—' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%`);
+const fmtDays = (v) => (v == null ? '—' : `${v.toFixed(1)}d`);
+
+// CN convention: red = gain, green = loss.
+const toneFor = (v) => (v == null || v === 0 ? 'text-gray-900' : v > 0 ? 'text-red-600' : 'text-green-600');
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const th = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+
+const Kpi = ({ label, value, sub, tone }) => (
+  <div className="rounded-lg border border-gray-200 bg-white p-4">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className={`mt-1 text-xl font-semibold ${tone || 'text-gray-900'}`}>{value}</p>
+    {sub != null && <p className="mt-0.5 text-xs text-gray-400">{sub}</p>}
+  </div>
+);
+
+export const TradesView = ({ transactions = [], openingPositions, method = MATCHING_METHODS.FIFO, onMethodChange }) => {
+  const [codeFilter, setCodeFilter] = useState('');
+  const [sortKey, setSortKey] = useState('exit');
+
+  const { trips, unmatchedSells } = useMemo(
+    () => matchRoundTrips(transactions, method, openingPositions),
+    [transactions, method, openingPositions]
+  );
+  const totals = useMemo(() => summarizeTrades(trips), [trips]);
+  const byStock = useMemo(() => summarizeTradesByStock(trips), [trips]);
+
+  const visibleTrips = trips
+    .filter(t => !codeFilter || t.code === codeFilter)
+    .sort(SORTS[sortKey].compare);
+  const unmatchedQty = unmatchedSells.reduce((sum, s) => sum + s.quantity, 0);
+  const openingTrips = trips.filter(t => t.openingLot).length;
+  const inferredTrips = trips.filter(t => t.inferredCost).length;
+  const openingDate = openingPositions && openingPositions.length > 0 ? openingPositions[0].date : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h2 className="flex items-center gap-2 text-lg font-bold text-gray-900">
+          <ArrowLeftRight className="h-5 w-5 text-blue-600" /> Trades
+        </h2>
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-gray-600">配对方式:</span>
+          {Object.values(MATCHING_METHODS).map(m => (
+            <button
+              key={m}
+              onClick={() => onMethodChange && onMethodChange(m)}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors ${
+                method === m ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {METHOD_LABELS[m]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 md:grid-cols-5">
+        <Kpi label="Round trips" value={totals.trips} sub={`${totals.wins} win / ${totals.losses} loss`} />
+        <Kpi label="Win rate" value={`${(totals.winRate * 100).toFixed(1)}%`} />
+        <Kpi label="Realized P&L" value={fmtCNY(totals.pnl)} sub={fmtPct(totals.returnPct)} tone={toneFor(totals.pnl)} />
+        <Kpi label="Avg win / loss" value={fmtCNY(totals.avgWin)} sub={fmtCNY(totals.avgLoss)} tone={toneFor(totals.avgWin)} />
+        <Kpi label="Avg holding" value={fmtDays(totals.avgHoldingDays)} sub="calendar days" />
+      </div>
+
+      {openingTrips > 0 && (
+        <div className="rounded-lg bg-blue-50 px-4 py-2 text-sm text-blue-700">
+          {openingTrips} round trip{openingTrips === 1 ? '' : 's'} close{openingTrips === 1 ? 's' : ''} positions held
+          on {openingDate}, before the first trade in range (marked 期初).
+          {inferredTrips > 0 && ` ${inferredTrips} of them use an inferred cost (marked ≈): the backend reported no cost basis, so that day's price stands in and their P&L only covers the move since then.`}
+        </div>
+      )}
+
+      {unmatchedSells.length > 0 && (
+        <div className="rounded-lg bg-amber-50 px-4 py-2 text-sm text-amber-700">
+          {unmatchedSells.length} sell{unmatchedSells.length === 1 ? '' : 's'} ({unmatchedQty.toLocaleString()} shares) had no
+          earlier buy or opening holding, so those shares are not in any round trip. Widen the date range to include where the
+          positions were opened.
+        </div>
+      )}
+
+      {/* Per-stock aggregates */}
+      <div className="bg-white rounded-lg border border-gray-200">
+        <div className="p-6 border-b border-gray-200">
+          <h3 className="text-lg font-semibold">By stock</h3>
+        </div>
+        {byStock.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={`${th} text-left`}>Stock</th>
+                  <th className={`${th} text-right`}>Trips</th>
+                  <th className={`${th} text-right`}>Win rate</th>
+                  <th className={`${th} text-right`}>Shares</th>
+                  <th className={`${th} text-right`}>P&amp;L</th>
+                  <th className={`${th} text-right`}>Return</th>
+                  <th className={`${th} text-right`}>Best / worst</th>
+                  <th className={`${th} text-right`}>Avg holding</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {byStock.map(s => (
+                  <tr
+                    key={s.code}
+                    onClick={() => setCodeFilter(codeFilter === s.code ? '' : s.code)}
+                    className={`cursor-pointer ${codeFilter === s.code ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                    title="Show this stock's round trips"
+                  >
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">{s.code}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-900">{s.trips}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-900">{(s.winRate * 100).toFixed(0)}%</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-900">{s.quantity.toLocaleString()}</td>
+                    <td className={`px-4 py-3 text-sm text-right font-medium ${toneFor(s.pnl)}`}>{fmtCNY(s.pnl)}</td>
+                    <td className={`px-4 py-3 text-sm text-right ${toneFor(s.returnPct)}`}>{fmtPct(s.returnPct)}</td>
+                    <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                      <span className={toneFor(s.bestPnl)}>{fmtCNY(s.bestPnl)}</span>
+                      {' / '}
+                      <span className={toneFor(s.worstPnl)}>{fmtCNY(s.worstPnl)}</span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-600">{fmtDays(s.avgHoldingDays)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="p-12 text-center">
+            <ArrowLeftRight className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No Round Trips</h3>
+            <p className="text-gray-500">No sell in the selected range closes an earlier buy.</p>
+          </div>
+        )}
+      </div>
+
+      {/* Individual round trips */}
+      {trips.length > 0 && (
+        <div className="bg-white rounded-lg border border-gray-200">
+          <div className="p-6 border-b border-gray-200 flex items-center justify-between flex-wrap gap-3">
+            <h3 className="text-lg font-semibold">Round trips</h3>
+            <div className="flex items-center gap-2">
+              <select value={codeFilter} onChange={(e) => setCodeFilter(e.target.value)} className={selectClass}>
+                <option value="">All stocks</option>
+                {byStock.map(s => (
+                  <option key={s.code} value={s.code}>{s.code}</option>
+                ))}
+              </select>
+              <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} className={selectClass}>
+                {Object.entries(SORTS).map(([key, { label }]) => (
+                  <option key={key} value={key}>Sort: {label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={`${th} text-left`}>Stock</th>
+                  <th className={`${th} text-left`}>Entry</th>
+                  <th className={`${th} text-left`}>Exit</th>
+                  <th className={`${th} text-right`}>Quantity</th>
+                  <th className={`${th} text-right`}>Entry price</th>
+                  <th className={`${th} text-right`}>Exit price</th>
+                  <th className={`${th} text-right`}>Holding</th>
+                  <th className={`${th} text-right`}>P&amp;L</th>
+                  <th className={`${th} text-right`}>Return</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {visibleTrips.map(t => (
+                  <tr key={t.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">{t.code}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                      {String(t.entryDate).slice(0, 10)}
+                      {t.openingLot && <span className="ml-1 rounded bg-blue-100 px-1 text-xs text-blue-700" title="Closes a position held before the range">期初</span>}
+                      {t.lots > 1 && <span className="ml-1 text-xs text-gray-400" title="Closed several buy lots; earliest shown">+{t.lots - 1} lot{t.lots > 2 ? 's' : ''}</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">{String(t.exitDate).slice(0, 10)}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-900">{t.quantity.toLocaleString()}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-900">
+                      {t.inferredCost && <span className="mr-1 text-amber-600" title="Cost inferred from the market price at the start of the range">≈</span>}
+                      {t.entryPrice.toFixed(3)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-900">{t.exitPrice.toFixed(3)}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-600">{fmtDays(t.holdingDays)}</td>
+                    <td className={`px-4 py-3 text-sm text-right font-medium ${toneFor(t.pnl)}`}>{fmtCNY(t.pnl)}</td>
+                    <td className={`px-4 py-3 text-sm text-right ${toneFor(t.returnPct)}`}>{fmtPct(t.returnPct)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="px-6 py-3 text-xs text-gray-500 border-t border-gray-100">
+            P&amp;L uses net amounts (fees included). Holding days are calendar days, weighted by shares when a sell closes several lots.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TradesView;
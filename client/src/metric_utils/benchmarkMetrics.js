@@ -2,13 +2,19 @@
  * Benchmark Comparison Metrics
  */
 
+import { DEFINITION_SETS, resolveConventions, riskFreeAt, mean, stdDev } from './conventions';
+
+const isStandard = (conv) => conv.definitions === DEFINITION_SETS.STANDARD;
+
 /**
  * Calculate Alpha and Beta relative to benchmark
- * @param {Array} strategyReturns - Array of strategy daily returns
- * @param {Array} benchmarkReturns - Array of benchmark daily returns
+ * JoinQuant: CAPM alpha on the period's total returns
+ * Standard: Jensen's alpha from daily excess returns, annualized
+ * @param {Array} strategyReturns - Array of strategy daily returns (date-aligned, conventions' basis)
+ * @param {Array} benchmarkReturns - Array of benchmark daily returns (date-aligned, conventions' basis)
  * @param {number} totalStrategyReturn - Total strategy return
  * @param {number} totalBenchmarkReturn - Total benchmark return
- * @param {number} riskFreeRate - Annual risk-free rate (default 0.03 for 3%)
+ * @param {Object} conv - Resolved conventions (see resolveConventions)
  * @returns {Object} Alpha and Beta values
  */
 export const calculateAlphaBeta = (
@@ -16,7 +22,7 @@ export const calculateAlphaBeta = (
   benchmarkReturns,
   totalStrategyReturn,
   totalBenchmarkReturn,
-  riskFreeRate = 0.03
+  conv = resolveConventions()
 ) => {
   const minLength = Math.min(strategyReturns.length, benchmarkReturns.length);
   
@@ -43,8 +49,21 @@ export const calculateAlphaBeta = (
   // Calculate Beta
   const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : 0;
 
+  if (isStandard(conv)) {
+    // Jensen's alpha = (mean(Rs - Rf) - Beta × mean(Rb - Rf)) × periods per year
+    let strategyExcess = 0;
+    let benchmarkExcess = 0;
+    for (let i = 0; i < minLength; i++) {
+      strategyExcess += strategyReturns[i] - riskFreeAt(conv, i);
+      benchmarkExcess += benchmarkReturns[i] - riskFreeAt(conv, i);
+    }
+    const alpha = ((strategyExcess - beta * benchmarkExcess) / minLength) * conv.periodsPerYear;
+    return { alpha, beta };
+  }
+
   // Calculate Alpha using full CAPM formula
   // Alpha = Strategy Return - [Risk_Free_Rate + Beta × (Benchmark Return - Risk_Free_Rate)]
+  const riskFreeRate = conv.annualRiskFree;
   const expectedReturn = riskFreeRate + beta * (totalBenchmarkReturn - riskFreeRate);
   const alpha = totalStrategyReturn - expectedReturn;
   
@@ -54,13 +73,15 @@ export const calculateAlphaBeta = (
 };
 
 /**
- * Calculate Information Ratio (JoinQuant standard)
- * Formula: Mean(Daily Excess Returns) / StdDev(Daily Excess Returns) × √252
+ * Calculate Information Ratio
+ * Formula: Mean(Daily Excess Returns) / StdDev(Daily Excess Returns) × √periods
+ * (population std for JoinQuant, sample std for standard)
  * @param {Array} strategyReturns - Array of strategy daily returns
  * @param {Array} benchmarkReturns - Array of benchmark daily returns
+ * @param {Object} conv - Resolved conventions (see resolveConventions)
  * @returns {number} Information ratio (annualized)
  */
-export const calculateInformationRatio = (strategyReturns, benchmarkReturns) => {
+export const calculateInformationRatio = (strategyReturns, benchmarkReturns, conv = resolveConventions()) => {
   const minLength = Math.min(strategyReturns.length, benchmarkReturns.length);
   
   if (minLength < 10) {
@@ -73,19 +94,16 @@ export const calculateInformationRatio = (strategyReturns, benchmarkReturns) =>
     excessReturns.push(strategyReturns[i] - benchmarkReturns[i]);
   }
 
-  // Mean of excess returns
-  const meanExcess = excessReturns.reduce((sum, r) => sum + r, 0) / excessReturns.length;
-
-  // Standard deviation of excess returns
-  const variance = excessReturns.reduce((sum, r) => sum + Math.pow(r - meanExcess, 2), 0) / excessReturns.length;
-  const stdDev = Math.sqrt(variance);
+  // Mean and standard deviation of excess returns
+  const meanExcess = mean(excessReturns);
+  const trackingError = stdDev(excessReturns, conv);
 
-  if (stdDev === 0) {
+  if (trackingError === 0) {
     return 0;
   }
 
   // Annualized Information Ratio
-  return (meanExcess / stdDev) * Math.sqrt(252);
+  return (meanExcess / trackingError) * Math.sqrt(conv.periodsPerYear);
 };
 
 /**
@@ -141,28 +159,28 @@ export const calculateAvgDailyExcessReturn = (strategyReturns, benchmarkReturns)
 /**
  * Calculate benchmark volatility (annualized)
  * @param {Array} benchmarkReturns - Array of benchmark daily returns
+ * @param {Object} conv - Resolved conventions (see resolveConventions)
  * @returns {number} Annualized volatility
  */
-export const calculateBenchmarkVolatility = (benchmarkReturns) => {
+export const calculateBenchmarkVolatility = (benchmarkReturns, conv = resolveConventions()) => {
   if (!benchmarkReturns || benchmarkReturns.length === 0) {
     return 0;
   }
 
-  const mean = benchmarkReturns.reduce((sum, r) => sum + r, 0) / benchmarkReturns.length;
-  const variance = benchmarkReturns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / benchmarkReturns.length;
-  const stdDev = Math.sqrt(variance);
-
-  // Annualize using √252
-  return stdDev * Math.sqrt(252);
+  // Annualize using √periods per year
+  return stdDev(benchmarkReturns, conv) * Math.sqrt(conv.periodsPerYear);
 };
 
 /**
  * Calculate maximum drawdown of excess returns
- * @param {Array} strategyReturns - Array of strategy daily returns
- * @param {Array} benchmarkReturns - Array of benchmark daily returns
+ * JoinQuant: on the running sum of daily excess returns; standard: on the relative
+ * net value (1 + strategy cumulative) / (1 + benchmark cumulative)
+ * @param {Array} strategyReturns - Array of strategy daily returns (arithmetic)
+ * @param {Array} benchmarkReturns - Array of benchmark daily returns (arithmetic)
+ * @param {Object} conv - Conventions
  * @returns {number} Maximum drawdown of excess returns
  */
-export const calculateExcessReturnMaxDrawdown = (strategyReturns, benchmarkReturns) => {
+export const calculateExcessReturnMaxDrawdown = (strategyReturns, benchmarkReturns, conv = resolveConventions()) => {
   const minLength = Math.min(strategyReturns.length, benchmarkReturns.length);
   
   if (minLength === 0) {
@@ -172,9 +190,11 @@ export const calculateExcessReturnMaxDrawdown = (strategyReturns, benchmarkRetur
   // Calculate cumulative excess returns
   const excessReturns = [];
   let cumulative = 0;
+  let relative = 1;
   for (let i = 0; i < minLength; i++) {
     cumulative += (strategyReturns[i] - benchmarkReturns[i]);
-    excessReturns.push(cumulative);
+    relative *= (1 + strategyReturns[i]) / (1 + benchmarkReturns[i]);
+    excessReturns.push(isStandard(conv) ? relative : cumulative);
   }
 
   // Calculate max drawdown on excess returns
@@ -188,7 +208,7 @@ export const calculateExcessReturnMaxDrawdown = (strategyReturns, benchmarkRetur
       peak = current;
     }
 
-    const drawdown = current - peak;
+    const drawdown = isStandard(conv) ? current / peak - 1 : current - peak;
     if (drawdown < maxDD) {
       maxDD = drawdown;
     }
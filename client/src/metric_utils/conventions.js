@@ -0,0 +1,205 @@
+/**
+ * Metric Conventions
+ * Risk-free rate, annualization basis, return basis and definition set shared by
+ * every metric in metric_utils, plus the built-in named profiles.
+ *
+ * Return basis applies to the dispersion-based metrics (volatility, Sharpe, Sortino,
+ * beta, IR, VaR, moments); compounded figures (total / annual / monthly returns,
+ * drawdowns, win rates) always use arithmetic daily returns.
+ */
+
+export const ANNUALIZATION_BASES = {
+  TRADING_252: '252',
+  TRADING_244: '244',
+  CALENDAR: 'calendar'
+};
+
+export const RETURN_BASES = {
+  ARITHMETIC: 'arithmetic',
+  LOG: 'log'
+};
+
+export const DEFINITION_SETS = {
+  JOINQUANT: 'joinquant',
+  STANDARD: 'standard'
+};
+
+const TRADING_PERIODS = {
+  [ANNUALIZATION_BASES.TRADING_252]: 252,
+  [ANNUALIZATION_BASES.TRADING_244]: 244
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_CONVENTIONS = {
+  riskFreeRate: 0.03, // annual, decimal
+  riskFreeSeries: null, // [[date, annualRate], ...] ascending; each rate applies from its date on
+  annualization: ANNUALIZATION_BASES.TRADING_252,
+  returnBasis: RETURN_BASES.ARITHMETIC,
+  definitions: DEFINITION_SETS.JOINQUANT
+};
+
+// Built-in profiles; user profiles are saved alongside these and cannot shadow them
+export const BUILTIN_PROFILES = {
+  JoinQuant: DEFAULT_CONVENTIONS,
+  'Standard (252)': {
+    ...DEFAULT_CONVENTIONS,
+    definitions: DEFINITION_SETS.STANDARD
+  },
+  'CN A-share (244, log)': {
+    ...DEFAULT_CONVENTIONS,
+    annualization: ANNUALIZATION_BASES.TRADING_244,
+    returnBasis: RETURN_BASES.LOG,
+    definitions: DEFINITION_SETS.STANDARD
+  }
+};
+
+export const DEFAULT_PROFILE_NAME = 'JoinQuant';
+
+/**
+ * Annual risk-free rate in effect on a date
+ * @param {Object} conventions - Raw conventions
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} Annual rate as decimal; the fixed rate before the series starts
+ */
+const annualRiskFreeOn = (conventions, date) => {
+  const series = conventions.riskFreeSeries;
+  if (!series || series.length === 0 || !date) {
+    return conventions.riskFreeRate;
+  }
+  let rate = conventions.riskFreeRate;
+  for (let i = 0; i < series.length && series[i][0] <= date; i++) {
+    rate = series[i][1];
+  }
+  return rate;
+};
+
+/**
+ * Resolve conventions against the dates of a return series
+ * @param {Object} conventions - Raw conventions (missing fields fall back to DEFAULT_CONVENTIONS)
+ * @param {Array} dates - Dates of the returns ('YYYY-MM-DD'), ascending
+ * @returns {Object} Conventions plus periodsPerYear, years, annualRiskFree and riskFree
+ *   (per-period rate for each date, in the chosen return basis)
+ */
+export const resolveConventions = (conventions = DEFAULT_CONVENTIONS, dates = []) => {
+  const c = { ...DEFAULT_CONVENTIONS, ...conventions };
+  const n = dates.length;
+
+  let periodsPerYear = TRADING_PERIODS[c.annualization] || 252;
+  let years = n / periodsPerYear;
+  if (c.annualization === ANNUALIZATION_BASES.CALENDAR && n >= 2) {
+    // Actual elapsed calendar time; observations per year follow from it
+    const spanDays = (Date.parse(dates[n - 1]) - Date.parse(dates[0])) / MS_PER_DAY;
+    if (spanDays > 0) {
+      years = spanDays / 365.25;
+      periodsPerYear = (n - 1) / years;
+    }
+  }
+
+  const annualRates = n > 0 ? dates.map(d => annualRiskFreeOn(c, d)) : [c.riskFreeRate];
+  const toPeriod = (rate) => (c.returnBasis === RETURN_BASES.LOG ? Math.log(1 + rate) : rate) / periodsPerYear;
+
+  return {
+    ...c,
+    periodsPerYear,
+    years,
+    annualRiskFree: annualRates.reduce((sum, r) => sum + r, 0) / annualRates.length,
+    riskFree: annualRates.slice(0, n).map(toPeriod),
+    periodRiskFree: annualRates.map(toPeriod).reduce((sum, r) => sum + r, 0) / annualRates.length
+  };
+};
+
+/**
+ * Restrict resolved conventions to a window of their dates (for rolling metrics)
+ * @param {Object} conv - From resolveConventions
+ * @param {number} start - First index (inclusive)
+ * @param {number} end - Last index (exclusive)
+ * @returns {Object} Conventions whose riskFree / annualRiskFree cover the window only
+ */
+export const sliceConventions = (conv, start, end) => {
+  const riskFree = conv.riskFree.slice(start, end);
+  if (riskFree.length === 0) {
+    return conv;
+  }
+  const periodRiskFree = riskFree.reduce((sum, r) => sum + r, 0) / riskFree.length;
+  const annualRiskFree = conv.returnBasis === RETURN_BASES.LOG
+    ? Math.exp(periodRiskFree * conv.periodsPerYear) - 1
+    : periodRiskFree * conv.periodsPerYear;
+  return { ...conv, riskFree, periodRiskFree, annualRiskFree };
+};
+
+/**
+ * Per-period risk-free rate for the i-th return
+ * @param {Object} conv - From resolveConventions
+ * @param {number} i - Index into the return series
+ * @returns {number} Per-period rate
+ */
+export const riskFreeAt = (conv, i) => (conv.riskFree && conv.riskFree[i] !== undefined ? conv.riskFree[i] : conv.periodRiskFree);
+
+/**
+ * Convert arithmetic daily returns to the conventions' return basis
+ * @param {Array} returns - Arithmetic daily returns
+ * @param {Object} conv - Conventions
+ * @returns {Array} Returns in the chosen basis
+ */
+export const toBasisReturns = (returns, conv) => (
+  conv.returnBasis === RETURN_BASES.LOG ? returns.map(r => Math.log(1 + r)) : returns
+);
+
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Standard deviation under the conventions' definition set
+ * JoinQuant: population (÷ n), as JoinQuant reports; standard: sample (÷ n - 1)
+ * @param {Array} values - Values
+ * @param {Object} conv - Conventions
+ * @returns {number} Standard deviation
+ */
+export const stdDev = (values, conv = DEFAULT_CONVENTIONS) => {
+  const n = values.length;
+  const divisor = conv.definitions === DEFINITION_SETS.STANDARD ? n - 1 : n;
+  if (divisor <= 0) {
+    return 0;
+  }
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / divisor);
+};
+
+/**
+ * Parse a pasted risk-free series: one "date,rate" per line, rate in % (e.g. 2024-01-02,1.85)
+ * @param {string} text - Pasted text; blank lines and a header line are ignored
+ * @returns {Object} { series: [[date, annualRate], ...] ascending, errors: [string] }
+ */
+export const parseRiskFreeSeries = (text) => {
+  const series = [];
+  const errors = [];
+  String(text || '').split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const [date, rate] = trimmed.split(/[,\t;\s]+/);
+    const value = parseFloat(rate);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Number.isFinite(value)) {
+      if (i > 0 || /\d/.test(trimmed)) errors.push(`Line ${i + 1}: expected "YYYY-MM-DD,rate%"`);
+      return;
+    }
+    series.push([date, value / 100]);
+  });
+  series.sort((a, b) => a[0].localeCompare(b[0]));
+  return { series, errors };
+};
+
+/**
+ * Short label for the active conventions, e.g. "JoinQuant · 252 · 算术 · Rf 3.00%"
+ * @param {Object} conventions - Raw or resolved conventions
+ * @returns {string} Label
+ */
+export const describeConventions = (conventions = DEFAULT_CONVENTIONS) => {
+  const c = { ...DEFAULT_CONVENTIONS, ...conventions };
+  const definitions = c.definitions === DEFINITION_SETS.STANDARD ? 'Standard' : 'JoinQuant';
+  const annualization = c.annualization === ANNUALIZATION_BASES.CALENDAR ? '日历日' : c.annualization;
+  const basis = c.returnBasis === RETURN_BASES.LOG ? '对数' : '算术';
+  const riskFree = c.riskFreeSeries && c.riskFreeSeries.length > 0
+    ? `Rf 序列 (${c.riskFreeSeries.length})`
+    : `Rf ${(c.riskFreeRate * 100).toFixed(2)}%`;
+  return `${definitions} · ${annualization} · ${basis} · ${riskFree}`;
+};
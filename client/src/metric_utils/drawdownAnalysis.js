@@ -0,0 +1,138 @@
+/**
+ * Drawdown Analysis
+ * Underwater series and drawdown episodes (peak, trough, recovery) for strategy returns
+ * and for excess returns versus the benchmark
+ */
+
+import { DEFAULT_CONVENTIONS, DEFINITION_SETS } from './conventions';
+import { ALIGNMENT_MODES, alignStrategyAndBenchmark } from './seriesAlignment';
+
+export const DRAWDOWN_SERIES = {
+  STRATEGY: 'strategy',
+  EXCESS: 'excess'
+};
+
+export const DEFAULT_EPISODE_LIMIT = 10;
+
+// Drawdowns closer to zero than this count as recovered (float noise)
+const RECOVERY_EPSILON = 1e-10;
+
+/**
+ * Calculate the underwater (drawdown from running peak) series
+ * JoinQuant: level is cumulative return and drawdown is in return points (level - peak);
+ * standard: level is net value and drawdown is relative (level / peak - 1), matching
+ * calculateMaxDrawdown.
+ * @param {Array} dates - Dates, one per level
+ * @param {Array} levels - Cumulative return (JoinQuant) or net value (standard) per date
+ * @param {Object} conv - Conventions (definitions)
+ * @returns {Array} [{ date, drawdown, peakIdx }] - drawdown <= 0 as decimal
+ */
+export const calculateUnderwaterSeries = (dates, levels, conv = DEFAULT_CONVENTIONS) => {
+  if (!levels || levels.length === 0) {
+    return [];
+  }
+  const standard = conv.definitions === DEFINITION_SETS.STANDARD;
+  let peak = levels[0];
+  let peakIdx = 0;
+  return levels.map((level, i) => {
+    if (level > peak) {
+      peak = level;
+      peakIdx = i;
+    }
+    const drawdown = standard ? (peak > 0 ? level / peak - 1 : 0) : level - peak;
+    return { date: dates[i], drawdown, peakIdx };
+  });
+};
+
+/**
+ * Split an underwater series into drawdown episodes
+ * An episode runs from a peak to the first day back at that peak (recovery); one still
+ * under water at the end has no recovery date. Durations are in trading days (rows).
+ * @param {Array} underwater - From calculateUnderwaterSeries
+ * @param {number} limit - Keep the N deepest episodes
+ * @returns {Array} [{ peakDate, troughDate, recoveryDate, depth, duration, daysToTrough, daysToRecover, recovered }]
+ *   sorted by depth, deepest first; daysToRecover is trough to recovery (null if not recovered)
+ */
+export const findDrawdownEpisodes = (underwater, limit = DEFAULT_EPISODE_LIMIT) => {
+  const episodes = [];
+  let current = null;
+
+  (underwater || []).forEach((point, i) => {
+    const under = point.drawdown < -RECOVERY_EPSILON;
+    if (under && !current) {
+      current = { peakIdx: point.peakIdx, troughIdx: i, depth: point.drawdown };
+    } else if (under && point.drawdown < current.depth) {
+      current.troughIdx = i;
+      current.depth = point.drawdown;
+    } else if (!under && current) {
+      episodes.push({ ...current, recoveryIdx: i });
+      current = null;
+    }
+  });
+  if (current) {
+    episodes.push({ ...current, recoveryIdx: null });
+  }
+
+  const lastIdx = (underwater || []).length - 1;
+  return episodes
+    .sort((a, b) => a.depth - b.depth)
+    .slice(0, limit)
+    .map(e => ({
+      peakDate: underwater[e.peakIdx].date,
+      troughDate: underwater[e.troughIdx].date,
+      recoveryDate: e.recoveryIdx == null ? null : underwater[e.recoveryIdx].date,
+      depth: e.depth,
+      duration: (e.recoveryIdx == null ? lastIdx : e.recoveryIdx) - e.peakIdx,
+      daysToTrough: e.troughIdx - e.peakIdx,
+      daysToRecover: e.recoveryIdx == null ? null : e.recoveryIdx - e.troughIdx,
+      recovered: e.recoveryIdx != null
+    }));
+};
+
+/**
+ * Drawdown analysis for the strategy and, with a benchmark, for excess returns
+ * Strategy levels come from cumulative_return; excess levels from the date-aligned daily
+ * returns (running sum of strategy - benchmark for JoinQuant, relative net value for
+ * standard, as in calculateExcessReturnMaxDrawdown).
+ * @param {Array} dailyPerformances - Array of { trade_date, daily_return, cumulative_return }
+ * @param {Object} benchmarkData - Benchmark data object (optional)
+ * @param {Object} options - { alignment, conventions, limit }
+ * @returns {Object} { strategy: { underwater, episodes }, excess: { underwater, episodes } | null }
+ */
+export const calculateDrawdownAnalysis = (
+  dailyPerformances,
+  benchmarkData,
+  { alignment = ALIGNMENT_MODES.FFILL, conventions = DEFAULT_CONVENTIONS, limit = DEFAULT_EPISODE_LIMIT } = {}
+) => {
+  const days = dailyPerformances || [];
+  const standard = conventions.definitions === DEFINITION_SETS.STANDARD;
+
+  const strategyUnderwater = calculateUnderwaterSeries(
+    days.map(d => d.trade_date),
+    days.map(d => (standard ? 1 : 0) + (d.cumulative_return || 0)),
+    conventions
+  );
+  const result = {
+    strategy: { underwater: strategyUnderwater, episodes: findDrawdownEpisodes(strategyUnderwater, limit) },
+    excess: null
+  };
+
+  if (!benchmarkData || !benchmarkData.data || days.length === 0) {
+    return result;
+  }
+  const { dates, strategyReturns, benchmarkReturns } = alignStrategyAndBenchmark(days, benchmarkData, alignment);
+  if (dates.length === 0) {
+    return result;
+  }
+
+  let level = standard ? 1 : 0;
+  const excessLevels = dates.map((date, i) => {
+    level = standard
+      ? level * (1 + strategyReturns[i]) / (1 + benchmarkReturns[i])
+      : level + (strategyReturns[i] - benchmarkReturns[i]);
+    return level;
+  });
+  const excessUnderwater = calculateUnderwaterSeries(dates, excessLevels, conventions);
+  result.excess = { underwater: excessUnderwater, episodes: findDrawdownEpisodes(excessUnderwater, limit) };
+  return result;
+};
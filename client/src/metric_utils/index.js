@@ -6,7 +6,9 @@
 import { calculateWinRate } from './winRateCalculator';
 import {
   calculateMaxDrawdown,
+  calculateSharpeRatio,
   calculateSortinoRatio,
+  calculateVolatility,
   calculateAnnualReturn,
   calculateMaxRise,
   calculateDailyTradeRate,
@@ -22,17 +24,84 @@ import {
   calculateBenchmarkVolatility,
   calculateExcessReturnMaxDrawdown
 } from './benchmarkMetrics';
+import { ALIGNMENT_MODES, alignStrategyAndBenchmark } from './seriesAlignment';
+import { calculateRiskMetrics } from './riskMetrics';
+import { MATCHING_METHODS } from './tradeMatcher';
+import { DEFAULT_CONVENTIONS, resolveConventions, toBasisReturns } from './conventions';
+
+export {
+  ANNUALIZATION_BASES,
+  RETURN_BASES,
+  DEFINITION_SETS,
+  DEFAULT_CONVENTIONS,
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_NAME,
+  describeConventions,
+  parseRiskFreeSeries
+} from './conventions';
+export { ALIGNMENT_MODES, alignStrategyAndBenchmark, alignBenchmarkToDates, describeAlignment } from './seriesAlignment';
+export { ROLLING_WINDOWS, calculateRollingMetrics } from './rollingMetrics';
+export { MATCHING_METHODS, deriveOpeningPositions, matchRoundTrips, summarizeTrades, summarizeTradesByStock } from './tradeMatcher';
+export { calculatePositionBook, valuePosition } from './positionPnL';
+export {
+  PERFORMANCE_BASES,
+  identifyCashFlows,
+  calculateTwrReturns,
+  calculateMwrReturns,
+  calculateXirr,
+  summarizeReturns,
+  applyPerformanceBasis
+} from './returnsEngine';
+export {
+  DRAWDOWN_SERIES,
+  DEFAULT_EPISODE_LIMIT,
+  calculateUnderwaterSeries,
+  findDrawdownEpisodes,
+  calculateDrawdownAnalysis
+} from './drawdownAnalysis';
+export {
+  RETURN_LAYERS,
+  compoundByMonth,
+  compoundByYear,
+  calculateMonthlyReturns
+} from './monthlyReturns';
+export {
+  DISTRIBUTION_PERCENTILES,
+  DEFAULT_HISTOGRAM_BINS,
+  normalQuantile,
+  describeReturns,
+  calculateQqPoints,
+  calculateReturnDistribution
+} from './returnDistribution';
 
 /**
  * Calculate all additional metrics
  * @param {Object} performance - Performance data object
  * @param {Object} benchmarkData - Benchmark data object
  * @param {Array} transactions - Array of transactions
+ * @param {Object} options - {
+ *   alignment: ALIGNMENT_MODES value for joining strategy and benchmark dates,
+ *   conventions: metric conventions (risk-free rate, annualization, return basis, definitions),
+ *   matching: MATCHING_METHODS value for pairing sells with buys in the trade win rate,
+ *   openingPositions: positions held before the range, matched ahead of any buy (see deriveOpeningPositions)
+ * }
  * @returns {Object} All calculated metrics
  */
-export const calculateAllMetrics = (performance, benchmarkData, transactions) => {
+export const calculateAllMetrics = (
+  performance,
+  benchmarkData,
+  transactions,
+  {
+    alignment = ALIGNMENT_MODES.FFILL,
+    conventions = DEFAULT_CONVENTIONS,
+    matching = MATCHING_METHODS.FIFO,
+    openingPositions = []
+  } = {}
+) => {
   if (!performance) {
     return {
+      sharpe: 0,
+      volatility: 0,
       informationRatio: 0,
       maxRise: 0,
       dailyTradeRate: 0,
@@ -56,7 +125,9 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
       excessReturn: 0,
       avgDailyExcessReturn: 0,
       benchmarkVolatility: 0,
-      excessReturnMaxDrawdown: 0
+      excessReturnMaxDrawdown: 0,
+      benchmarkAlignment: null,
+      riskMetrics: calculateRiskMetrics([], 0, 0)
     };
   }
 
@@ -67,6 +138,9 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
     const cumulativeReturns = performance.daily_performances.map(d => d.cumulative_return || 0);
     const dailyReturns = performance.daily_performances.map(d => d.daily_return || 0);
     const tradingDays = performance.daily_performances.length;
+    const conv = resolveConventions(conventions, performance.daily_performances.map(d => d.trade_date));
+    // Dispersion-based ratios use the conventions' return basis
+    const statReturns = toBasisReturns(dailyReturns, conv);
 
     // Max Rise
     result.maxRise = calculateMaxRise(cumulativeReturns);
@@ -75,16 +149,18 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
     result.dailyTradeRate = calculateDailyTradeRate(performance.total_trades || 0, tradingDays);
 
     // Annual Return
-    result.annualReturn = calculateAnnualReturn(performance.total_return || 0, tradingDays);
+    result.annualReturn = calculateAnnualReturn(performance.total_return || 0, tradingDays, conv);
 
     // Max Drawdown with date range (enable debug logging)
-    const drawdownMetrics = calculateMaxDrawdown(performance.daily_performances, false);
+    const drawdownMetrics = calculateMaxDrawdown(performance.daily_performances, false, conv);
     result.maxDrawdown = drawdownMetrics.maxDrawdown;
     result.maxDrawdownPeakDate = drawdownMetrics.maxDrawdownPeakDate;
     result.maxDrawdownTroughDate = drawdownMetrics.maxDrawdownTroughDate;
 
-    // Sortino Ratio
-    result.sortino = calculateSortinoRatio(dailyReturns);
+    // Sharpe, Sortino and volatility under the selected conventions
+    result.sharpe = calculateSharpeRatio(statReturns, conv);
+    result.sortino = calculateSortinoRatio(statReturns, conv);
+    result.volatility = calculateVolatility(statReturns, conv);
 
     // Daily Win Rate (JoinQuant standard - based on daily returns)
     result.dailyWinRate = calculateDailyWinRate(dailyReturns);
@@ -94,6 +170,9 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
     result.profitLossRatio = plRatioMetrics.profitLossRatio;
     result.winningDaysCount = plRatioMetrics.winningDaysCount;
     result.losingDaysCount = plRatioMetrics.losingDaysCount;
+
+    // Extended risk set (Calmar, VaR/CVaR, Omega, moments, tail ratio, best/worst periods)
+    result.riskMetrics = calculateRiskMetrics(performance.daily_performances, result.annualReturn, result.maxDrawdown, conv);
   } else {
     result.maxRise = 0;
     result.dailyTradeRate = 0;
@@ -101,15 +180,18 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
     result.maxDrawdown = 0;
     result.maxDrawdownPeakDate = null;
     result.maxDrawdownTroughDate = null;
+    result.sharpe = 0;
     result.sortino = 0;
+    result.volatility = 0;
     result.dailyWinRate = 0;
     result.profitLossRatio = 0;
     result.winningDaysCount = 0;
     result.losingDaysCount = 0;
+    result.riskMetrics = calculateRiskMetrics([], 0, 0);
   }
 
   // Trade-based win rate (for 盈亏次数)
-  const tradeWinRateMetrics = calculateWinRate(transactions);
+  const tradeWinRateMetrics = calculateWinRate(transactions, matching, openingPositions);
   result.tradeWinRate = tradeWinRateMetrics.winRate;
   result.winningTradesCount = tradeWinRateMetrics.winningTradesCount;
   result.losingTradesCount = tradeWinRateMetrics.losingTradesCount;
@@ -128,27 +210,32 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
 
   // Calculate Alpha, Beta, and Information Ratio vs Benchmark
   if (benchmarkData && benchmarkData.data && performance.daily_performances) {
-    const strategyReturns = performance.daily_performances.map(d => d.daily_return || 0);
-    const benchmarkReturns = benchmarkData.data.map(d => parseFloat(d.daily_return) || 0);
+    // Pair the two series by trade date, not by array index
+    const aligned = alignStrategyAndBenchmark(performance.daily_performances, benchmarkData, alignment);
+    const { strategyReturns, benchmarkReturns } = aligned;
+    result.benchmarkAlignment = aligned.report;
+    const conv = resolveConventions(conventions, aligned.dates);
+    const strategyStatReturns = toBasisReturns(strategyReturns, conv);
+    const benchmarkStatReturns = toBasisReturns(benchmarkReturns, conv);
 
     // Benchmark cumulative return
     result.benchmarkReturn = calculateBenchmarkReturn(benchmarkReturns);
 
-    // Alpha & Beta (with risk-free rate = 3%)
+    // Alpha & Beta (risk-free rate and definition from the conventions)
     // Note: performance.total_return is in percentage (e.g., 11.87 for 11.87%), convert to decimal
     const totalStrategyReturnDecimal = (performance.total_return || 0) / 100;
     const alphaBeta = calculateAlphaBeta(
-      strategyReturns,
-      benchmarkReturns,
+      strategyStatReturns,
+      benchmarkStatReturns,
       totalStrategyReturnDecimal,
       result.benchmarkReturn,
-      0.03  // 3% risk-free rate
+      conv
     );
     result.alpha = alphaBeta.alpha;
     result.beta = alphaBeta.beta;
 
-    // Information Ratio (annualized with √252)
-    result.informationRatio = calculateInformationRatio(strategyReturns, benchmarkReturns);
+    // Information Ratio (annualized with √periods per year)
+    result.informationRatio = calculateInformationRatio(strategyStatReturns, benchmarkStatReturns, conv);
 
     // Excess Returns (Strategy - Benchmark)
     // Note: performance.total_return is in percentage, convert to decimal
@@ -158,10 +245,10 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
     result.avgDailyExcessReturn = calculateAvgDailyExcessReturn(strategyReturns, benchmarkReturns);
 
     // Benchmark Volatility (annualized)
-    result.benchmarkVolatility = calculateBenchmarkVolatility(benchmarkReturns);
+    result.benchmarkVolatility = calculateBenchmarkVolatility(benchmarkStatReturns, conv);
 
     // Maximum Drawdown of Excess Returns
-    result.excessReturnMaxDrawdown = calculateExcessReturnMaxDrawdown(strategyReturns, benchmarkReturns);
+    result.excessReturnMaxDrawdown = calculateExcessReturnMaxDrawdown(strategyReturns, benchmarkReturns, conv);
   } else {
     result.benchmarkReturn = 0;
     result.alpha = 0;
@@ -171,6 +258,7 @@ export const calculateAllMetrics = (performance, benchmarkData, transactions) =>
     result.avgDailyExcessReturn = 0;
     result.benchmarkVolatility = 0;
     result.excessReturnMaxDrawdown = 0;
+    result.benchmarkAlignment = null;
   }
 
   return result;
@@ -0,0 +1,102 @@
+/**
+ * Monthly Returns
+ * Month x year return table for strategy, benchmark and excess returns, compounded
+ * from daily returns, with annual totals
+ */
+
+import { DEFAULT_CONVENTIONS, DEFINITION_SETS } from './conventions';
+import { ALIGNMENT_MODES, alignStrategyAndBenchmark } from './seriesAlignment';
+
+export const RETURN_LAYERS = {
+  STRATEGY: 'strategy',
+  BENCHMARK: 'benchmark',
+  EXCESS: 'excess'
+};
+
+const monthOf = (date) => String(date).slice(0, 7);
+
+/**
+ * Compound daily returns into calendar months
+ * @param {Array} dates - Trade dates (YYYY-MM-DD), one per return
+ * @param {Array} returns - Daily returns as decimals
+ * @returns {Object} { 'YYYY-MM': return } as decimal
+ */
+export const compoundByMonth = (dates, returns) => {
+  const growth = {};
+  (dates || []).forEach((date, i) => {
+    const month = monthOf(date);
+    growth[month] = (growth[month] || 1) * (1 + (returns[i] || 0));
+  });
+  return Object.fromEntries(Object.entries(growth).map(([month, g]) => [month, g - 1]));
+};
+
+/**
+ * Compound monthly returns into calendar years
+ * @param {Object} monthly - { 'YYYY-MM': return } from compoundByMonth
+ * @returns {Object} { 'YYYY': return } as decimal
+ */
+export const compoundByYear = (monthly) => {
+  const growth = {};
+  Object.entries(monthly || {}).forEach(([month, r]) => {
+    const year = month.slice(0, 4);
+    growth[year] = (growth[year] || 1) * (1 + r);
+  });
+  return Object.fromEntries(Object.entries(growth).map(([year, g]) => [year, g - 1]));
+};
+
+// Excess of strategy over benchmark: relative for standard definitions, difference for JoinQuant
+const excessOf = (strategy, benchmark, standard) =>
+  standard ? (1 + strategy) / (1 + benchmark) - 1 : strategy - benchmark;
+
+/**
+ * Calculate the monthly returns table
+ * Benchmark and excess layers use only the dates where the benchmark lines up with the
+ * strategy (see alignStrategyAndBenchmark); excess months and years compare the two
+ * compounded returns.
+ * @param {Array} dailyPerformances - Array of { trade_date, daily_return }
+ * @param {Object} benchmarkData - Benchmark data object (optional)
+ * @param {Object} options - { alignment, conventions }
+ * @returns {Object} { years: ['YYYY', ...], layers: { strategy, benchmark, excess } } where each
+ *   layer is { monthly: { 'YYYY-MM': r }, yearly: { 'YYYY': r } } (benchmark / excess null without a benchmark)
+ */
+export const calculateMonthlyReturns = (
+  dailyPerformances,
+  benchmarkData,
+  { alignment = ALIGNMENT_MODES.FFILL, conventions = DEFAULT_CONVENTIONS } = {}
+) => {
+  const days = dailyPerformances || [];
+  const strategyMonthly = compoundByMonth(days.map(d => d.trade_date), days.map(d => d.daily_return || 0));
+  const layers = {
+    [RETURN_LAYERS.STRATEGY]: { monthly: strategyMonthly, yearly: compoundByYear(strategyMonthly) },
+    [RETURN_LAYERS.BENCHMARK]: null,
+    [RETURN_LAYERS.EXCESS]: null
+  };
+  const years = [...new Set(Object.keys(strategyMonthly).map(m => m.slice(0, 4)))].sort();
+
+  if (!benchmarkData || !benchmarkData.data || days.length === 0) {
+    return { years, layers };
+  }
+  const { dates, strategyReturns, benchmarkReturns } = alignStrategyAndBenchmark(days, benchmarkData, alignment);
+  if (dates.length === 0) {
+    return { years, layers };
+  }
+
+  const standard = conventions.definitions === DEFINITION_SETS.STANDARD;
+  const pairedStrategy = compoundByMonth(dates, strategyReturns);
+  const pairedStrategyYearly = compoundByYear(pairedStrategy);
+  const benchmarkMonthly = compoundByMonth(dates, benchmarkReturns);
+  const benchmarkYearly = compoundByYear(benchmarkMonthly);
+
+  const excessMonthly = Object.fromEntries(Object.keys(benchmarkMonthly).map(month => [
+    month,
+    excessOf(pairedStrategy[month], benchmarkMonthly[month], standard)
+  ]));
+  const excessYearly = Object.fromEntries(Object.keys(benchmarkYearly).map(year => [
+    year,
+    excessOf(pairedStrategyYearly[year], benchmarkYearly[year], standard)
+  ]));
+
+  layers[RETURN_LAYERS.BENCHMARK] = { monthly: benchmarkMonthly, yearly: benchmarkYearly };
+  layers[RETURN_LAYERS.EXCESS] = { monthly: excessMonthly, yearly: excessYearly };
+  return { years, layers };
+};
@@ -2,13 +2,28 @@
  * Performance Metrics Calculation Utilities
  */
 
+import {
+  DEFAULT_CONVENTIONS,
+  DEFINITION_SETS,
+  ANNUALIZATION_BASES,
+  resolveConventions,
+  riskFreeAt,
+  mean,
+  stdDev
+} from './conventions';
+
+const isStandard = (conv) => conv.definitions === DEFINITION_SETS.STANDARD;
+
 /**
- * Calculate maximum drawdown from cumulative returns (percentage-based)
+ * Calculate maximum drawdown from cumulative returns
+ * JoinQuant: percentage-point drop in cumulative return; standard: drop in net value
+ * relative to its peak, (1 + cum) / (1 + peak) - 1
  * @param {Array} dailyPerformances - Array of daily performance data
  * @param {boolean} debug - Enable debug logging
+ * @param {Object} conv - Metric conventions
  * @returns {Object} Max drawdown metrics including maxDrawdown, peak date, and trough date
  */
-export const calculateMaxDrawdown = (dailyPerformances, debug = false) => {
+export const calculateMaxDrawdown = (dailyPerformances, debug = false, conv = DEFAULT_CONVENTIONS) => {
   if (!dailyPerformances || dailyPerformances.length === 0) {
     return {
       maxDrawdown: 0,
@@ -42,8 +57,10 @@ export const calculateMaxDrawdown = (dailyPerformances, debug = false) => {
       peakIdx = i;
     }
 
-    // Calculate drawdown from current peak (percentage point difference)
-    const drawdown = currentReturn - peakReturn; // Negative value in percentage points
+    // Calculate drawdown from current peak (negative)
+    const drawdown = isStandard(conv)
+      ? (1 + currentReturn) / (1 + peakReturn) - 1
+      : currentReturn - peakReturn; // percentage points
     const drawdownPercent = drawdown * 100;
 
     if (debug) {
@@ -75,17 +92,65 @@ export const calculateMaxDrawdown = (dailyPerformances, debug = false) => {
   };
 };
 
+/**
+ * Calculate annualized volatility
+ * @param {Array} dailyReturns - Array of daily returns (in the conventions' return basis)
+ * @param {Object} conv - Resolved conventions (see resolveConventions)
+ * @returns {number} Annualized volatility as decimal
+ */
+export const calculateVolatility = (dailyReturns, conv = resolveConventions()) => {
+  if (!dailyReturns || dailyReturns.length < 2) {
+    return 0;
+  }
+  return stdDev(dailyReturns, conv) * Math.sqrt(conv.periodsPerYear);
+};
+
+/**
+ * Calculate Sharpe Ratio
+ * JoinQuant: (annualized mean return - Rf) / annualized volatility
+ * Standard: mean(daily excess over Rf) / std(daily excess) × √periods
+ * @param {Array} dailyReturns - Array of daily returns (in the conventions' return basis)
+ * @param {Object} conv - Resolved conventions (see resolveConventions)
+ * @returns {number} Sharpe ratio
+ */
+export const calculateSharpeRatio = (dailyReturns, conv = resolveConventions()) => {
+  if (!dailyReturns || dailyReturns.length < 2) {
+    return 0;
+  }
+
+  if (isStandard(conv)) {
+    const excess = dailyReturns.map((r, i) => r - riskFreeAt(conv, i));
+    const sd = stdDev(excess, conv);
+    return sd > 0 ? (mean(excess) / sd) * Math.sqrt(conv.periodsPerYear) : 0;
+  }
+
+  const volatility = calculateVolatility(dailyReturns, conv);
+  return volatility > 0 ? (mean(dailyReturns) * conv.periodsPerYear - conv.annualRiskFree) / volatility : 0;
+};
+
 /**
  * Calculate Sortino Ratio (uses downside deviation)
- * @param {Array} dailyReturns - Array of daily returns
- * @param {number} riskFreeRate - Annual risk-free rate (default 0.03 for 3%)
+ * JoinQuant: downside deviation over the losing days only, against an annual Rf
+ * Standard: downside deviation below the daily Rf over all days
+ * @param {Array} dailyReturns - Array of daily returns (in the conventions' return basis)
+ * @param {Object} conv - Resolved conventions (see resolveConventions)
  * @returns {number} Sortino ratio
  */
-export const calculateSortinoRatio = (dailyReturns, riskFreeRate = 0.03) => {
+export const calculateSortinoRatio = (dailyReturns, conv = resolveConventions()) => {
   if (!dailyReturns || dailyReturns.length === 0) {
     return 0;
   }
 
+  const periods = conv.periodsPerYear;
+
+  if (isStandard(conv)) {
+    const excess = dailyReturns.map((r, i) => r - riskFreeAt(conv, i));
+    const downsideStd = Math.sqrt(
+      excess.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / excess.length
+    ) * Math.sqrt(periods);
+    return downsideStd > 0 ? (mean(excess) * periods) / downsideStd : 0;
+  }
+
   const negativeReturns = dailyReturns.filter(r => r < 0);
   if (negativeReturns.length === 0) {
     return 0;
@@ -93,12 +158,12 @@ export const calculateSortinoRatio = (dailyReturns, riskFreeRate = 0.03) => {
 
   const downsideStd = Math.sqrt(
     negativeReturns.reduce((sum, r) => sum + r * r, 0) / negativeReturns.length
-  ) * Math.sqrt(252);
+  ) * Math.sqrt(periods);
 
-  const avgReturn = dailyReturns.reduce((sum, r) => sum + r, 0) / dailyReturns.length * 252;
+  const avgReturn = mean(dailyReturns) * periods;
 
   if (downsideStd > 0) {
-    return (avgReturn - riskFreeRate) / downsideStd;
+    return (avgReturn - conv.annualRiskFree) / downsideStd;
   }
 
   return 0;
@@ -108,9 +173,10 @@ export const calculateSortinoRatio = (dailyReturns, riskFreeRate = 0.03) => {
  * Calculate annualized return
  * @param {number} totalReturn - Total return in percentage format from API (e.g., 1.92 for 1.92%)
  * @param {number} tradingDays - Number of trading days
+ * @param {Object} conv - Resolved conventions; calendar basis uses the elapsed calendar years
  * @returns {number} Annualized return as decimal
  */
-export const calculateAnnualReturn = (totalReturn, tradingDays) => {
+export const calculateAnnualReturn = (totalReturn, tradingDays, conv = resolveConventions()) => {
   if (!tradingDays || tradingDays === 0) {
     return 0;
   }
@@ -123,7 +189,9 @@ export const calculateAnnualReturn = (totalReturn, tradingDays) => {
     return 0;
   }
 
-  const years = tradingDays / 252; // 252 trading days per year
+  const years = conv.annualization === ANNUALIZATION_BASES.CALENDAR && conv.years > 0
+    ? conv.years
+    : tradingDays / conv.periodsPerYear;
   
   // Handle edge case of very short trading period (< 5 days)
   if (tradingDays < 5) {
@@ -0,0 +1,104 @@
+/**
+ * Position Cost Basis and P&L
+ * Average cost, realized / unrealized P&L and holding days per position, replayed
+ * from the transaction history with the round-trip matcher
+ */
+
+import { MATCHING_METHODS, matchRoundTrips } from './tradeMatcher';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const txDay = (tx) => String(tx.execution_datetime || tx.trade_date).slice(0, 10);
+
+/**
+ * Build the position book as of a date
+ * Open lots give each position's remaining cost and holding days; round trips closed
+ * on or before the date give realized P&L. Codes that were fully closed still appear,
+ * with quantity 0, so their realized P&L counts in the total.
+ * @param {Array} transactions - Transactions in the range
+ * @param {string} asOfDate - 'YYYY-MM-DD'; later transactions are ignored (none when omitted; holding days then run to today)
+ * @param {string} method - MATCHING_METHODS value
+ * @param {Array} openingPositions - Positions held before the range (see deriveOpeningPositions)
+ * @returns {Object} {
+ *   byCode: { [code]: { code, quantity, cost, avgCost, realizedPnl, holdingDays, inferredCost } },
+ *   realizedPnl
+ * }
+ */
+export const calculatePositionBook = (
+  transactions,
+  asOfDate,
+  method = MATCHING_METHODS.FIFO,
+  openingPositions = []
+) => {
+  const day = asOfDate ? String(asOfDate).slice(0, 10) : null;
+  const inRange = (transactions || []).filter(tx => !day || txDay(tx) <= day);
+  const opening = (openingPositions || []).filter(p => !day || String(p.date).slice(0, 10) <= day);
+  const { trips, openLots } = matchRoundTrips(inRange, method, opening);
+  const asOf = day ? Date.parse(day) : Date.now();
+
+  const byCode = {};
+  const entryFor = (code) => byCode[code] || (byCode[code] = {
+    code, quantity: 0, cost: 0, avgCost: null, realizedPnl: 0, holdingDays: null, inferredCost: false
+  });
+
+  Object.entries(openLots).forEach(([code, lots]) => {
+    const entry = entryFor(code);
+    let weightedDays = 0;
+    lots.forEach(lot => {
+      entry.quantity += lot.quantity;
+      entry.cost += lot.cost;
+      weightedDays += lot.quantity * Math.round((asOf - Date.parse(String(lot.date).slice(0, 10))) / MS_PER_DAY);
+      if (lot.inferred) entry.inferredCost = true;
+    });
+    if (entry.quantity > 0) {
+      entry.avgCost = entry.cost / entry.quantity;
+      entry.holdingDays = weightedDays / entry.quantity;
+    }
+  });
+
+  trips.forEach(trip => {
+    entryFor(trip.code).realizedPnl += trip.pnl;
+  });
+
+  return {
+    byCode,
+    realizedPnl: trips.reduce((sum, trip) => sum + trip.pnl, 0)
+  };
+};
+
+/**
+ * Value one held position against the book
+ * Cost is the book's average cost times the quantity actually held, so a holding that
+ * differs from the replayed quantity is still priced per share.
+ * @param {Object} book - From calculatePositionBook
+ * @param {string} code - Stock code
+ * @param {number} quantity - Shares held
+ * @param {number} marketValue - Current market value
+ * @returns {Object} { avgCost, cost, unrealizedPnl, unrealizedPct, realizedPnl, holdingDays, inferredCost }
+ *   (cost fields null when the book has no open lots for the code)
+ */
+export const valuePosition = (book, code, quantity, marketValue) => {
+  const entry = book && book.byCode[code];
+  if (!entry || entry.avgCost == null) {
+    return {
+      avgCost: null,
+      cost: null,
+      unrealizedPnl: null,
+      unrealizedPct: null,
+      realizedPnl: entry ? entry.realizedPnl : 0,
+      holdingDays: null,
+      inferredCost: false
+    };
+  }
+  const cost = entry.avgCost * (Number(quantity) || 0);
+  const unrealizedPnl = (Number(marketValue) || 0) - cost;
+  return {
+    avgCost: entry.avgCost,
+    cost,
+    unrealizedPnl,
+    unrealizedPct: cost > 0 ? unrealizedPnl / cost : null,
+    realizedPnl: entry.realizedPnl,
+    holdingDays: entry.holdingDays,
+    inferredCost: entry.inferredCost
+  };
+};
@@ -0,0 +1,147 @@
+/**
+ * Return Distribution
+ * Histogram, fitted normal curve, QQ points and tail percentiles of daily returns for the
+ * strategy and the benchmark, to judge fat tails against a normal assumption
+ */
+
+import { DEFAULT_CONVENTIONS, toBasisReturns, mean, stdDev } from './conventions';
+import { percentile, calculateMoments } from './riskMetrics';
+import { ALIGNMENT_MODES, alignStrategyAndBenchmark } from './seriesAlignment';
+
+export const DISTRIBUTION_PERCENTILES = [0.01, 0.05, 0.95, 0.99];
+
+export const DEFAULT_HISTOGRAM_BINS = 40;
+
+const normalPdf = (z) => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+/**
+ * Standard normal quantile (inverse CDF), Acklam's rational approximation
+ * Relative error below 1.2e-9 over (0, 1).
+ * @param {number} p - Probability, 0 < p < 1
+ * @returns {number} z such that P(Z <= z) = p
+ */
+export const normalQuantile = (p) => {
+  if (!(p > 0 && p < 1)) {
+    return p <= 0 ? -Infinity : Infinity;
+  }
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Summary statistics of a return sample
+ * @param {Array} returns - Daily returns
+ * @param {Object} conv - Conventions (std definition)
+ * @returns {Object} { count, mean, std, skewness, kurtosis, percentiles: { 0.01: r, ... }, sorted }
+ */
+export const describeReturns = (returns, conv = DEFAULT_CONVENTIONS) => {
+  const sorted = [...(returns || [])].sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, mean: 0, std: 0, skewness: 0, kurtosis: 0, percentiles: {}, sorted };
+  }
+  return {
+    count: sorted.length,
+    mean: mean(sorted),
+    std: stdDev(sorted, conv),
+    ...calculateMoments(sorted),
+    percentiles: Object.fromEntries(DISTRIBUTION_PERCENTILES.map(p => [p, percentile(sorted, p)])),
+    sorted
+  };
+};
+
+/**
+ * QQ points against a normal with the sample's mean and std
+ * Plotting positions (i + 0.5) / n; points on y = x mean the sample looks normal there.
+ * @param {Object} stats - From describeReturns
+ * @returns {Array} [{ theoretical, actual }]
+ */
+export const calculateQqPoints = (stats) => {
+  const n = stats.count;
+  return stats.sorted.map((actual, i) => ({
+    theoretical: stats.mean + stats.std * normalQuantile((i + 0.5) / n),
+    actual
+  }));
+};
+
+/**
+ * Return distribution for the strategy and, with a benchmark, the date-aligned benchmark
+ * Histogram bins share one range so the two overlay; heights are % of each sample's days
+ * and the normal curve (fitted to the strategy) is the % of days it expects per bin.
+ * Returns follow the conventions' return basis.
+ * @param {Array} dailyPerformances - Array of { trade_date, daily_return }
+ * @param {Object} benchmarkData - Benchmark data object (optional)
+ * @param {Object} options - { alignment, conventions, bins }
+ * @returns {Object} { strategy, benchmark, histogram: [{ from, to, center, strategy, benchmark, normal }],
+ *   qq: { strategy, benchmark } } (benchmark entries null without a benchmark)
+ */
+export const calculateReturnDistribution = (
+  dailyPerformances,
+  benchmarkData,
+  { alignment = ALIGNMENT_MODES.FFILL, conventions = DEFAULT_CONVENTIONS, bins = DEFAULT_HISTOGRAM_BINS } = {}
+) => {
+  const days = dailyPerformances || [];
+  const strategy = describeReturns(toBasisReturns(days.map(d => d.daily_return || 0), conventions), conventions);
+
+  let benchmark = null;
+  if (benchmarkData && benchmarkData.data && days.length > 0) {
+    const { benchmarkReturns } = alignStrategyAndBenchmark(days, benchmarkData, alignment);
+    if (benchmarkReturns.length > 0) {
+      benchmark = describeReturns(toBasisReturns(benchmarkReturns, conventions), conventions);
+    }
+  }
+
+  if (strategy.count === 0) {
+    return { strategy, benchmark, histogram: [], qq: { strategy: [], benchmark: null } };
+  }
+
+  const all = benchmark ? [...strategy.sorted, ...benchmark.sorted] : strategy.sorted;
+  const min = Math.min(...all);
+  const max = Math.max(...all);
+  const binCount = max > min ? bins : 1;
+  const width = max > min ? (max - min) / binCount : 1;
+
+  const histogram = Array.from({ length: binCount }, (_, i) => {
+    const from = min + i * width;
+    const center = from + width / 2;
+    return {
+      from,
+      to: from + width,
+      center,
+      strategy: 0,
+      benchmark: benchmark ? 0 : null,
+      normal: strategy.std > 0 ? normalPdf((center - strategy.mean) / strategy.std) / strategy.std * width * 100 : null
+    };
+  });
+  // Last bin is closed on the right so the maximum lands in it
+  const binOf = (r) => Math.min(binCount - 1, Math.floor((r - min) / width));
+  strategy.sorted.forEach(r => { histogram[binOf(r)].strategy += 100 / strategy.count; });
+  if (benchmark) {
+    benchmark.sorted.forEach(r => { histogram[binOf(r)].benchmark += 100 / benchmark.count; });
+  }
+
+  return {
+    strategy,
+    benchmark,
+    histogram,
+    qq: {
+      strategy: calculateQqPoints(strategy),
+      benchmark: benchmark ? calculateQqPoints(benchmark) : null
+    }
+  };
+};
@@ -0,0 +1,214 @@
+/**
+ * Flow-Adjusted Returns
+ * Separates external cash flows (deposits / withdrawals) from trading cash and computes
+ * time-weighted (TWR) and money-weighted (XIRR) returns, so capital injections do not
+ * show up as performance
+ */
+
+export const PERFORMANCE_BASES = {
+  REPORTED: 'reported',
+  TWR: 'twr',
+  MWR: 'mwr'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Cash moves smaller than this (¥) are treated as rounding, not an external flow
+const EXTERNAL_FLOW_TOLERANCE = 1;
+
+const dayOf = (tx) => String(tx.trade_date || tx.execution_datetime).slice(0, 10);
+
+const yearsBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / MS_PER_DAY / 365;
+
+/**
+ * Split each day's cash change into trading cash and external flows
+ * Trading cash is +net_amount for sells and -net_amount for buys; whatever else moved the
+ * cash balance is external (deposits positive, withdrawals negative). The first day has
+ * no previous balance, so its external flow is 0.
+ * Note: dividends and other non-trade income also land in the external flow.
+ * @param {Array} dailyValues - Array of { date, value, cash } (total value and cash balance)
+ * @param {Array} transactions - Transactions covering the same dates
+ * @returns {Array} [{ date, value, cash, tradeFlow, externalFlow }]
+ */
+export const identifyCashFlows = (dailyValues, transactions) => {
+  if (!dailyValues || dailyValues.length === 0) {
+    return [];
+  }
+
+  const tradeFlowByDate = {};
+  (transactions || []).forEach(tx => {
+    const action = String(tx.action).toLowerCase();
+    const amount = Number(tx.net_amount) || 0;
+    const date = dayOf(tx);
+    if (action === 'buy') tradeFlowByDate[date] = (tradeFlowByDate[date] || 0) - amount;
+    else if (action === 'sell') tradeFlowByDate[date] = (tradeFlowByDate[date] || 0) + amount;
+  });
+
+  return dailyValues.map((d, i) => {
+    const tradeFlow = tradeFlowByDate[d.date] || 0;
+    let externalFlow = 0;
+    if (i > 0 && d.cash != null && dailyValues[i - 1].cash != null) {
+      const residual = (d.cash - dailyValues[i - 1].cash) - tradeFlow;
+      externalFlow = Math.abs(residual) >= EXTERNAL_FLOW_TOLERANCE ? residual : 0;
+    }
+    return { date: d.date, value: d.value || 0, cash: d.cash, tradeFlow, externalFlow };
+  });
+};
+
+/**
+ * Calculate time-weighted daily returns
+ * Formula: r_t = (V_t - F_t) / V_{t-1} - 1, i.e. flows are assumed to arrive at the close
+ * @param {Array} flows - From identifyCashFlows
+ * @returns {Array} Daily returns (first day 0)
+ */
+export const calculateTwrReturns = (flows) => {
+  return (flows || []).map((d, i) => {
+    if (i === 0) return 0;
+    const previous = flows[i - 1].value;
+    return previous > 0 ? (d.value - d.externalFlow) / previous - 1 : 0;
+  });
+};
+
+// Rate solving Σ amount_i / (1 + rate)^(times_i) = 0: Newton's method, then bisection if Newton fails
+const solveRate = (flows, times) => {
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, times[i]), 0);
+  const dNpv = (rate) => flows.reduce((sum, f, i) => sum - times[i] * f.amount / Math.pow(1 + rate, times[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = dNpv(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+    const next = rate - value / slope;
+    if (next <= -1 || !Number.isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  // Bisection over a wide bracket
+  let low = -0.9999;
+  let high = 100;
+  if (npv(low) * npv(high) > 0) {
+    return null;
+  }
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid;
+    else low = mid;
+    if (high - low < 1e-10) break;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Calculate XIRR (annualized money-weighted return)
+ * @param {Array} cashflows - Array of { date, amount } from the investor's side (contributions negative)
+ * @param {number} periodYears - Express the rate per this many years instead (default 1 = annual)
+ * @returns {number|null} Rate as decimal, or null when there is no sign change / no solution
+ */
+export const calculateXirr = (cashflows, periodYears = 1) => {
+  const flows = (cashflows || []).filter(f => f.amount !== 0);
+  if (flows.length < 2 || !flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0) || !(periodYears > 0)) {
+    return null;
+  }
+  const start = flows[0].date;
+  return solveRate(flows, flows.map(f => yearsBetween(start, f.date) / periodYears));
+};
+
+// Investor-side cash flows for the window flows[0..end]: start value in, external flows in/out, end value out
+const xirrCashflows = (flows, end) => {
+  const cashflows = [{ date: flows[0].date, amount: -flows[0].value }];
+  for (let i = 1; i <= end; i++) {
+    if (flows[i].externalFlow !== 0) cashflows.push({ date: flows[i].date, amount: -flows[i].externalFlow });
+  }
+  cashflows.push({ date: flows[end].date, amount: flows[end].value });
+  return cashflows;
+};
+
+/**
+ * Calculate money-weighted daily returns
+ * The cumulative money-weighted return on day t is the XIRR from the first day to t,
+ * expressed over that span; daily returns are the steps between consecutive days.
+ * @param {Array} flows - From identifyCashFlows
+ * @returns {Array} Daily returns (first day 0)
+ */
+export const calculateMwrReturns = (flows) => {
+  if (!flows || flows.length === 0) {
+    return [];
+  }
+  let previousGrowth = 1;
+  return flows.map((d, i) => {
+    if (i === 0) return 0;
+    const rate = calculateXirr(xirrCashflows(flows, i), yearsBetween(flows[0].date, d.date));
+    const growth = rate == null ? previousGrowth : 1 + rate;
+    const daily = growth / previousGrowth - 1;
+    previousGrowth = growth;
+    return daily;
+  });
+};
+
+/**
+ * Summarize returns over the whole range under each basis
+ * @param {Array} flows - From identifyCashFlows
+ * @returns {Object} { twr, xirr, mwr, deposits, withdrawals, netExternalFlow, startValue, endValue, pnl }
+ *   twr and mwr are cumulative over the range; xirr is annualized (null if unsolvable)
+ */
+export const summarizeReturns = (flows) => {
+  if (!flows || flows.length === 0) {
+    return { twr: 0, xirr: null, mwr: 0, deposits: 0, withdrawals: 0, netExternalFlow: 0, startValue: 0, endValue: 0, pnl: 0 };
+  }
+  const last = flows.length - 1;
+  const deposits = flows.reduce((sum, d) => sum + Math.max(d.externalFlow, 0), 0);
+  const withdrawals = flows.reduce((sum, d) => sum + Math.min(d.externalFlow, 0), 0);
+  const cashflows = last > 0 ? xirrCashflows(flows, last) : [];
+  const periodReturn = calculateXirr(cashflows, yearsBetween(flows[0].date, flows[last].date));
+  const twr = calculateTwrReturns(flows).reduce((growth, r) => growth * (1 + r), 1) - 1;
+
+  return {
+    twr,
+    xirr: calculateXirr(cashflows),
+    mwr: periodReturn == null ? 0 : periodReturn,
+    deposits,
+    withdrawals,
+    netExternalFlow: deposits + withdrawals,
+    startValue: flows[0].value,
+    endValue: flows[last].value,
+    pnl: flows[last].value - flows[0].value - (deposits + withdrawals)
+  };
+};
+
+/**
+ * Re-base a performance object on flow-adjusted returns
+ * Replaces daily_return / cumulative_return in daily_performances (and total_return, in %)
+ * with the chosen basis, measured from the first day of the range, so every metric built
+ * on performance follows it. Dates without a value row keep a 0% day.
+ * @param {Object} performance - Performance data object (daily_performances with trade_date)
+ * @param {Array} flows - From identifyCashFlows
+ * @param {string} basis - PERFORMANCE_BASES value; REPORTED returns performance unchanged
+ * @returns {Object} Performance data object
+ */
+export const applyPerformanceBasis = (performance, flows, basis = PERFORMANCE_BASES.REPORTED) => {
+  if (!performance || !performance.daily_performances || basis === PERFORMANCE_BASES.REPORTED || !flows || flows.length === 0) {
+    return performance;
+  }
+
+  const returns = basis === PERFORMANCE_BASES.MWR ? calculateMwrReturns(flows) : calculateTwrReturns(flows);
+  const returnByDate = {};
+  flows.forEach((d, i) => {
+    returnByDate[d.date] = returns[i];
+  });
+
+  let growth = 1;
+  const dailyPerformances = performance.daily_performances.map(d => {
+    const dailyReturn = returnByDate[d.trade_date] || 0;
+    growth *= 1 + dailyReturn;
+    return { ...d, daily_return: dailyReturn, cumulative_return: growth - 1 };
+  });
+
+  return {
+    ...performance,
+    daily_performances: dailyPerformances,
+    total_return: (growth - 1) * 100,
+    performance_basis: basis
+  };
+};
@@ -0,0 +1,126 @@
+import {
+  PERFORMANCE_BASES,
+  identifyCashFlows,
+  calculateTwrReturns,
+  calculateXirr,
+  applyPerformanceBasis
+} from './returnsEngine';
+
+describe('calculateXirr', () => {
+  it('returns the annual rate for a one-year investment', () => {
+    const rate = calculateXirr([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2024-01-01', amount: 1100 }
+    ]);
+    expect(rate).toBeCloseTo(0.1, 8);
+  });
+
+  it('weights each contribution by how long it was invested', () => {
+    // 1000 for two years and 1000 for one year at 10%: 1210 + 1100
+    const rate = calculateXirr([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2024-01-01', amount: -1000 },
+      { date: '2025-01-01', amount: 2310 }
+    ]);
+    expect(rate).toBeCloseTo(0.1, 2);
+  });
+
+  it('expresses the rate per periodYears', () => {
+    const rate = calculateXirr([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2023-07-02', amount: 1050 }
+    ], 0.5);
+    expect(rate).toBeCloseTo(0.05, 2);
+  });
+
+  it('returns null without both a contribution and a payout', () => {
+    expect(calculateXirr([
+      { date: '2023-01-01', amount: -1000 },
+      { date: '2024-01-01', amount: -100 }
+    ])).toBeNull();
+    expect(calculateXirr([{ date: '2023-01-01', amount: -1000 }])).toBeNull();
+    expect(calculateXirr([])).toBeNull();
+  });
+});
+
+describe('calculateTwrReturns', () => {
+  it('removes external flows from the day they arrive', () => {
+    const returns = calculateTwrReturns([
+      { date: '2024-01-02', value: 1000, externalFlow: 0 },
+      { date: '2024-01-03', value: 1100, externalFlow: 0 },
+      { date: '2024-01-04', value: 2100, externalFlow: 1000 },
+      { date: '2024-01-05', value: 1890, externalFlow: 0 }
+    ]);
+    expect(returns[0]).toBe(0);
+    expect(returns[1]).toBeCloseTo(0.1, 10);
+    expect(returns[2]).toBeCloseTo(0, 10);
+    expect(returns[3]).toBeCloseTo(-0.1, 10);
+  });
+
+  it('treats a day after a zero value as flat', () => {
+    const returns = calculateTwrReturns([
+      { date: '2024-01-02', value: 0, externalFlow: 0 },
+      { date: '2024-01-03', value: 1000, externalFlow: 1000 }
+    ]);
+    expect(returns).toEqual([0, 0]);
+  });
+});
+
+describe('identifyCashFlows', () => {
+  it('separates a deposit from trading cash', () => {
+    const flows = identifyCashFlows(
+      [
+        { date: '2024-01-02', value: 1000, cash: 1000 },
+        { date: '2024-01-03', value: 1500, cash: 1000 }
+      ],
+      [{ trade_date: '2024-01-03', action: 'buy', net_amount: 500 }]
+    );
+    expect(flows[1].tradeFlow).toBe(-500);
+    expect(flows[1].externalFlow).toBe(500);
+  });
+});
+
+describe('applyPerformanceBasis', () => {
+  const performance = {
+    total_return: 110,
+    daily_performances: [
+      { trade_date: '2024-01-02', daily_return: 0, cumulative_return: 0 },
+      { trade_date: '2024-01-03', daily_return: 0.1, cumulative_return: 0.1 },
+      { trade_date: '2024-01-04', daily_return: 0.909, cumulative_return: 1.1 },
+      { trade_date: '2024-01-05', daily_return: 0, cumulative_return: 1.1 }
+    ]
+  };
+  const flows = [
+    { date: '2024-01-02', value: 1000, externalFlow: 0 },
+    { date: '2024-01-03', value: 1100, externalFlow: 0 },
+    { date: '2024-01-04', value: 2100, externalFlow: 1000 }
+  ];
+
+  it('leaves reported performance untouched', () => {
+    expect(applyPerformanceBasis(performance, flows, PERFORMANCE_BASES.REPORTED)).toBe(performance);
+    expect(applyPerformanceBasis(performance, [], PERFORMANCE_BASES.TWR)).toBe(performance);
+  });
+
+  it('re-bases daily, cumulative and total return on TWR', () => {
+    const result = applyPerformanceBasis(performance, flows, PERFORMANCE_BASES.TWR);
+    const days = result.daily_performances;
+    expect(result.performance_basis).toBe(PERFORMANCE_BASES.TWR);
+    expect(days.map(d => d.trade_date)).toEqual(performance.daily_performances.map(d => d.trade_date));
+    expect(days[1].daily_return).toBeCloseTo(0.1, 10);
+    expect(days[2].daily_return).toBeCloseTo(0, 10);
+    // No value row for the last date: a 0% day
+    expect(days[3].daily_return).toBe(0);
+    expect(days[3].cumulative_return).toBeCloseTo(0.1, 10);
+    expect(result.total_return).toBeCloseTo(10, 8);
+    expect(performance.daily_performances[2].daily_return).toBe(0.909);
+  });
+
+  it('re-bases on MWR measured from the first day', () => {
+    const result = applyPerformanceBasis(performance, flows, PERFORMANCE_BASES.MWR);
+    const days = result.daily_performances;
+    expect(days[0].cumulative_return).toBe(0);
+    expect(days[1].cumulative_return).toBeCloseTo(0.1, 6);
+    // The deposit is not return: the cumulative MWR stays at 10%
+    expect(days[2].cumulative_return).toBeCloseTo(0.1, 6);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Extended Risk / Return Metrics
+ * Tail risk, distribution shape and best/worst periods from daily returns
+ */
+
+import { DEFAULT_CONVENTIONS, DEFINITION_SETS, resolveConventions, toBasisReturns, mean, stdDev } from './conventions';
+
+// One-sided standard normal quantiles for the supported VaR confidence levels
+const Z_SCORES = {
+  0.95: 1.6448536,
+  0.99: 2.3263479
+};
+
+const normalPdf = (z) => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+/**
+ * Percentile with linear interpolation between closest ranks (like numpy's default)
+ * @param {Array} sortedValues - Values sorted ascending
+ * @param {number} p - Percentile as decimal (0-1)
+ * @returns {number} Value at the percentile
+ */
+export const percentile = (sortedValues, p) => {
+  if (!sortedValues || sortedValues.length === 0) {
+    return 0;
+  }
+  const rank = (sortedValues.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+};
+
+/**
+ * Calculate Calmar ratio
+ * Formula: Annualized Return / |Max Drawdown|
+ * @param {number} annualReturn - Annualized return as decimal
+ * @param {number} maxDrawdown - Max drawdown as decimal (negative or positive)
+ * @returns {number} Calmar ratio
+ */
+export const calculateCalmarRatio = (annualReturn, maxDrawdown) => {
+  const drawdown = Math.abs(maxDrawdown || 0);
+  if (drawdown === 0) {
+    return 0;
+  }
+  return (annualReturn || 0) / drawdown;
+};
+
+/**
+ * Calculate one-day Value at Risk and Conditional VaR (expected shortfall)
+ * Both are returned as daily returns (negative = loss), e.g. VaR 95% of -0.021 means
+ * 5% of days lost 2.1% or more; CVaR is the average return on those days.
+ * @param {Array} dailyReturns - Array of daily returns
+ * @param {number} confidence - 0.95 or 0.99
+ * @param {string} method - 'historical' (empirical quantile) or 'parametric' (normal fit)
+ * @param {Object} conv - Conventions (population or sample std for the normal fit)
+ * @returns {Object} { var, cvar }
+ */
+export const calculateVaR = (dailyReturns, confidence = 0.95, method = 'historical', conv = DEFAULT_CONVENTIONS) => {
+  if (!dailyReturns || dailyReturns.length < 2) {
+    return { var: 0, cvar: 0 };
+  }
+
+  if (method === 'parametric') {
+    const z = Z_SCORES[confidence];
+    if (!z) {
+      throw new Error(`Unsupported VaR confidence: ${confidence}`);
+    }
+    const m = mean(dailyReturns);
+    const sd = stdDev(dailyReturns, conv);
+    return {
+      var: m - z * sd,
+      cvar: m - sd * normalPdf(z) / (1 - confidence)
+    };
+  }
+
+  const sorted = [...dailyReturns].sort((a, b) => a - b);
+  const valueAtRisk = percentile(sorted, 1 - confidence);
+  const tail = sorted.filter(r => r <= valueAtRisk);
+  return {
+    var: valueAtRisk,
+    cvar: tail.length > 0 ? mean(tail) : valueAtRisk
+  };
+};
+
+/**
+ * Calculate Omega ratio
+ * Formula: Sum of gains above threshold / Sum of losses below threshold
+ * @param {Array} dailyReturns - Array of daily returns
+ * @param {number} threshold - Daily return threshold (default 0)
+ * @returns {number} Omega ratio (0 when there are no losses to compare against)
+ */
+export const calculateOmegaRatio = (dailyReturns, threshold = 0) => {
+  if (!dailyReturns || dailyReturns.length === 0) {
+    return 0;
+  }
+  const gains = dailyReturns.reduce((sum, r) => sum + Math.max(r - threshold, 0), 0);
+  const losses = dailyReturns.reduce((sum, r) => sum + Math.max(threshold - r, 0), 0);
+  return losses > 0 ? gains / losses : 0;
+};
+
+/**
+ * Calculate skewness and excess kurtosis (population moments)
+ * @param {Array} dailyReturns - Array of daily returns
+ * @returns {Object} { skewness, kurtosis } - kurtosis is excess (normal = 0)
+ */
+export const calculateMoments = (dailyReturns) => {
+  if (!dailyReturns || dailyReturns.length < 3) {
+    return { skewness: 0, kurtosis: 0 };
+  }
+  const m = mean(dailyReturns);
+  const sd = Math.sqrt(dailyReturns.reduce((sum, r) => sum + Math.pow(r - m, 2), 0) / dailyReturns.length);
+  if (sd === 0) {
+    return { skewness: 0, kurtosis: 0 };
+  }
+  const n = dailyReturns.length;
+  const skewness = dailyReturns.reduce((sum, r) => sum + Math.pow((r - m) / sd, 3), 0) / n;
+  const kurtosis = dailyReturns.reduce((sum, r) => sum + Math.pow((r - m) / sd, 4), 0) / n - 3;
+  return { skewness, kurtosis };
+};
+
+/**
+ * Calculate tail ratio
+ * Formula: |95th percentile| / |5th percentile| of daily returns
+ * @param {Array} dailyReturns - Array of daily returns
+ * @returns {number} Tail ratio (> 1 means the right tail is fatter)
+ */
+export const calculateTailRatio = (dailyReturns) => {
+  if (!dailyReturns || dailyReturns.length < 2) {
+    return 0;
+  }
+  const sorted = [...dailyReturns].sort((a, b) => a - b);
+  const left = Math.abs(percentile(sorted, 0.05));
+  return left > 0 ? Math.abs(percentile(sorted, 0.95)) / left : 0;
+};
+
+/**
+ * Find best/worst day and best/worst calendar month
+ * Monthly returns compound the daily returns within each month of trade_date.
+ * @param {Array} dailyPerformances - Array of { trade_date, daily_return }
+ * @returns {Object} { bestDay, worstDay, bestMonth, worstMonth } each { period, value } or null
+ */
+export const calculateBestWorstPeriods = (dailyPerformances) => {
+  const empty = { bestDay: null, worstDay: null, bestMonth: null, worstMonth: null };
+  if (!dailyPerformances || dailyPerformances.length === 0) {
+    return empty;
+  }
+
+  const days = dailyPerformances.map(d => ({ period: d.trade_date, value: d.daily_return || 0 }));
+
+  const monthGrowth = {};
+  days.forEach(d => {
+    const month = String(d.period).slice(0, 7);
+    monthGrowth[month] = (monthGrowth[month] || 1) * (1 + d.value);
+  });
+  const months = Object.entries(monthGrowth).map(([period, growth]) => ({ period, value: growth - 1 }));
+
+  const best = (list) => list.reduce((a, b) => (b.value > a.value ? b : a));
+  const worst = (list) => list.reduce((a, b) => (b.value < a.value ? b : a));
+
+  return {
+    bestDay: best(days),
+    worstDay: worst(days),
+    bestMonth: best(months),
+    worstMonth: worst(months)
+  };
+};
+
+/**
+ * Find the longest run of consecutive losing days
+ * @param {Array} dailyPerformances - Array of { trade_date, daily_return }
+ * @returns {Object} { length, startDate, endDate, totalReturn } of the longest streak
+ */
+export const calculateLongestLosingStreak = (dailyPerformances) => {
+  const longest = { length: 0, startDate: null, endDate: null, totalReturn: 0 };
+  if (!dailyPerformances || dailyPerformances.length === 0) {
+    return longest;
+  }
+
+  let length = 0;
+  let startDate = null;
+  let growth = 1;
+  dailyPerformances.forEach(d => {
+    const r = d.daily_return || 0;
+    if (r < 0) {
+      if (length === 0) {
+        startDate = d.trade_date;
+        growth = 1;
+      }
+      length++;
+      growth *= 1 + r;
+      if (length > longest.length) {
+        longest.length = length;
+        longest.startDate = startDate;
+        longest.endDate = d.trade_date;
+        longest.totalReturn = growth - 1;
+      }
+    } else {
+      length = 0;
+    }
+  });
+
+  return longest;
+};
+
+/**
+ * Calculate the full extended risk set
+ * Distribution metrics use the conventions' return basis; best/worst periods and the
+ * losing streak use arithmetic returns. Omega's threshold is 0 (JoinQuant) or the daily Rf (standard).
+ * @param {Array} dailyPerformances - Array of { trade_date, daily_return }
+ * @param {number} annualReturn - Annualized return as decimal (for Calmar)
+ * @param {number} maxDrawdown - Max drawdown as decimal (for Calmar)
+ * @param {Object} conv - Resolved conventions (see resolveConventions)
+ * @returns {Object} All extended risk metrics
+ */
+export const calculateRiskMetrics = (dailyPerformances, annualReturn, maxDrawdown, conv = resolveConventions()) => {
+  const dailyReturns = toBasisReturns((dailyPerformances || []).map(d => d.daily_return || 0), conv);
+  const { skewness, kurtosis } = calculateMoments(dailyReturns);
+  const omegaThreshold = conv.definitions === DEFINITION_SETS.STANDARD ? conv.periodRiskFree : 0;
+
+  return {
+    calmar: calculateCalmarRatio(annualReturn, maxDrawdown),
+    var95: calculateVaR(dailyReturns, 0.95, 'historical', conv),
+    var99: calculateVaR(dailyReturns, 0.99, 'historical', conv),
+    parametricVar95: calculateVaR(dailyReturns, 0.95, 'parametric', conv),
+    parametricVar99: calculateVaR(dailyReturns, 0.99, 'parametric', conv),
+    omega: calculateOmegaRatio(dailyReturns, omegaThreshold),
+    skewness,
+    kurtosis,
+    tailRatio: calculateTailRatio(dailyReturns),
+    ...calculateBestWorstPeriods(dailyPerformances),
+    longestLosingStreak: calculateLongestLosingStreak(dailyPerformances)
+  };
+};
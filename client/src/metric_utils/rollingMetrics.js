@@ -0,0 +1,75 @@
+/**
+ * Rolling-Window Risk Metrics
+ * Trailing N-day versions of the whole-period ratios, one point per trading day
+ */
+
+import { calculateSharpeRatio, calculateSortinoRatio, calculateVolatility } from './performanceMetrics';
+import { calculateInformationRatio } from './benchmarkMetrics';
+import { ALIGNMENT_MODES, alignStrategyAndBenchmark } from './seriesAlignment';
+import { DEFAULT_CONVENTIONS, resolveConventions, sliceConventions, toBasisReturns, mean } from './conventions';
+
+export const ROLLING_WINDOWS = [20, 60, 120];
+
+const covariance = (a, b) => {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, v, i) => sum + (v - meanA) * (b[i] - meanB), 0) / a.length;
+};
+
+/**
+ * Calculate rolling Sharpe, Sortino, volatility, beta and information ratio
+ * @param {Array} dailyPerformances - performance.daily_performances ({ trade_date, daily_return })
+ * @param {Object} benchmarkData - Benchmark data object ({ data: [{ date, daily_return }] }), optional
+ * @param {number} window - Window length in trading days
+ * @param {Object} conventions - Metric conventions (risk-free rate, annualization, basis, definitions)
+ * @param {string} alignment - ALIGNMENT_MODES value for joining strategy and benchmark dates
+ * @returns {Array} [{ date, sharpe, sortino, volatility, beta, informationRatio }] from the
+ *   first full window on; beta / informationRatio are null when the window has too few
+ *   dates paired with the benchmark
+ */
+export const calculateRollingMetrics = (dailyPerformances, benchmarkData, window = 60, conventions = DEFAULT_CONVENTIONS, alignment = ALIGNMENT_MODES.FFILL) => {
+  if (!dailyPerformances || dailyPerformances.length < window) {
+    return [];
+  }
+
+  const days = alignStrategyAndBenchmark(dailyPerformances, benchmarkData, alignment).rows;
+  const conv = resolveConventions(conventions, days.map(d => d.date));
+  const strategyReturns = toBasisReturns(days.map(d => d.strategy), conv);
+  const benchmarkReturns = toBasisReturns(days.map(d => (d.benchmark === null ? 0 : d.benchmark)), conv);
+
+  const points = [];
+  for (let end = window; end <= days.length; end++) {
+    const start = end - window;
+    const windowConv = sliceConventions(conv, start, end);
+    const returns = strategyReturns.slice(start, end);
+
+    const volatility = calculateVolatility(returns, windowConv);
+    const sharpe = volatility > 0 ? calculateSharpeRatio(returns, windowConv) : null;
+
+    // Beta / IR only over the dates paired with the benchmark; need most of the window
+    const paired = [];
+    for (let i = start; i < end; i++) {
+      if (days[i].benchmark !== null) paired.push(i);
+    }
+    let beta = null;
+    let informationRatio = null;
+    if (paired.length >= Math.max(10, Math.ceil(window * 0.8))) {
+      const s = paired.map(i => strategyReturns[i]);
+      const b = paired.map(i => benchmarkReturns[i]);
+      const benchmarkVariance = covariance(b, b);
+      beta = benchmarkVariance > 0 ? covariance(s, b) / benchmarkVariance : null;
+      informationRatio = calculateInformationRatio(s, b, windowConv);
+    }
+
+    points.push({
+      date: days[end - 1].date,
+      sharpe,
+      sortino: calculateSortinoRatio(returns, windowConv),
+      volatility,
+      beta,
+      informationRatio
+    });
+  }
+
+  return points;
+};
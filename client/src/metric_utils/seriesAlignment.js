@@ -0,0 +1,124 @@
+/**
+ * Strategy / Benchmark Series Alignment
+ * Joins the two daily series by trade date instead of by array index
+ */
+
+export const ALIGNMENT_MODES = {
+  FFILL: 'ffill',
+  DROP: 'drop'
+};
+
+/**
+ * Map each portfolio date to the benchmark on that date.
+ *
+ * - Benchmark dates the portfolio skipped (suspension, gap in the strategy's data) are
+ *   folded into the next portfolio date: its benchmark return compounds those days, so it
+ *   covers the same span as the strategy's return for that date.
+ * - Portfolio dates the benchmark lacks are forward-filled (close carried, 0% return) in
+ *   'ffill' mode, or dropped (null) in 'drop' mode. Dates before the benchmark's first
+ *   close cannot be filled and are dropped either way.
+ *
+ * @param {Array} dates - Portfolio dates ('YYYY-MM-DD'), ascending
+ * @param {Array} benchmarkRows - benchmarkData.data ({ date, close, daily_return })
+ * @param {string} mode - ALIGNMENT_MODES.FFILL or ALIGNMENT_MODES.DROP
+ * @returns {Object} { points: [{ date, close, dailyReturn, filled } | null per date], report }
+ */
+export const alignBenchmarkToDates = (dates, benchmarkRows, mode = ALIGNMENT_MODES.FFILL) => {
+  const rows = (benchmarkRows || [])
+    .map(b => ({ date: b.date, close: parseFloat(b.close), dailyReturn: parseFloat(b.daily_return) }))
+    .filter(b => b.date && (Number.isFinite(b.close) || Number.isFinite(b.dailyReturn)))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const dateSet = new Set(dates);
+  const firstDate = dates[0];
+  const lastDate = dates[dates.length - 1];
+  const report = {
+    mode,
+    portfolioDays: dates.length,
+    matched: 0,
+    filledDates: [],
+    droppedDates: [],
+    // Benchmark trading days with no portfolio row, folded into the next portfolio date
+    foldedDates: rows.filter(b => b.date >= firstDate && b.date <= lastDate && !dateSet.has(b.date)).map(b => b.date)
+  };
+
+  let cursor = 0;
+  let lastClose = null;
+  const points = dates.map(date => {
+    // Compound every benchmark day since the previous portfolio date up to and including this one
+    let growth = 1;
+    let hit = null;
+    while (cursor < rows.length && rows[cursor].date <= date) {
+      const row = rows[cursor];
+      if (row.date >= firstDate) {
+        growth *= 1 + (Number.isFinite(row.dailyReturn) ? row.dailyReturn : 0);
+      }
+      if (Number.isFinite(row.close)) lastClose = row.close;
+      if (row.date === date) hit = row;
+      cursor++;
+    }
+
+    if (hit) {
+      report.matched++;
+      return { date, close: Number.isFinite(hit.close) ? hit.close : lastClose, dailyReturn: growth - 1, filled: false };
+    }
+    if (mode === ALIGNMENT_MODES.FFILL && lastClose !== null) {
+      report.filledDates.push(date);
+      // Any folded days (benchmark traded, portfolio didn't, nor today) still count here
+      return { date, close: lastClose, dailyReturn: growth - 1, filled: true };
+    }
+    report.droppedDates.push(date);
+    return null;
+  });
+
+  return { points, report };
+};
+
+/**
+ * Pair strategy and benchmark daily returns by trade date.
+ * @param {Array} dailyPerformances - performance.daily_performances ({ trade_date, daily_return })
+ * @param {Object} benchmarkData - Benchmark data object ({ data: [...] })
+ * @param {string} mode - ALIGNMENT_MODES.FFILL or ALIGNMENT_MODES.DROP
+ * @returns {Object} {
+ *   rows: [{ date, strategy, benchmark }] one per strategy day, benchmark null when dropped,
+ *   dates, strategyReturns, benchmarkReturns: the paired (non-dropped) days only,
+ *   report: { mode, portfolioDays, matched, filledDates, droppedDates, foldedDates }
+ * }
+ */
+export const alignStrategyAndBenchmark = (dailyPerformances, benchmarkData, mode = ALIGNMENT_MODES.FFILL) => {
+  const performances = dailyPerformances || [];
+  const { points, report } = alignBenchmarkToDates(
+    performances.map(d => d.trade_date),
+    benchmarkData && benchmarkData.data,
+    mode
+  );
+
+  const rows = performances.map((d, i) => ({
+    date: d.trade_date,
+    strategy: d.daily_return || 0,
+    benchmark: points[i] ? points[i].dailyReturn : null
+  }));
+  const paired = rows.filter(r => r.benchmark !== null);
+
+  return {
+    rows,
+    dates: paired.map(r => r.date),
+    strategyReturns: paired.map(r => r.strategy),
+    benchmarkReturns: paired.map(r => r.benchmark),
+    report
+  };
+};
+
+/**
+ * One-line summary of an alignment report, or null when the series lined up exactly.
+ * @param {Object} report - From alignStrategyAndBenchmark / alignBenchmarkToDates
+ * @returns {string|null}
+ */
+export const describeAlignment = (report) => {
+  if (!report) return null;
+  const parts = [];
+  if (report.filledDates.length > 0) parts.push(`${report.filledDates.length} day(s) forward-filled`);
+  if (report.droppedDates.length > 0) parts.push(`${report.droppedDates.length} day(s) dropped`);
+  if (report.foldedDates.length > 0) parts.push(`${report.foldedDates.length} benchmark day(s) without strategy data folded in`);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
@@ -0,0 +1,282 @@
+/**
+ * Round-Trip Trade Matching
+ * Pairs each sell with the buys it closes (FIFO, LIFO or average cost) and reports
+ * the resulting round trips and open lots per stock. Positions held before the
+ * first transaction can be seeded as opening lots.
+ */
+
+export const MATCHING_METHODS = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  AVERAGE: 'average'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const txTime = (tx) => tx.execution_datetime || tx.trade_date;
+
+// Whole calendar days between two 'YYYY-MM-DD[ HH:MM:SS]' timestamps
+const daysBetween = (from, to) => Math.round(
+  (Date.parse(String(to).slice(0, 10)) - Date.parse(String(from).slice(0, 10))) / MS_PER_DAY
+);
+
+// Per-share cost fields a holdings row may carry; without one the cost is inferred from the day's price
+const holdingCost = (holding) => {
+  const cost = Number(holding.avg_cost ?? holding.cost_price);
+  return Number.isFinite(cost) && cost > 0 ? cost : null;
+};
+
+/**
+ * Derive the positions held when the range opens from the earliest holdings day
+ *
+ * Holdings are end-of-day, so that day's own trades are backed out to get what was held
+ * before the first transaction. Cost basis comes from the holding's avg_cost / cost_price
+ * when the backend reports one; otherwise the day's price stands in and the lot is
+ * flagged as inferred.
+ *
+ * @param {Object} holdingsByDate - { 'YYYY-MM-DD': [{ stock_code, quantity, price, avg_cost?, cost_price? }] }
+ * @param {Array} transactions - Transactions in the range (same shape as matchRoundTrips)
+ * @returns {Array} [{ code, date, quantity, price, cost, inferred }]
+ */
+export const deriveOpeningPositions = (holdingsByDate, transactions) => {
+  const dates = Object.keys(holdingsByDate || {}).sort();
+  if (dates.length === 0) {
+    return [];
+  }
+  const firstDate = dates[0];
+
+  // Net shares traded up to and including the first holdings day
+  const tradedQty = {};
+  (transactions || []).forEach(tx => {
+    if (String(txTime(tx)).slice(0, 10) > firstDate) return;
+    const action = String(tx.action).toLowerCase();
+    const quantity = Number(tx.quantity) || 0;
+    if (action === 'buy') tradedQty[tx.code] = (tradedQty[tx.code] || 0) + quantity;
+    else if (action === 'sell') tradedQty[tx.code] = (tradedQty[tx.code] || 0) - quantity;
+  });
+
+  return (holdingsByDate[firstDate] || [])
+    .map(holding => {
+      const quantity = (Number(holding.quantity) || 0) - (tradedQty[holding.stock_code] || 0);
+      const reported = holdingCost(holding);
+      const price = reported ?? (Number(holding.price) || 0);
+      return {
+        code: holding.stock_code,
+        date: firstDate,
+        quantity,
+        price,
+        cost: quantity * price,
+        inferred: reported == null
+      };
+    })
+    .filter(position => position.quantity > 0);
+};
+
+/**
+ * Match sells against earlier buys (and opening positions), stock by stock
+ *
+ * Each sell that closes at least one share is one round trip. FIFO closes the oldest
+ * lots first and LIFO the newest; average cost prices every sell at the position's
+ * average cost so far, while entry dates and holding days follow the lots in FIFO order.
+ * Costs and proceeds use net_amount (fees included), prorated when a lot or a sell
+ * is only partly matched. Sold shares with no earlier buy or opening lot are reported
+ * as unmatched. Trips that close an opening lot are flagged openingLot, and inferredCost
+ * when that lot's cost was inferred (for average cost: when the pooled cost includes one).
+ *
+ * @param {Array} transactions - Array of { id, code, action, quantity, price, net_amount, trade_date, execution_datetime }
+ * @param {string} method - MATCHING_METHODS value
+ * @param {Array} openingPositions - From deriveOpeningPositions, queued ahead of any buy
+ * @returns {Object} {
+ *   trips: [{ id, code, entryDate, exitDate, entryPrice, exitPrice, quantity, holdingDays,
+ *            cost, proceeds, pnl, returnPct, isWin, lots, sellTransactionId, openingLot, inferredCost }],
+ *   openLots: { [code]: [{ date, quantity, price, cost, opening?, inferred? }] },
+ *   unmatchedSells: [{ code, date, quantity, transactionId }]
+ * }
+ */
+export const matchRoundTrips = (transactions, method = MATCHING_METHODS.FIFO, openingPositions = []) => {
+  const result = { trips: [], openLots: {}, unmatchedSells: [] };
+  if ((!transactions || transactions.length === 0) && (!openingPositions || openingPositions.length === 0)) {
+    return result;
+  }
+
+  // Sort transactions by date and time to ensure chronological order
+  const sortedTransactions = [...(transactions || [])].sort((a, b) => new Date(txTime(a)) - new Date(txTime(b)));
+  const lotsByCode = {};
+  (openingPositions || []).forEach(position => {
+    (lotsByCode[position.code] || (lotsByCode[position.code] = [])).push({
+      date: position.date,
+      quantity: position.quantity,
+      price: position.price,
+      cost: position.cost,
+      opening: true,
+      inferred: position.inferred
+    });
+  });
+
+  sortedTransactions.forEach(tx => {
+    const code = tx.code;
+    const action = String(tx.action).toLowerCase();
+    const lots = lotsByCode[code] || (lotsByCode[code] = []);
+    const quantity = Number(tx.quantity) || 0;
+
+    if (action === 'buy') {
+      lots.push({
+        date: txTime(tx),
+        quantity,
+        price: Number(tx.price) || 0,
+        cost: Number(tx.net_amount) || 0
+      });
+      return;
+    }
+    if (action !== 'sell' || quantity <= 0) {
+      return;
+    }
+
+    const heldQty = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const heldCost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+    const heldGross = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    let remaining = quantity;
+    let matchedQty = 0;
+    let lotCost = 0;
+    let grossEntry = 0;
+    let weightedDays = 0;
+    let entryDate = null;
+    let lotCount = 0;
+    let openingLot = false;
+    let inferredCost = method === MATCHING_METHODS.AVERAGE && lots.some(lot => lot.inferred);
+
+    while (remaining > 0 && lots.length > 0) {
+      const lot = method === MATCHING_METHODS.LIFO ? lots[lots.length - 1] : lots[0];
+      const consumed = Math.min(lot.quantity, remaining);
+      const consumedCost = (consumed / lot.quantity) * lot.cost;
+
+      lotCost += consumedCost;
+      grossEntry += consumed * lot.price;
+      weightedDays += consumed * daysBetween(lot.date, txTime(tx));
+      if (!entryDate || lot.date < entryDate) entryDate = lot.date;
+      lotCount++;
+      if (lot.opening) openingLot = true;
+      if (lot.inferred) inferredCost = true;
+
+      lot.quantity -= consumed;
+      lot.cost -= consumedCost;
+      remaining -= consumed;
+      matchedQty += consumed;
+      if (lot.quantity <= 0) {
+        if (method === MATCHING_METHODS.LIFO) lots.pop();
+        else lots.shift();
+      }
+    }
+
+    if (remaining > 0) {
+      result.unmatchedSells.push({ code, date: txTime(tx), quantity: remaining, transactionId: tx.id });
+    }
+    if (matchedQty === 0) {
+      return;
+    }
+
+    let cost = lotCost;
+    let entryPrice = grossEntry / matchedQty;
+    if (method === MATCHING_METHODS.AVERAGE) {
+      // Price the sell at the average cost of everything held; what is left keeps that average
+      cost = (matchedQty / heldQty) * heldCost;
+      entryPrice = heldGross / heldQty;
+      const leftQty = heldQty - matchedQty;
+      const leftCost = heldCost - cost;
+      lots.forEach(lot => {
+        lot.cost = leftQty > 0 ? (lot.quantity / leftQty) * leftCost : 0;
+        lot.price = entryPrice;
+      });
+    }
+
+    const proceeds = (matchedQty / quantity) * (Number(tx.net_amount) || 0);
+    const pnl = proceeds - cost;
+    result.trips.push({
+      id: `${tx.id ?? txTime(tx)}-${code}`,
+      code,
+      entryDate,
+      exitDate: txTime(tx),
+      entryPrice,
+      exitPrice: Number(tx.price) || 0,
+      quantity: matchedQty,
+      holdingDays: weightedDays / matchedQty,
+      cost,
+      proceeds,
+      pnl,
+      returnPct: cost > 0 ? pnl / cost : 0,
+      isWin: pnl > 0,
+      lots: lotCount,
+      sellTransactionId: tx.id,
+      openingLot,
+      inferredCost
+    });
+  });
+
+  Object.entries(lotsByCode).forEach(([code, lots]) => {
+    if (lots.length > 0) result.openLots[code] = lots;
+  });
+
+  return result;
+};
+
+/**
+ * Aggregate round trips per stock
+ * @param {Array} trips - From matchRoundTrips
+ * @returns {Array} [{ code, trips, wins, losses, winRate, quantity, cost, pnl, returnPct,
+ *   avgHoldingDays, bestPnl, worstPnl }] sorted by P&L, best first
+ */
+export const summarizeTradesByStock = (trips) => {
+  const byCode = {};
+  (trips || []).forEach(trip => {
+    const s = byCode[trip.code] || (byCode[trip.code] = {
+      code: trip.code, trips: 0, wins: 0, losses: 0, quantity: 0, cost: 0, pnl: 0,
+      holdingDaysTotal: 0, bestPnl: -Infinity, worstPnl: Infinity
+    });
+    s.trips++;
+    if (trip.isWin) s.wins++;
+    else s.losses++;
+    s.quantity += trip.quantity;
+    s.cost += trip.cost;
+    s.pnl += trip.pnl;
+    s.holdingDaysTotal += trip.holdingDays * trip.quantity;
+    s.bestPnl = Math.max(s.bestPnl, trip.pnl);
+    s.worstPnl = Math.min(s.worstPnl, trip.pnl);
+  });
+
+  return Object.values(byCode)
+    .map(({ holdingDaysTotal, ...s }) => ({
+      ...s,
+      winRate: s.trips > 0 ? s.wins / s.trips : 0,
+      returnPct: s.cost > 0 ? s.pnl / s.cost : 0,
+      avgHoldingDays: s.quantity > 0 ? holdingDaysTotal / s.quantity : 0
+    }))
+    .sort((a, b) => b.pnl - a.pnl);
+};
+
+/**
+ * Totals over all round trips
+ * @param {Array} trips - From matchRoundTrips
+ * @returns {Object} { trips, wins, losses, winRate, pnl, cost, returnPct, avgPnl, avgHoldingDays, avgWin, avgLoss }
+ */
+export const summarizeTrades = (trips) => {
+  const list = trips || [];
+  const wins = list.filter(t => t.isWin);
+  const losses = list.filter(t => !t.isWin);
+  const pnl = list.reduce((sum, t) => sum + t.pnl, 0);
+  const cost = list.reduce((sum, t) => sum + t.cost, 0);
+  const avg = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+  return {
+    trips: list.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: list.length > 0 ? wins.length / list.length : 0,
+    pnl,
+    cost,
+    returnPct: cost > 0 ? pnl / cost : 0,
+    avgPnl: avg(list.map(t => t.pnl)),
+    avgHoldingDays: avg(list.map(t => t.holdingDays)),
+    avgWin: avg(wins.map(t => t.pnl)),
+    avgLoss: avg(losses.map(t => t.pnl))
+  };
+};
@@ -2,13 +2,17 @@
  * Win Rate Calculation Utilities
  */
 
+import { MATCHING_METHODS, matchRoundTrips } from './tradeMatcher';
+
 /**
- * Calculate win rate from transaction data using FIFO (First In First Out) method
+ * Calculate win rate from transaction data using round-trip matching (FIFO by default)
  * Tracks sequential round trips: each sell is matched with corresponding buys
  * @param {Array} transactions - Array of transaction objects
+ * @param {string} method - MATCHING_METHODS value (fifo, lifo or average cost)
+ * @param {Array} openingPositions - Positions held before the range (see deriveOpeningPositions)
  * @returns {Object} Win rate metrics including winRate, winningTradesCount, losingTradesCount
  */
-export const calculateWinRate = (transactions) => {
+export const calculateWinRate = (transactions, method = MATCHING_METHODS.FIFO, openingPositions = []) => {
   if (!transactions || transactions.length === 0) {
     return {
       winRate: 0,
@@ -18,87 +22,10 @@ export const calculateWinRate = (transactions) => {
     };
   }
 
-  // Sort transactions by date and time to ensure chronological order
-  const sortedTransactions = [...transactions].sort((a, b) => {
-    const dateA = new Date(a.execution_datetime || a.trade_date);
-    const dateB = new Date(b.execution_datetime || b.trade_date);
-    return dateA - dateB;
-  });
-
-  // Group by stock code and process sequentially
-  const stockPositions = {};
-  
-  sortedTransactions.forEach(tx => {
-    const code = tx.code;
-    if (!stockPositions[code]) {
-      stockPositions[code] = {
-        buyQueue: [],  // Queue of buy transactions (FIFO)
-        roundTrips: [] // Completed round trips
-      };
-    }
-
-    const position = stockPositions[code];
-
-    if (tx.action.toLowerCase() === 'buy') {
-      // Add to buy queue
-      position.buyQueue.push({
-        quantity: tx.quantity,
-        price: tx.price,
-        net_amount: tx.net_amount,
-        date: tx.execution_datetime || tx.trade_date
-      });
-    } else if (tx.action.toLowerCase() === 'sell') {
-      // Match with buys using FIFO
-      let remainingSellQty = tx.quantity;
-      let totalBuyCost = 0;
-      let totalSellRevenue = tx.net_amount;
-
-      while (remainingSellQty > 0 && position.buyQueue.length > 0) {
-        const oldestBuy = position.buyQueue[0];
-
-        if (oldestBuy.quantity <= remainingSellQty) {
-          // Fully consume this buy
-          totalBuyCost += oldestBuy.net_amount;
-          remainingSellQty -= oldestBuy.quantity;
-          position.buyQueue.shift(); // Remove from queue
-        } else {
-          // Partially consume this buy
-          const consumedQty = remainingSellQty;
-          const proportionalCost = (consumedQty / oldestBuy.quantity) * oldestBuy.net_amount;
-          totalBuyCost += proportionalCost;
-          
-          // Update remaining quantity in buy
-          oldestBuy.quantity -= consumedQty;
-          oldestBuy.net_amount -= proportionalCost;
-          remainingSellQty = 0;
-        }
-      }
-
-      // If we matched some buys, record a round trip
-      if (totalBuyCost > 0) {
-        const pnl = totalSellRevenue - totalBuyCost;
-        position.roundTrips.push({
-          pnl: pnl,
-          isWin: pnl > 0,
-          sellDate: tx.execution_datetime || tx.trade_date
-        });
-      }
-    }
-  });
-
   // Count winning and losing round trips
-  let winningTrades = 0;
-  let losingTrades = 0;
-
-  Object.values(stockPositions).forEach(position => {
-    position.roundTrips.forEach(trip => {
-      if (trip.isWin) {
-        winningTrades++;
-      } else {
-        losingTrades++;
-      }
-    });
-  });
+  const { trips } = matchRoundTrips(transactions, method, openingPositions);
+  const winningTrades = trips.filter(trip => trip.isWin).length;
+  const losingTrades = trips.length - winningTrades;
 
   const totalRoundTrips = winningTrades + losingTrades;
   const winRate = totalRoundTrips > 0 ? winningTrades / totalRoundTrips : 0;
@@ -120,4 +47,3 @@ export const calculateWinRate = (transactions) => {
     profitLossRatio
   };
 };
-
@@ -1,18 +1,96 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
-const axios = require('axios');
+const { backendPath, forwardRequest, pipeResponse, sendUpstreamError } = require('./bff/proxy');
+const { createResponseCache } = require('./bff/cache');
+const { createAuth } = require('./bff/auth');
+const { DEFAULT_USERS_FILE, loadUsers } = require('./bff/users');
+const { DEFAULT_AUDIT_FILE, createAuditLog } = require('./bff/audit');
+const { createRealtimeHub } = require('./bff/realtime');
+const { parseBackends, createBackendRegistry } = require('./bff/backends');
+const { DEFAULT_FIXTURES_DIR, createFixtureStore } = require('./bff/fixtures');
+const { DEFAULT_RISK_LIMITS_FILE, createRiskChecks } = require('./bff/risk');
+const { createIdempotencyGuard } = require('./bff/idempotency');
+const { DEFAULT_ORDERS_FILE, createOrderStore } = require('./bff/orders');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:8001/api';
-const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+// Named backends (name=url,name=url); when unset the BFF has one backend, "default" = API_BASE_URL.
+const API_BACKENDS = process.env.API_BACKENDS || '';
+const DEFAULT_BACKEND = process.env.DEFAULT_BACKEND || '';
+// Comma-separated list; must name the React origin explicitly for session cookies to work.
+const CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://localhost:3001';
+const RESPONSE_CACHE = process.env.RESPONSE_CACHE !== 'false';
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const AUTH_USERS_FILE = process.env.AUTH_USERS_FILE || DEFAULT_USERS_FILE;
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_FILE;
+const RISK_LIMITS_FILE = process.env.RISK_LIMITS_FILE || DEFAULT_RISK_LIMITS_FILE;
+const ORDERS_FILE = process.env.ORDERS_FILE || DEFAULT_ORDERS_FILE;
+// proxy (default) | record (proxy + save fixtures) | replay (serve fixtures, no backend needed)
+const BFF_MODE = (process.env.BFF_MODE || 'proxy').toLowerCase();
+const FIXTURES_DIR = process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+const REPLAY_PORT = Number(process.env.REPLAY_PORT || 8009);
+
+if (!['proxy', 'record', 'replay'].includes(BFF_MODE)) {
+  console.error(`❌ Unknown BFF_MODE "${BFF_MODE}" (expected proxy, record or replay).`);
+  process.exit(1);
+}
+
+if (AUTH_ENABLED && loadUsers(AUTH_USERS_FILE).length === 0) {
+  console.error(`❌ Authentication is enabled but ${AUTH_USERS_FILE} has no users.`);
+  console.error('   Create one with:  npm run user -- add <username> <viewer|trader|admin>');
+  console.error('   (or set AUTH_ENABLED=false for a local-only dev setup)');
+  process.exit(1);
+}
+
+const fixtures = createFixtureStore({ dir: FIXTURES_DIR });
+const configuredBackends = parseBackends(API_BACKENDS, API_BASE_URL);
+const backends = createBackendRegistry({
+  // Replay points every backend at the local fixture server instead
+  backends: BFF_MODE === 'replay'
+    ? configuredBackends.map(({ name }) => ({ name, url: `http://127.0.0.1:${REPLAY_PORT}/${encodeURIComponent(name)}/api` }))
+    : configuredBackends,
+  defaultName: DEFAULT_BACKEND
+});
+// Cache and realtime channels hold backend data, so each backend gets its own.
+const services = new Map(backends.names.map((name) => {
+  const { url, breaker } = backends.get(name);
+  const cache = createResponseCache({ baseUrl: url, breaker });
+  const realtime = createRealtimeHub({
+    baseUrl: url,
+    breaker,
+    onDataChanged: (strategy) => cache.invalidateStrategy(strategy)
+  });
+  return [name, { cache, realtime }];
+}));
+const servicesFor = (req) => services.get(req.backend.name);
+const auth = createAuth({
+  enabled: AUTH_ENABLED,
+  usersFile: AUTH_USERS_FILE,
+  sessionTtlMs: SESSION_TTL_HOURS * 60 * 60 * 1000,
+  secureCookie: process.env.COOKIE_SECURE === 'true'
+});
+const auditLog = createAuditLog({ file: AUDIT_LOG_FILE });
+const riskChecks = createRiskChecks({
+  file: RISK_LIMITS_FILE,
+  // The audit trail seeds today's count of accepted LIVE orders (risk.js keeps it current)
+  countLiveOrders: async (strategy, since) => {
+    const { entries } = await auditLog.query({ strategy, type: 'order', mode: 'LIVE', since, limit: Infinity });
+    return entries.filter((e) => e.ok && !e.replayed).length;
+  }
+});
+const idempotency = createIdempotencyGuard();
+const orderStore = createOrderStore({ file: ORDERS_FILE });
 
 // Middleware
 app.use(cors({
-  origin: CORS_ORIGIN,
-  credentials: true
+  origin: CORS_ORIGIN === '*' ? '*' : CORS_ORIGIN.split(',').map(o => o.trim()),
+  credentials: true,
+  exposedHeaders: ['X-Backend', 'X-Cache', 'Idempotent-Replayed']
 }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
@@ -24,58 +102,156 @@ app.use((req, res, next) => {
   next();
 });
 
-// API Proxy endpoints - Forward requests to Python FastAPI backend
-app.get('/api/*', async (req, res) => {
+// Authentication - login/logout/me, then role checks on everything under /api.
+// The audit trail sits between the two so denied order/cash attempts are recorded as well.
+app.use(auth.authenticate);
+app.use('/auth', auth.router);
+// Backend selection (X-Backend header / ?backend=) for everything that talks to a backend
+app.use(['/api', '/events', '/cache', '/orders'], backends.resolve);
+app.post(['/api/order', '/api/cash'], auditLog.middleware);
+app.all('/api/*', auth.requireApiPermission);
+
+// Idempotency keys + duplicate warnings first, so a replayed order isn't risk-checked or sent twice
+app.post(['/api/order', '/api/cash'], idempotency.middleware);
+
+// Order blotter - keeps every order that got past the duplicate guard, risk rejections included
+app.post('/api/order', orderStore.middleware);
+
+// Pre-trade risk checks - rejected orders never reach the backend (and are still audited)
+app.post('/api/order', riskChecks.middleware);
+
+// Record mode - save every response the browser gets as a fixture for replay
+if (BFF_MODE === 'record') {
+  app.all('/api/*', fixtures.recorder);
+}
+
+// Response cache - serves repeat GETs from memory, evicts a strategy after writes to it
+if (RESPONSE_CACHE) {
+  app.get('/api/*', (req, res, next) => servicesFor(req).cache.middleware(req, res, next));
+  app.post(['/api/order', '/api/cash', '/api/realtime-update'], (req, res, next) => servicesFor(req).cache.invalidateOnWrite(req, res, next));
+}
+
+// Manual realtime updates are pushed to every other tab watching the strategy
+app.post('/api/realtime-update', (req, res, next) => servicesFor(req).realtime.notifyOnUpdate(req, res, next));
+
+// API Proxy - Forward every method on /api/* to the selected Python FastAPI backend.
+// Status, headers and body are relayed unchanged (streamed), so file downloads work too.
+app.all('/api/*', async (req, res) => {
+  const url = `${req.backend.url}${backendPath(req)}`;
+  console.log(`[Proxy ${req.backend.name}] ${req.method} ${url}`);
+  if (req._body) {
+    console.log(`[Proxy ${req.method} Body]`, req.body);
+  }
+
   try {
-    const apiPath = req.path.replace('/api', '');
-    const queryString = new URLSearchParams(req.query).toString();
-    const url = `${API_BASE_URL}${apiPath}${queryString ? '?' + queryString : ''}`;
-    
-    console.log(`[Proxy] ${req.method} ${url}`);
-    
-    const response = await axios.get(url);
-    res.json(response.data);
+    const upstream = await forwardRequest(req, req.backend.url, req.backend.breaker);
+    pipeResponse(upstream, res);
   } catch (error) {
-    console.error('[Proxy Error]', error.message);
-    res.status(error.response?.status || 500).json({
-      error: error.message,
-      details: error.response?.data || 'Failed to connect to backend API'
-    });
+    // Only network-level failures (or an open circuit) land here; HTTP errors are relayed by pipeResponse.
+    console.error(`[Proxy ${req.method} Error]`, error.message);
+    sendUpstreamError(error, res);
+  }
+});
+
+// Server-Sent Events: scheduled realtime updates, one backend recompute per strategy/mode
+app.get('/events', auth.requireRole('viewer'), (req, res) => servicesFor(req).realtime.subscribe(req, res));
+
+// Configured backends with their last health check; the client's backend selector reads this
+app.get('/backends', auth.requireRole('viewer'), (req, res) => {
+  res.json({ default: backends.defaultName, backends: backends.status() });
+});
+
+// Probe every backend's /api/health now. 503 when the default backend is unreachable,
+// "degraded" when only another backend is.
+const healthReport = async () => {
+  await backends.probe();
+  const statuses = backends.status();
+  const defaultUp = statuses.find((b) => b.default).status === 'up';
+  const allUp = statuses.every((b) => b.status === 'up');
+  return { statusCode: defaultUp ? 200 : 503, status: !defaultUp ? 'unhealthy' : allUp ? 'healthy' : 'degraded', statuses };
+};
+
+// Health check endpoint - public, so overall status only (no backend URLs or errors)
+app.get('/health', async (req, res) => {
+  const { statusCode, status } = await healthReport();
+  res.status(statusCode).json({
+    status,
+    service: 'QMT Trading Dashboard',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Per-backend detail (URL, latency, last error, circuit, realtime channels) for signed-in users
+app.get('/health/backends', auth.requireRole('viewer'), async (req, res) => {
+  const { statusCode, status, statuses } = await healthReport();
+  res.status(statusCode).json({
+    status,
+    service: 'QMT Trading Dashboard',
+    mode: BFF_MODE,
+    timestamp: new Date().toISOString(),
+    defaultBackend: backends.defaultName,
+    backends: statuses.map((backend) => ({
+      ...backend,
+      realtimeChannels: services.get(backend.name).realtime.inspect()
+    })),
+    nodeVersion: process.version
+  });
+});
+
+// Cache inspection / flush for the selected backend (?strategy=<name> limits a flush to one strategy)
+app.get('/cache', auth.requireRole('viewer'), (req, res) => {
+  res.json({ enabled: RESPONSE_CACHE, backend: req.backend.name, ...servicesFor(req).cache.inspect() });
+});
+
+app.delete('/cache', auth.requireRole('admin'), (req, res) => {
+  const removed = servicesFor(req).cache.flush(req.query.strategy);
+  console.log(`[Cache] Flushed ${removed} ${req.backend.name} entries${req.query.strategy ? ` for ${req.query.strategy}` : ''}`);
+  res.json({ backend: req.backend.name, flushed: removed, strategy: req.query.strategy || null });
+});
+
+// Audit trail query: ?strategy=&action=&mode=&type=&user=&backend=&since=&until=&limit=
+app.get('/audit', auth.requireRole('viewer'), async (req, res, next) => {
+  try {
+    res.json(await auditLog.query(req.query));
+  } catch (error) {
+    next(error);
   }
 });
 
-app.post('/api/*', async (req, res) => {
+// Order blotter: ?strategy=&mode=&status= (open orders are reconciled against backend fills first)
+app.get('/orders', auth.requireRole('viewer'), async (req, res, next) => {
   try {
-    const apiPath = req.path.replace('/api', '');
-    const queryString = new URLSearchParams(req.query).toString();
-    const url = `${API_BASE_URL}${apiPath}${queryString ? '?' + queryString : ''}`;
-    
-    console.log(`[Proxy POST] ${url}`);
-    console.log(`[Proxy POST Body]`, req.body);
-    
-    const response = await axios.post(url, req.body, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-    res.json(response.data);
+    const { orders, reconcileErrors } = await orderStore.list(req.backend, req.query);
+    res.json({ backend: req.backend.name, orders, reconcileErrors });
   } catch (error) {
-    console.error('[Proxy POST Error]', error.message);
-    res.status(error.response?.status || 500).json({
-      error: error.message,
-      details: error.response?.data || 'Failed to connect to backend API'
-    });
+    next(error);
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Cancel in the BFF's stand-in store (the backend has no cancel endpoint yet); audited like orders
+app.post('/orders/:id/cancel', auth.requireRole('trader'), (req, res) => {
+  const user = req.user ? req.user.username : null;
+  const { order, error, status } = orderStore.cancel(req.backend, req.params.id, user);
+  if (error) return res.status(status).json({ error, message: error });
+  auditLog.record({
+    user,
+    role: req.user ? req.user.role : null,
+    ip: req.ip,
+    backend: req.backend.name,
+    type: 'cancel',
+    strategy: order.strategy,
+    action: 'CANCEL',
+    mode: order.mode,
+    payload: { orderId: order.id, action: order.action, code: order.code, amount: order.amount },
+    status: 200,
+    ok: true,
+    response: { status: order.status, filledQuantity: order.filledQuantity },
+    latencyMs: 0
+  });
+  console.log(`[Orders] ${user || 'anonymous'} cancelled ${order.action} ${order.code} ×${order.amount} for ${order.strategy} [${order.mode}@${req.backend.name}]`);
   res.json({
-    status: 'healthy',
-    service: 'QMT Trading Dashboard',
-    timestamp: new Date().toISOString(),
-    backend: API_BASE_URL,
-    nodeVersion: process.version
+    order,
+    note: 'Cancelled in the BFF order store. The backend has no cancel endpoint yet, so an engine that already picked the order up may still fill it.'
   });
 });
 
@@ -113,13 +289,33 @@ app.use((req, res) => {
 });
 
 // Start server
+if (BFF_MODE === 'replay') {
+  fixtures.createReplayApp()
+    .listen(REPLAY_PORT, '127.0.0.1')
+    .on('error', (error) => {
+      console.error(`❌ Fixture server could not listen on 127.0.0.1:${REPLAY_PORT}: ${error.message} (set REPLAY_PORT)`);
+      process.exit(1);
+    });
+}
+
 app.listen(PORT, () => {
+  backends.startHealthChecks();
   console.log('='.repeat(60));
   console.log('🚀 QMT Trading Dashboard - Node.js Server');
   console.log('='.repeat(60));
   console.log(`📡 Server:      http://localhost:${PORT}`);
-  console.log(`🔌 Backend API: ${API_BASE_URL}`);
+  backends.status().forEach((backend, i) => {
+    console.log(`${i === 0 ? '🔌 Backends:   ' : '               '} ${backend.name} → ${backend.url}${backend.default ? ' (default)' : ''}`);
+  });
   console.log(`📊 Health:      http://localhost:${PORT}/health`);
+  if (BFF_MODE !== 'proxy') {
+    console.log(`🎞️  Fixtures:    ${BFF_MODE} (${FIXTURES_DIR})`);
+  }
+  console.log(`🔐 Auth:        ${AUTH_ENABLED ? `on (${AUTH_USERS_FILE})` : 'OFF - anyone can trade'}`);
+  console.log(`📝 Audit:       ${AUDIT_LOG_FILE}`);
+  console.log(`📋 Orders:      ${ORDERS_FILE}`);
+  console.log(`🛡️  Risk limits: ${RISK_LIMITS_FILE}${fs.existsSync(RISK_LIMITS_FILE) ? '' : ' (not found - board lot and price band checks only)'}`);
+  console.log(`🗄️  Cache:       ${RESPONSE_CACHE ? `on (http://localhost:${PORT}/cache)` : 'off'}`);
   console.log(`🔧 Node:        ${process.version}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log('='.repeat(60));